@@ -0,0 +1,280 @@
+require('dotenv').config();
+
+// Setting types: how a raw environment value is parsed and checked. Each returns the
+// parsed value or throws with a message that completes "<ENV_NAME> must ..."
+const TYPES = {
+  string: (raw) => raw,
+  integer: (raw, setting) => {
+    if (!/^-?\d+$/.test(raw.trim())) {
+      throw new Error('must be a whole number');
+    }
+    const value = parseInt(raw, 10);
+    if (setting.min !== undefined && value < setting.min) {
+      throw new Error(`must be at least ${setting.min}`);
+    }
+    if (setting.max !== undefined && value > setting.max) {
+      throw new Error(`must be at most ${setting.max}`);
+    }
+    return value;
+  },
+  boolean: (raw) => {
+    const value = raw.trim().toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(value)) {
+      throw new Error('must be true or false');
+    }
+    return value === 'true' || value === '1';
+  },
+  url: (raw) => {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (error) {
+      throw new Error('must be a URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('must be an http(s) URL');
+    }
+    return raw.replace(/\/+$/, '');
+  },
+  enum: (raw, setting) => {
+    if (!setting.values.includes(raw)) {
+      throw new Error(`must be one of ${setting.values.join(', ')}`);
+    }
+    return raw;
+  },
+  // Token lifetimes such as 15m, 12h, 7d; limited to the units generateTokenPair can turn into a refresh token expiry
+  duration: (raw) => {
+    if (!/^\d+[smhd]$/.test(raw.trim())) {
+      throw new Error('must be a duration such as 30s, 15m, 12h or 7d');
+    }
+    return raw.trim();
+  },
+  list: (raw) => raw.split(',').map((item) => item.trim()).filter(Boolean)
+};
+
+// FIELD_ENCRYPTION_KEYS: "keyId:base64Key,..." with 32-byte keys (see utils/fieldEncryption.js)
+const checkEncryptionKeys = (keys) => {
+  for (const entry of keys) {
+    const separator = entry.indexOf(':');
+    if (separator < 1 || Buffer.from(entry.slice(separator + 1), 'base64').length !== 32) {
+      throw new Error('must be keyId:<32-byte base64 key> entries separated by commas');
+    }
+  }
+  return keys;
+};
+
+// TRUST_PROXY: how many proxies sit in front of the server (1), true/false, or the proxy
+// addresses and subnets in the form Express accepts (loopback, 10.0.0.0/8)
+const parseTrustProxy = (value) => {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * Configuration schema
+ * Each setting names its environment variable and type, with optional:
+ * default, required (always), requiredInProduction (a default only applies outside production),
+ * secret (value is never reported) and check (extra validation of the parsed value)
+ */
+const SCHEMA = {
+  server: {
+    nodeEnv: { env: 'NODE_ENV', type: 'string', default: 'development' },
+    port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 8000 },
+    frontendUrl: { env: 'FRONTEND_URL', type: 'url', default: 'http://localhost:3000', requiredInProduction: true },
+    shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 0, default: 10000 },
+    // Needed behind a load balancer so req.ip (rate limits, OTP throttling) is the client's address
+    trustProxy: { env: 'TRUST_PROXY', type: 'string', default: false, check: parseTrustProxy }
+  },
+  logging: {
+    level: { env: 'LOG_LEVEL', type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info' },
+    prismaQueries: { env: 'PRISMA_LOG_QUERIES', type: 'boolean', default: false }
+  },
+  database: {
+    url: { env: 'DATABASE_URL', type: 'string', required: true, secret: true },
+    directUrl: { env: 'DIRECT_URL', type: 'string', secret: true },
+    retryAttempts: { env: 'DB_RETRY_ATTEMPTS', type: 'integer', min: 0, default: 2 },
+    retryBaseDelayMs: { env: 'DB_RETRY_BASE_DELAY_MS', type: 'integer', min: 0, default: 300 },
+    retryMaxDelayMs: { env: 'DB_RETRY_MAX_DELAY_MS', type: 'integer', min: 0, default: 5000 }
+  },
+  auth: {
+    jwtSecret: { env: 'JWT_SECRET', type: 'string', required: true, secret: true },
+    accessTokenExpiresIn: { env: 'JWT_ACCESS_EXPIRES_IN', type: 'duration', default: '15m' },
+    refreshTokenExpiresIn: { env: 'JWT_REFRESH_EXPIRES_IN', type: 'duration', default: '7d' },
+    impersonationTokenExpiresIn: { env: 'IMPERSONATION_TOKEN_EXPIRES_IN', type: 'duration', default: '15m' },
+    twoFactorChallengeExpiresIn: { env: 'TWO_FACTOR_CHALLENGE_EXPIRES_IN', type: 'duration', default: '5m' },
+    twoFactorIssuer: { env: 'TWO_FACTOR_ISSUER', type: 'string', default: 'SiteWorks' },
+    emailVerificationTicketExpiresIn: { env: 'EMAIL_VERIFICATION_TICKET_EXPIRES_IN', type: 'duration', default: '30m' }
+  },
+  loginSecurity: {
+    maxFailedAttempts: { env: 'LOGIN_MAX_FAILED_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+    lockoutMinutes: { env: 'LOGIN_LOCKOUT_MINUTES', type: 'integer', min: 1, default: 15 },
+    maxDelaySeconds: { env: 'LOGIN_MAX_DELAY_SECONDS', type: 'integer', min: 0, default: 60 },
+    eventRetentionDays: { env: 'LOGIN_EVENT_RETENTION_DAYS', type: 'integer', min: 1, default: 90 }
+  },
+  otp: {
+    secret: { env: 'OTP_SECRET', type: 'string', secret: true },
+    maxAttempts: { env: 'OTP_MAX_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+    lockoutMinutes: { env: 'OTP_LOCKOUT_MINUTES', type: 'integer', min: 1, default: 15 },
+    resendIntervalSeconds: { env: 'OTP_RESEND_INTERVAL_SECONDS', type: 'integer', min: 0, default: 60 },
+    maxSendsPerEmail: { env: 'OTP_MAX_SENDS_PER_EMAIL', type: 'integer', min: 1, default: 5 },
+    maxSendsPerIp: { env: 'OTP_MAX_SENDS_PER_IP', type: 'integer', min: 1, default: 20 }
+  },
+  readiness: {
+    checkTimeoutMs: { env: 'READINESS_CHECK_TIMEOUT_MS', type: 'integer', min: 100, default: 3000 },
+    cacheTtlMs: { env: 'READINESS_CACHE_TTL_MS', type: 'integer', min: 0, default: 10000 },
+    webhookBacklogMaxAgeSeconds: { env: 'WEBHOOK_BACKLOG_MAX_AGE_SECONDS', type: 'integer', min: 1, default: 900 }
+  },
+  rateLimit: {
+    // Defaults to postgres in production and memory elsewhere (see middleware/rateLimit.js)
+    store: { env: 'RATE_LIMIT_STORE', type: 'enum', values: ['memory', 'postgres'] }
+  },
+  fieldEncryption: {
+    keys: { env: 'FIELD_ENCRYPTION_KEYS', type: 'list', secret: true, check: checkEncryptionKeys }
+  },
+  billing: {
+    subscriptionBillingIntervalMs: { env: 'SUBSCRIPTION_BILLING_INTERVAL_MS', type: 'integer', min: 1000, default: 60 * 60 * 1000 },
+    dunningIntervalMs: { env: 'DUNNING_INTERVAL_MS', type: 'integer', min: 1000, default: 60 * 60 * 1000 },
+    dunningSteps: { env: 'DUNNING_STEPS', type: 'string', default: 'email:1,sms:7,final_notice:14' },
+    dunningStepMaxAttempts: { env: 'DUNNING_STEP_MAX_ATTEMPTS', type: 'integer', min: 1, default: 3 },
+    dunningRetryDelayMinutes: { env: 'DUNNING_RETRY_DELAY_MINUTES', type: 'integer', min: 1, default: 60 },
+    paymentRetryMaxAttempts: { env: 'PAYMENT_RETRY_MAX_ATTEMPTS', type: 'integer', min: 0, default: 3 },
+    paymentRetryIntervalBusinessDays: { env: 'PAYMENT_RETRY_INTERVAL_BUSINESS_DAYS', type: 'integer', min: 1, default: 3 },
+    paymentRetryNonRetryableCauses: { env: 'PAYMENT_RETRY_NON_RETRYABLE_CAUSES', type: 'list' },
+    creditNoteRetryIntervalMs: { env: 'CREDIT_NOTE_RETRY_INTERVAL_MS', type: 'integer', min: 1000, default: 60 * 60 * 1000 },
+    creditNoteRetryMaxAttempts: { env: 'CREDIT_NOTE_RETRY_MAX_ATTEMPTS', type: 'integer', min: 1, default: 5 }
+  },
+  brevo: {
+    apiKey: { env: 'BREVO_API_KEY', type: 'string', secret: true, requiredInProduction: true },
+    fromEmail: { env: 'BREVO_FROM_EMAIL', type: 'string', default: 'noreply@siteworks.com' },
+    senderEmail: { env: 'BREVO_SENDER_EMAIL', type: 'string' },
+    senderName: { env: 'BREVO_SENDER_NAME', type: 'string', default: 'SiteWorks' }
+  },
+  goCardless: {
+    accessToken: { env: 'GOCARDLESS_ACCESS_TOKEN', type: 'string', secret: true, requiredInProduction: true },
+    environment: { env: 'GOCARDLESS_ENVIRONMENT', type: 'enum', values: ['sandbox', 'live'], default: 'sandbox' },
+    // Unsigned payment webhooks are refused in production
+    webhookSecret: { env: 'GOCARDLESS_WEBHOOK_SECRET', type: 'string', secret: true, requiredInProduction: true }
+  },
+  zoho: {
+    clientId: { env: 'ZOHO_CLIENT_ID', type: 'string', requiredInProduction: true },
+    clientSecret: { env: 'ZOHO_CLIENT_SECRET', type: 'string', secret: true, requiredInProduction: true },
+    refreshToken: { env: 'ZOHO_REFRESH_TOKEN', type: 'string', secret: true, requiredInProduction: true },
+    organizationId: { env: 'ZOHO_ORGANIZATION_ID', type: 'string', requiredInProduction: true },
+    // Unsigned invoice and contact webhooks are refused in production
+    webhookSecret: { env: 'ZOHO_WEBHOOK_SECRET', type: 'string', secret: true, requiredInProduction: true }
+  },
+  openPhone: {
+    apiKey: { env: 'OPENPHONE_API_KEY', type: 'string', secret: true },
+    webhookUrl: { env: 'OPENPHONE_WEBHOOK_URL', type: 'url' }
+  }
+};
+
+// Settings an integration needs before it can be used
+const INTEGRATIONS = {
+  zoho: ['zoho.clientId', 'zoho.clientSecret', 'zoho.refreshToken', 'zoho.organizationId'],
+  zohoWebhooks: ['zoho.webhookSecret'],
+  goCardless: ['goCardless.accessToken'],
+  goCardlessWebhooks: ['goCardless.webhookSecret'],
+  brevo: ['brevo.apiKey'],
+  openPhone: ['openPhone.apiKey'],
+  fieldEncryption: ['fieldEncryption.keys']
+};
+
+// Visit every setting in the schema with its dotted path
+const forEachSetting = (schema, visit, prefix = '') => {
+  for (const [key, entry] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (entry.env) {
+      visit(path, entry);
+    } else {
+      forEachSetting(entry, visit, path);
+    }
+  }
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+  parent[last] = value;
+};
+
+const getPath = (source, path) => path.split('.').reduce((node, key) => (node ? node[key] : undefined), source);
+
+const deepFreeze = (value) => {
+  Object.values(value).forEach((item) => {
+    if (item && typeof item === 'object') {
+      deepFreeze(item);
+    }
+  });
+  return Object.freeze(value);
+};
+
+/**
+ * Build the configuration from environment variables
+ * Invalid or missing settings are collected rather than thrown so they can all be reported at once;
+ * they fall back to their default (or null) in the returned config.
+ * @param {Object} env - Environment variables
+ * @returns {Object} { config, errors } where errors are readable messages naming the variable
+ */
+const loadConfig = (env = process.env) => {
+  const isProduction = env.NODE_ENV === 'production';
+  const config = { isProduction };
+  const errors = [];
+
+  forEachSetting(SCHEMA, (path, setting) => {
+    const raw = env[setting.env];
+    let value = setting.default === undefined ? null : setting.default;
+
+    if (raw === undefined || raw.trim() === '') {
+      if (setting.required) {
+        errors.push(`${setting.env} is required`);
+      } else if (setting.requiredInProduction && isProduction) {
+        errors.push(`${setting.env} is required in production`);
+      }
+    } else {
+      try {
+        value = TYPES[setting.type](raw, setting);
+        if (setting.check) {
+          value = setting.check(value);
+        }
+      } catch (error) {
+        // Never echo secrets back, even invalid ones
+        errors.push(`${setting.env} ${error.message}${setting.secret ? '' : ` (got "${raw}")`}`);
+      }
+    }
+
+    setPath(config, path, value);
+  });
+
+  return { config: deepFreeze(config), errors };
+};
+
+const { config, errors } = loadConfig();
+
+// Which integrations have the settings they need; never includes the values themselves
+const getIntegrationStatus = (source = config) => {
+  const status = {};
+  for (const [name, paths] of Object.entries(INTEGRATIONS)) {
+    status[name] = {
+      configured: paths.every((path) => {
+        const value = getPath(source, path);
+        return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined;
+      })
+    };
+  }
+  return status;
+};
+
+module.exports = {
+  config,
+  configErrors: errors,
+  SCHEMA,
+  loadConfig,
+  getIntegrationStatus
+};
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const { ALL_PERMISSIONS } = require('./utils/permissions');
 
 const prisma = new PrismaClient();
 
@@ -37,11 +38,11 @@ async function createAdmin() {
       }
     });
 
-    // Create admin data
+    // Create admin data; the first admin gets every permission so it can manage the others
     await prisma.admin.create({
       data: {
         customerId: admin.id,
-        permissions: ['manage_users', 'view_analytics', 'manage_billing']
+        permissions: ALL_PERMISSIONS
       }
     });
 
@@ -0,0 +1,97 @@
+require('dotenv').config();
+const { prisma } = require('./utils/db');
+const {
+  BANK_DETAIL_FIELDS,
+  isEncryptionConfigured,
+  needsReencryption,
+  reencryptValue,
+  PURGED_BANK_DETAILS
+} = require('./utils/fieldEncryption');
+const { TWO_FACTOR_SECRET_CONTEXT } = require('./utils/twoFactor');
+
+const BATCH_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+
+// Encrypt stored bank details, or purge them for customers GoCardless already holds a bank account for.
+// Also encrypts plaintext 2FA secrets, and re-wraps values written under an older key after
+// FIELD_ENCRYPTION_KEYS has been rotated.
+// Usage: node encrypt-bank-details.js [--dry-run]
+async function encryptBankDetails() {
+  const totals = { checked: 0, encrypted: 0, purged: 0, twoFactorSecrets: 0, unchanged: 0 };
+
+  try {
+    if (!isEncryptionConfigured()) {
+      console.log('❌ FIELD_ENCRYPTION_KEYS is not configured');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`🔐 ${dryRun ? 'Checking' : 'Encrypting'} stored bank details...`);
+
+    let cursor = null;
+    for (;;) {
+      const customers = await prisma.customer.findMany({
+        where: {
+          OR: [...BANK_DETAIL_FIELDS, 'twoFactorSecret'].map((field) => ({ [field]: { not: null } }))
+        },
+        select: {
+          id: true,
+          goCardlessBankAccountId: true,
+          bankCode: true,
+          accountNumber: true,
+          twoFactorSecret: true
+        },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+      });
+
+      if (customers.length === 0) {
+        break;
+      }
+
+      for (const customer of customers) {
+        totals.checked++;
+
+        let data = null;
+        const hasBankDetails = BANK_DETAIL_FIELDS.some((field) => customer[field] !== null);
+        if (hasBankDetails && customer.goCardlessBankAccountId) {
+          data = PURGED_BANK_DETAILS;
+          totals.purged++;
+        } else if (BANK_DETAIL_FIELDS.some((field) => needsReencryption(customer[field]))) {
+          data = {};
+          for (const field of BANK_DETAIL_FIELDS) {
+            data[field] = reencryptValue(customer[field], `customer.${field}`);
+          }
+          totals.encrypted++;
+        } else if (hasBankDetails) {
+          totals.unchanged++;
+        }
+
+        if (needsReencryption(customer.twoFactorSecret)) {
+          data = { ...data, twoFactorSecret: reencryptValue(customer.twoFactorSecret, TWO_FACTOR_SECRET_CONTEXT) };
+          totals.twoFactorSecrets++;
+        }
+
+        if (data && !dryRun) {
+          await prisma.customer.update({
+            where: { id: customer.id },
+            data
+          });
+        }
+      }
+
+      cursor = customers[customers.length - 1].id;
+    }
+
+    console.log(`✅ ${dryRun ? 'Dry run complete' : 'Done'}:`, totals);
+
+  } catch (error) {
+    console.error('❌ Error encrypting bank details:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+encryptBankDetails();
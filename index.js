@@ -1,110 +1,48 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-require('dotenv').config();
-
-// Prisma client setup with connection pooling and error handling
-const { PrismaClient } = require('@prisma/client');
-
-// Create Prisma client with connection pooling configuration
-const prisma = new PrismaClient({
-  datasources: {
-    db: {
-      url: process.env.DATABASE_URL,
-    },
-  },
-  // Add connection pooling configuration for Supabase
-  log: ['query', 'info', 'warn', 'error'],
-});
-
-// Database connection management
-let isConnected = false;
-
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const { body, validationResult } = require('express-validator');
+const { config, configErrors, getIntegrationStatus } = require('./config');
+const logger = require('./utils/logger');
 
-const connectDatabase = async () => {
-  try {
-    await prisma.$connect();
-    isConnected = true;
-    console.log('✅ Database connected successfully');
-  } catch (error) {
-    isConnected = false;
-    console.warn('⚠️ Database connection failed:', error.message);
-    console.log('📝 You can set up the database later using: npx prisma db push');
-  }
-};
-
-// Warm-up the connection (useful with PgBouncer) so the first request doesn't fail
-const warmupDatabase = async (maxRetries = 5, delayMs = 500) => {
-  for (let attempt = 1; attempt <= maxRetries; attempt += 1) {
-    try {
-      // Small, cheap query to ensure pool is ready
-      await prisma.$queryRaw`SELECT 1`;
-      console.log('🔥 Database warm-up successful');
-      return true;
-    } catch (err) {
-      console.warn(`⏳ Warm-up attempt ${attempt} failed: ${err.message}`);
-      if (attempt < maxRetries) {
-        await sleep(delayMs * attempt); // backoff
-      } else {
-        console.error('❌ Database warm-up failed after retries');
-        return false;
-      }
-    }
-  }
-};
+// Refuse to start with missing or invalid settings rather than failing at request time
+if (configErrors.length > 0) {
+  logger.error(`❌ Invalid configuration, refusing to start: ${configErrors.join('; ')}`);
+  process.exit(1);
+}
 
-// Reconnect function for handling connection drops
-const reconnectDatabase = async () => {
-  try {
-    await prisma.$disconnect();
-    await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-    await prisma.$connect();
-    isConnected = true;
-    console.log('✅ Database reconnected successfully');
-    return true;
-  } catch (error) {
-    isConnected = false;
-    console.error('❌ Database reconnection failed:', error.message);
-    return false;
-  }
-};
+// Shared Prisma client, connection management and retry policy
+const db = require('./utils/db');
+const { prisma } = db;
 
 // Initial connection
-connectDatabase().then(() => warmupDatabase());
-
-// Handle process termination
-process.on('beforeExit', async () => {
-  await prisma.$disconnect();
-});
+db.connect().then(() => db.warmup());
 
 // Handle uncaught exceptions
 process.on('uncaughtException', async (error) => {
-  console.error('Uncaught Exception:', error);
-  await prisma.$disconnect();
+  logger.error('Uncaught Exception:', error);
+  await db.disconnect();
   process.exit(1);
 });
 
 // Handle unhandled promise rejections
-process.on('unhandledRejection', async (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  await prisma.$disconnect();
+process.on('unhandledRejection', async (reason) => {
+  logger.error('Unhandled Rejection:', reason);
+  await db.disconnect();
   process.exit(1);
 });
 
-console.log("BREVO_API_KEY", process.env.BREVO_API_KEY);
-
 // Brevo SDK setup
 const SibApiV3Sdk = require('sib-api-v3-sdk');
 const defaultClient = SibApiV3Sdk.ApiClient.instance;
 const apiKey = defaultClient.authentications['api-key'];
-apiKey.apiKey = process.env.BREVO_API_KEY;
-
-console.log(process.env.BREVO_API_KEY);
+apiKey.apiKey = config.brevo.apiKey;
 
 // Import middleware and routes
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { requestId, requestLogger } = require('./middleware/requestId');
 const { rateLimiter } = require('./middleware/auth');
+const { captureRawBody } = require('./utils/webhookSignature');
 const authRoutes = require('./routes/auth');
 const customerRoutes = require('./routes/customer');
 const billingRoutes = require('./routes/billing');
@@ -113,32 +51,65 @@ const dashboardRoutes = require('./routes/dashboard');
 const adminRoutes = require('./routes/admin');
 
 const app = express();
-const PORT = process.env.PORT || 8000;
+
+// Take the client address from X-Forwarded-For only for the proxies we trust
+app.set('trust proxy', config.server.trustProxy);
+
+const PORT = config.server.port;
+
+// Correlation id for every request, echoed in X-Request-Id and attached to its log lines
+app.use(requestId);
+app.use(requestLogger);
 
 // Security middleware
 app.use(helmet());
 
 // CORS configuration
 app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+  origin: config.server.frontendUrl,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (webhook routes also keep the raw body for signature checks)
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Global rate limiting
-app.use(rateLimiter(15 * 60 * 1000, 500)); // 500 requests per 15 minutes
-
-// In-memory storage for OTP (in production, use Redis or database)
-const otpStorage = new Map();
-
-// Generate 6-digit OTP
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+app.use(rateLimiter({ name: 'global', windowMs: 15 * 60 * 1000, max: 500 })); // 500 requests per 15 minutes
+
+// Signup OTPs are stored hashed in the database with attempt limits and resend throttling
+const {
+  checkResendThrottle,
+  createEmailVerification,
+  deleteEmailVerification,
+  verifyEmailVerificationCode,
+  sendThrottleError,
+  sendVerificationCodeError,
+  issueVerificationTicket,
+  cleanupExpiredEmailVerifications
+} = require('./utils/emailVerification');
+
+// Normalise OTP emails the same way registration does, so the verification ticket matches the new account
+const validateOtpEmail = body('email')
+  .optional()
+  .isEmail()
+  .withMessage('Please provide a valid email address')
+  .normalizeEmail();
+
+// Reject requests that failed the OTP email validation
+const checkOtpValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array(),
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  next();
 };
 
 // Send OTP via Brevo
@@ -159,15 +130,15 @@ const sendOTPEmail = async (email, otp) => {
       </html>
     `;
     sendSmtpEmail.sender = {
-      name: process.env.BREVO_SENDER_NAME || "SiteWorks",
-      email: process.env.BREVO_SENDER_EMAIL
+      name: config.brevo.senderName,
+      email: config.brevo.senderEmail
     };
     sendSmtpEmail.to = [{ email: email }];
 
     const result = await apiInstance.sendTransacEmail(sendSmtpEmail);
     return result;
   } catch (error) {
-    console.error('Error sending email:', error);
+    logger.error('Error sending email:', error);
     throw error;
   }
 };
@@ -187,10 +158,34 @@ app.get('/health', (req, res) => {
     status: 'OK', 
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: config.server.nodeEnv,
+    integrations: getIntegrationStatus()
   });
 });
 
+// Liveness probe: the process is up and serving requests; dependencies are not checked
+app.get('/live', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Readiness probe: 503 when a critical dependency (the database) is down or the server is
+// shutting down; non-critical failures report "degraded" but still return 200
+const ReadinessService = require('./services/readiness');
+const readinessService = new ReadinessService();
+app.get('/ready', async (req, res, next) => {
+  try {
+    const readiness = await readinessService.check();
+    res.set('Cache-Control', 'no-store');
+    res.status(readiness.status === 'fail' ? 503 : 200).json(readiness);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/customers', customerRoutes);
@@ -237,7 +232,7 @@ app.post('/api/check-email', async (req, res, next) => {
 });
 
 // Send OTP endpoint
-app.post('/api/send-otp', async (req, res, next) => {
+app.post('/api/send-otp', validateOtpEmail, checkOtpValidation, async (req, res, next) => {
   try {
     const { email } = req.body;
     
@@ -260,18 +255,22 @@ app.post('/api/send-otp', async (req, res, next) => {
       });
     }
 
-    // Generate OTP
-    const otp = generateOTP();
-    
-    // Store OTP with expiration (10 minutes)
-    const expirationTime = Date.now() + (10 * 60 * 1000); // 10 minutes
-    otpStorage.set(email, {
-      otp: otp,
-      expiresAt: expirationTime
-    });
+    // Throttle resends per email and per IP
+    const throttle = await checkResendThrottle(email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottleError(res, throttle);
+    }
+
+    // Store a hashed OTP that expires in 10 minutes
+    const { verification, code } = await createEmailVerification(email, req.ip);
 
-    // Send email via Brevo
-    await sendOTPEmail(email, otp);
+    // Send email via Brevo; a code that never arrived should not count against the user
+    try {
+      await sendOTPEmail(email, code);
+    } catch (error) {
+      await deleteEmailVerification(verification.id);
+      throw error;
+    }
 
     res.json({ 
       success: true, 
@@ -285,7 +284,7 @@ app.post('/api/send-otp', async (req, res, next) => {
 });
 
 // Verify OTP endpoint
-app.post('/api/verify-otp', (req, res, next) => {
+app.post('/api/verify-otp', validateOtpEmail, checkOtpValidation, async (req, res, next) => {
   try {
     const { email, otp } = req.body;
     
@@ -296,39 +295,18 @@ app.post('/api/verify-otp', (req, res, next) => {
       });
     }
 
-    const storedData = otpStorage.get(email);
-    
-    if (!storedData) {
-      return res.status(400).json({ 
-        error: 'No OTP found for this email',
-        code: 'OTP_NOT_FOUND'
-      });
-    }
+    const result = await verifyEmailVerificationCode(email, otp);
 
-    // Check if OTP is expired
-    if (Date.now() > storedData.expiresAt) {
-      otpStorage.delete(email);
-      return res.status(400).json({ 
-        error: 'OTP has expired',
-        code: 'OTP_EXPIRED'
-      });
+    if (!result.valid) {
+      return sendVerificationCodeError(res, result);
     }
 
-    // Verify OTP
-    if (storedData.otp !== otp) {
-      return res.status(400).json({ 
-        error: 'Invalid OTP',
-        code: 'INVALID_OTP'
-      });
-    }
-
-    // Remove OTP from storage after successful verification
-    otpStorage.delete(email);
-
+    // Registration requires this ticket as proof the email was verified
     res.json({ 
       success: true, 
       message: 'OTP verified successfully',
-      email: email 
+      email: email,
+      verificationToken: issueVerificationTicket(result.verification)
     });
 
   } catch (error) {
@@ -336,16 +314,83 @@ app.post('/api/verify-otp', (req, res, next) => {
   }
 });
 
+// Background jobs are tracked so shutdown can stop the timers and wait for any run in progress
+const jobTimers = [];
+const runningJobs = new Set();
+
+const scheduleJob = (job, intervalMs) => {
+  jobTimers.push(setInterval(() => {
+    const run = job().finally(() => runningJobs.delete(run));
+    runningJobs.add(run);
+  }, intervalMs));
+};
+
 // Cleanup expired tokens periodically (every hour)
-setInterval(async () => {
+const LoginSecurityService = require('./services/loginSecurity');
+const loginSecurityService = new LoginSecurityService();
+scheduleJob(async () => {
   try {
     const { cleanupExpiredTokens } = require('./utils/auth');
     await cleanupExpiredTokens();
   } catch (error) {
-    console.error('Error cleaning up expired tokens:', error);
+    logger.error('Error cleaning up expired tokens:', error);
+  }
+
+  try {
+    await cleanupExpiredEmailVerifications();
+  } catch (error) {
+    logger.error('Error cleaning up expired email verifications:', error);
+  }
+
+  try {
+    await loginSecurityService.cleanupOldEvents();
+  } catch (error) {
+    logger.error('Error cleaning up old login events:', error);
   }
 }, 60 * 60 * 1000); // 1 hour
 
+// Bill due subscriptions periodically (default: every hour)
+const SubscriptionService = require('./services/subscriptions');
+const subscriptionService = new SubscriptionService();
+scheduleJob(async () => {
+  try {
+    const result = await subscriptionService.processDueSubscriptions();
+    if (result.billed || result.skipped || result.failed) {
+      logger.info('🧾 Subscription billing run:', result);
+    }
+  } catch (error) {
+    logger.error('Error billing due subscriptions:', error);
+  }
+}, config.billing.subscriptionBillingIntervalMs);
+
+// Chase overdue invoices periodically (default: every hour)
+const DunningService = require('./services/dunning');
+const dunningService = new DunningService();
+scheduleJob(async () => {
+  try {
+    const result = await dunningService.processOverdueInvoices();
+    if (result.sent || result.skipped || result.failed) {
+      logger.info('📨 Dunning run:', result);
+    }
+  } catch (error) {
+    logger.error('Error processing dunning:', error);
+  }
+}, config.billing.dunningIntervalMs);
+
+// Retry Zoho credit notes that failed after their GoCardless refund went through (default: every hour)
+const BillingIntegrationService = require('./services/billingIntegration');
+const billingIntegrationService = new BillingIntegrationService();
+scheduleJob(async () => {
+  try {
+    const result = await billingIntegrationService.retryFailedCreditNotes();
+    if (result.created || result.failed) {
+      logger.info('🧾 Credit note retry run:', result);
+    }
+  } catch (error) {
+    logger.error('Error retrying credit notes:', error);
+  }
+}, config.billing.creditNoteRetryIntervalMs);
+
 // Global error handling middleware
 app.use(errorHandler);
 
@@ -354,28 +399,44 @@ app.use('/*', notFoundHandler);
 
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`🚀 Server is running on port ${PORT}`);
-  console.log(`📊 Health check available at: http://localhost:${PORT}/health`);
-  console.log(`🔐 Authentication endpoints available at: http://localhost:${PORT}/api/auth`);
-  console.log(`👥 Customer endpoints available at: http://localhost:${PORT}/api/customers`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info(`🚀 Server is running on port ${PORT}`);
+  logger.info(`📊 Health check available at: http://localhost:${PORT}/health`);
+  logger.info(`🔐 Authentication endpoints available at: http://localhost:${PORT}/api/auth`);
+  logger.info(`👥 Customer endpoints available at: http://localhost:${PORT}/api/customers`);
+  logger.info(`🌍 Environment: ${config.server.nodeEnv}`);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('✅ Server closed');
-  });
-  await prisma.$disconnect();
-  process.exit(0);
-});
+// Graceful shutdown: stop accepting connections, let in-flight requests finish, then close the pool
+let shuttingDown = false;
 
-process.on('SIGINT', async () => {
-  console.log('🛑 SIGINT received, shutting down gracefully');
-  server.close(() => {
-    console.log('✅ Server closed');
+const shutdown = (signal) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  readinessService.markShuttingDown();
+  logger.info(`🛑 ${signal} received, shutting down gracefully`);
+
+  // Don't wait forever on keep-alive connections
+  const forceExit = setTimeout(() => {
+    logger.warn('⚠️ Shutdown timed out, forcing exit');
+    process.exit(1);
+  }, config.server.shutdownTimeoutMs);
+  forceExit.unref();
+
+  // Start no new background runs; runs already going are awaited before the pool closes
+  jobTimers.forEach(clearInterval);
+
+  server.close(async () => {
+    logger.info('✅ Server closed');
+    if (runningJobs.size) {
+      logger.info(`⏳ Waiting for ${runningJobs.size} background job(s) to finish`);
+      await Promise.allSettled(runningJobs);
+    }
+    await db.disconnect();
+    process.exit(0);
   });
-  await prisma.$disconnect();
-  process.exit(0);
-}); 
\ No newline at end of file
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
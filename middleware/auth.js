@@ -1,6 +1,15 @@
 const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { config } = require('../config');
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
+const { rateLimiter } = require('./rateLimit');
+const { getMissingPermissions } = require('../utils/permissions');
+const { isSessionActive } = require('../utils/auth');
+const AuditLogService = require('../services/auditLog');
+const auditLogService = new AuditLogService();
+
+// Methods an impersonation token may use; everything else changes state
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 // Custom error class for authentication errors
 class AuthError extends Error {
@@ -11,8 +20,9 @@ class AuthError extends Error {
   }
 }
 
-// Verify JWT token middleware
-const verifyToken = async (req, res, next) => {
+// Verify JWT token middleware factory; allowUnverified lets accounts that have not
+// verified their email through, so they can complete verification
+const authenticateToken = ({ allowUnverified = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -29,7 +39,12 @@ const verifyToken = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, config.auth.jwtSecret);
+
+    // Only access tokens carry customerId; challenge and verification tokens do not
+    if (!decoded.customerId) {
+      throw new AuthError('Invalid token', 401);
+    }
     
     // Check if customer exists and is active
     const customer = await prisma.customer.findUnique({
@@ -50,7 +65,8 @@ const verifyToken = async (req, res, next) => {
         role: true,
         isVerified: true,
         isActive: true,
-        lastLoginAt: true
+        lastLoginAt: true,
+        tokenVersion: true
       }
     });
 
@@ -58,6 +74,77 @@ const verifyToken = async (req, res, next) => {
       throw new AuthError('Customer not found', 401);
     }
 
+    // Tokens issued before the last password change, deactivation, role change or logout-all
+    if ((decoded.tv || 0) !== customer.tokenVersion) {
+      return res.status(401).json({
+        error: 'Token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    // Tokens from a session that was signed out or revoked (DELETE /sessions/:id, logout, refresh token reuse)
+    if (decoded.sid && !await isSessionActive(decoded.sid)) {
+      return res.status(401).json({
+        error: 'Token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    delete customer.tokenVersion;
+
+    // Session (refresh token family) the access token was issued for
+    req.sessionId = decoded.sid || null;
+
+    if (decoded.impersonatorId) {
+      const impersonator = await prisma.customer.findUnique({
+        where: { id: decoded.impersonatorId },
+        select: {
+          id: true,
+          email: true,
+          role: true,
+          isActive: true,
+          tokenVersion: true,
+          adminData: { select: { permissions: true } }
+        }
+      });
+
+      // The admin must still be allowed to impersonate, and only regular customers can be impersonated
+      if (!impersonator
+        || !impersonator.isActive
+        || (decoded.itv || 0) !== impersonator.tokenVersion
+        || getMissingPermissions(impersonator, ['users.impersonate']).length > 0
+        || customer.role !== 'user') {
+        return res.status(401).json({
+          error: 'Token has been revoked',
+          code: 'TOKEN_REVOKED'
+        });
+      }
+
+      req.impersonator = { id: impersonator.id, email: impersonator.email };
+
+      // Every impersonated request, including refused ones, is recorded against the admin
+      res.on('finish', () => {
+        auditLogService.record(req, {
+          actor: req.impersonator,
+          action: 'impersonation.request',
+          targetType: 'customer',
+          targetId: customer.id,
+          metadata: {
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode
+          }
+        });
+      });
+
+      if (!READ_ONLY_METHODS.includes(req.method)) {
+        return res.status(403).json({
+          error: 'Impersonation tokens are read-only',
+          code: 'IMPERSONATION_READ_ONLY'
+        });
+      }
+    }
+
     // For admin users, skip verification and active checks
     if (customer.role === 'admin') {
       req.user = customer;
@@ -69,7 +156,7 @@ const verifyToken = async (req, res, next) => {
       throw new AuthError('Customer account is deactivated', 401);
     }
 
-    if (!customer.isVerified) {
+    if (!customer.isVerified && !allowUnverified) {
       throw new AuthError('Customer account is not verified', 401);
     }
 
@@ -99,7 +186,7 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
-    console.error('Auth middleware error:', error);
+    logger.error('Auth middleware error:', error);
     return res.status(500).json({
       error: 'Authentication failed',
       code: 'AUTH_FAILED'
@@ -107,6 +194,9 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+const verifyToken = authenticateToken();
+const verifyTokenAllowUnverified = authenticateToken({ allowUnverified: true });
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -124,7 +214,12 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, config.auth.jwtSecret);
+
+    // Impersonation tokens only work on routes that check them with verifyToken
+    if (decoded.impersonatorId) {
+      return next();
+    }
     
     const customer = await prisma.customer.findUnique({
       where: { id: decoded.customerId },
@@ -142,11 +237,17 @@ const optionalAuth = async (req, res, next) => {
         postcode: true,
         state: true,
         isVerified: true,
-        isActive: true
+        isActive: true,
+        tokenVersion: true
       }
     });
 
-    if (customer && customer.isActive && customer.isVerified) {
+    if (customer
+      && customer.isActive
+      && customer.isVerified
+      && (decoded.tv || 0) === customer.tokenVersion
+      && (!decoded.sid || await isSessionActive(decoded.sid))) {
+      delete customer.tokenVersion;
       req.user = customer; // Keep as req.user for compatibility
     }
 
@@ -158,42 +259,9 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Rate limiting middleware
-const rateLimiter = (options = {}) => {
-  const { windowMs = 15 * 60 * 1000, max = 200 } = options;
-  const requests = new Map();
-  
-  return (req, res, next) => {
-    const ip = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    
-    if (!requests.has(ip)) {
-      requests.set(ip, { count: 1, resetTime: now + windowMs });
-    } else {
-      const record = requests.get(ip);
-      
-      if (now > record.resetTime) {
-        record.count = 1;
-        record.resetTime = now + windowMs;
-      } else {
-        record.count++;
-      }
-      
-      if (record.count > max) {
-        return res.status(429).json({
-          error: 'Too many requests',
-          code: 'RATE_LIMIT_EXCEEDED'
-        });
-      }
-    }
-    
-    next();
-  };
-};
-
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err);
+  logger.error('Error:', err);
 
   if (err instanceof AuthError) {
     return res.status(err.statusCode).json({
@@ -227,6 +295,7 @@ const errorHandler = (err, req, res, next) => {
 
 module.exports = {
   verifyToken,
+  verifyTokenAllowUnverified,
   optionalAuth,
   rateLimiter,
   errorHandler,
@@ -1,4 +1,6 @@
 const { PrismaClientKnownRequestError } = require('@prisma/client/runtime/library');
+const { config } = require('../config');
+const logger = require('../utils/logger');
 
 // Custom error classes
 class ValidationError extends Error {
@@ -52,15 +54,13 @@ class RateLimitError extends Error {
 
 // Global error handler middleware
 const errorHandler = (err, req, res, next) => {
-  console.error('Error:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
+  // The query string is left out as it can carry tokens
+  logger.error('Error:', {
+    path: req.originalUrl.split('?')[0],
     method: req.method,
     ip: req.ip,
-    userAgent: req.get('User-Agent'),
-    timestamp: new Date().toISOString()
-  });
+    userAgent: req.get('User-Agent')
+  }, err);
 
   // Handle known error types
   if (err instanceof ValidationError) {
@@ -199,8 +199,9 @@ const errorHandler = (err, req, res, next) => {
   return res.status(statusCode).json({
     error: message,
     code: code,
+    requestId: req.id,
     timestamp: new Date().toISOString(),
-    ...(process.env.NODE_ENV === 'development' && {
+    ...(config.server.nodeEnv === 'development' && {
       stack: err.stack
     })
   });
@@ -0,0 +1,148 @@
+const { config } = require('../config');
+const { prisma: sharedPrisma } = require('../utils/db');
+const logger = require('../utils/logger');
+
+const SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// In-process store; counters are lost on restart and not shared between instances
+class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+
+    // Drop expired buckets so the map cannot grow without bound
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key);
+
+    if (!bucket || bucket.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs };
+      this.buckets.set(key, fresh);
+      return { count: fresh.count, resetAt: new Date(fresh.resetAt) };
+    }
+
+    bucket.count++;
+    return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.resetAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// Postgres store; counters are shared by every instance using the same database
+class PostgresStore {
+  constructor(prisma = sharedPrisma) {
+    this.prisma = prisma;
+
+    this.sweeper = setInterval(() => {
+      this.sweep().catch((error) => logger.error('Error sweeping rate limit buckets:', error.message));
+    }, SWEEP_INTERVAL_MS * 10);
+    this.sweeper.unref();
+  }
+
+  // Increment atomically in one statement, starting a new window when the old one has ended
+  async increment(key, windowMs) {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + windowMs);
+
+    const [bucket] = await this.prisma.$queryRaw`
+      INSERT INTO "public"."rate_limit_buckets" ("key", "count", "resetAt")
+      VALUES (${key}, 1, ${resetAt})
+      ON CONFLICT ("key") DO UPDATE SET
+        "count" = CASE WHEN "rate_limit_buckets"."resetAt" <= ${now} THEN 1 ELSE "rate_limit_buckets"."count" + 1 END,
+        "resetAt" = CASE WHEN "rate_limit_buckets"."resetAt" <= ${now} THEN ${resetAt} ELSE "rate_limit_buckets"."resetAt" END
+      RETURNING "count", "resetAt"
+    `;
+
+    return { count: Number(bucket.count), resetAt: new Date(bucket.resetAt) };
+  }
+
+  async sweep() {
+    await this.prisma.rateLimitBucket.deleteMany({
+      where: { resetAt: { lt: new Date() } }
+    });
+  }
+}
+
+let defaultStore = null;
+
+// Store used when a limiter does not pass its own: RATE_LIMIT_STORE=postgres|memory,
+// defaulting to postgres in production so limits hold across instances
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    const storeType = config.rateLimit.store || (config.isProduction ? 'postgres' : 'memory');
+    defaultStore = storeType === 'postgres' ? new PostgresStore() : new MemoryStore();
+  }
+  return defaultStore;
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Policy name; limiters with different names count separately
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {string} options.message - Error message for limited requests
+ * @param {Function} options.keyGenerator - (req) => key; defaults to the client IP
+ * @param {Object} options.store - Store with increment(key, windowMs); defaults to RATE_LIMIT_STORE
+ * @returns {Function} Express middleware
+ */
+const rateLimiter = (options = {}) => {
+  if (typeof options !== 'object' || options === null) {
+    throw new TypeError('rateLimiter expects an options object, e.g. rateLimiter({ windowMs, max })');
+  }
+
+  const {
+    name = 'global',
+    windowMs = 15 * 60 * 1000,
+    max = 200,
+    message = 'Too many requests',
+    keyGenerator = (req) => req.ip || req.connection.remoteAddress,
+    store
+  } = options;
+
+  return async (req, res, next) => {
+    let bucket;
+    try {
+      bucket = await (store || getDefaultStore()).increment(`${name}:${keyGenerator(req)}`, windowMs);
+    } catch (error) {
+      // Fail open: an unavailable store should not take the API down
+      logger.error(`Rate limit store error (${name}):`, error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((bucket.resetAt.getTime() - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - bucket.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (bucket.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: message,
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimiter,
+  MemoryStore,
+  PostgresStore
+};
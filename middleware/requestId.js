@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Incoming ids are reused only if they look like ids, so they cannot inject into logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+
+// Give every request a correlation id: reuse a valid X-Request-Id from the caller or create one,
+// echo it in the response, and make it available to every log line written while handling the request
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+
+  logger.requestContext.run({ requestId: id }, next);
+};
+
+// Log each request once it has been answered; query strings are left out as they can carry tokens
+const requestLogger = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    logger.requestContext.run({ requestId: req.id }, () => {
+      logger[level]('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        durationMs: Math.round(durationMs)
+      });
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  requestId,
+  requestLogger
+};
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "public"."webhook_events" (
+    "id" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "resourceType" TEXT,
+    "action" TEXT,
+    "payload" JSONB NOT NULL,
+    "deliveryCount" INTEGER NOT NULL DEFAULT 1,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastReceivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+    "processingError" TEXT,
+
+    CONSTRAINT "webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "webhook_events_provider_eventId_key" ON "public"."webhook_events"("provider", "eventId");
+
+-- CreateIndex
+CREATE INDEX "webhook_events_processedAt_idx" ON "public"."webhook_events"("processedAt");
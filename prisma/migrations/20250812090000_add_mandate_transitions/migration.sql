@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "public"."mandate_transitions" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "mandateId" TEXT NOT NULL,
+    "eventId" TEXT,
+    "action" TEXT NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "cause" TEXT,
+    "description" TEXT,
+    "applied" BOOLEAN NOT NULL DEFAULT true,
+    "occurredAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mandate_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mandate_transitions_eventId_key" ON "public"."mandate_transitions"("eventId");
+
+-- CreateIndex
+CREATE INDEX "mandate_transitions_customerId_idx" ON "public"."mandate_transitions"("customerId");
+
+-- CreateIndex
+CREATE INDEX "mandate_transitions_mandateId_idx" ON "public"."mandate_transitions"("mandateId");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."billing_history" ADD COLUMN     "statusCause" TEXT,
+ADD COLUMN     "statusDescription" TEXT;
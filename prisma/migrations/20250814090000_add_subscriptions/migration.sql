@@ -0,0 +1,59 @@
+-- CreateTable
+CREATE TABLE "public"."plans" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'GBP',
+    "interval" TEXT NOT NULL DEFAULT 'monthly',
+    "trialDays" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "plans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."subscriptions" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "planId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "anchorDay" INTEGER NOT NULL,
+    "trialEndsAt" TIMESTAMP(3),
+    "nextBillingDate" TIMESTAMP(3),
+    "pausedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "subscriptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."subscription_billing_periods" (
+    "id" TEXT NOT NULL,
+    "subscriptionId" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'processing',
+    "billingHistoryId" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "subscription_billing_periods_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "subscriptions_customerId_idx" ON "public"."subscriptions"("customerId");
+
+-- CreateIndex
+CREATE INDEX "subscriptions_planId_idx" ON "public"."subscriptions"("planId");
+
+-- CreateIndex
+CREATE INDEX "subscriptions_status_nextBillingDate_idx" ON "public"."subscriptions"("status", "nextBillingDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subscription_billing_periods_subscriptionId_periodStart_key" ON "public"."subscription_billing_periods"("subscriptionId", "periodStart");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."billing_history" ADD COLUMN     "idempotencyKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "billing_history_idempotencyKey_key" ON "public"."billing_history"("idempotencyKey");
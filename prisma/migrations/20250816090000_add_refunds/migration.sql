@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "public"."refunds" (
+    "id" TEXT NOT NULL,
+    "billingHistoryId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "goCardlessRefundId" TEXT,
+    "zohoCreditNoteId" TEXT,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'GBP',
+    "status" TEXT NOT NULL DEFAULT 'created',
+    "statusCause" TEXT,
+    "reason" TEXT,
+    "initiatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "refunds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refunds_goCardlessRefundId_key" ON "public"."refunds"("goCardlessRefundId");
+
+-- CreateIndex
+CREATE INDEX "refunds_billingHistoryId_idx" ON "public"."refunds"("billingHistoryId");
+
+-- CreateIndex
+CREATE INDEX "refunds_customerId_idx" ON "public"."refunds"("customerId");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."billing_history" ADD COLUMN     "retryCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "nextRetryAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "billing_history_nextRetryAt_idx" ON "public"."billing_history"("nextRetryAt");
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "public"."customers" ADD COLUMN     "dunningPaused" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."billing_history" ADD COLUMN     "dunningStep" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastDunningAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."dunning_logs" (
+    "id" TEXT NOT NULL,
+    "billingHistoryId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "step" INTEGER NOT NULL,
+    "stepType" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "dunning_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "dunning_logs_billingHistoryId_idx" ON "public"."dunning_logs"("billingHistoryId");
+
+-- CreateIndex
+CREATE INDEX "dunning_logs_customerId_idx" ON "public"."dunning_logs"("customerId");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."email_verifications" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "purpose" TEXT NOT NULL DEFAULT 'signup',
+    "codeHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "lockedUntil" TIMESTAMP(3),
+    "consumedAt" TIMESTAMP(3),
+    "requestIp" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "email_verifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "email_verifications_email_purpose_createdAt_idx" ON "public"."email_verifications"("email", "purpose", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "email_verifications_requestIp_createdAt_idx" ON "public"."email_verifications"("requestIp", "createdAt");
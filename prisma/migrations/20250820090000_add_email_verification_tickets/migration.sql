@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."email_verifications" ADD COLUMN     "ticketUsedAt" TIMESTAMP(3);
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "public"."customers" ADD COLUMN     "twoFactorEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "twoFactorSecret" TEXT,
+ADD COLUMN     "twoFactorEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "twoFactorLastUsedStep" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."recovery_codes" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "recovery_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."app_settings" (
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "updatedBy" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "app_settings_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "recovery_codes_customerId_idx" ON "public"."recovery_codes"("customerId");
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "public"."refresh_tokens" ADD COLUMN     "familyId" TEXT,
+ADD COLUMN     "replacedAt" TIMESTAMP(3),
+ADD COLUMN     "userAgent" TEXT,
+ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing tokens each become their own session
+UPDATE "public"."refresh_tokens" SET "familyId" = "id" WHERE "familyId" IS NULL;
+
+ALTER TABLE "public"."refresh_tokens" ALTER COLUMN "familyId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_customerId_idx" ON "public"."refresh_tokens"("customerId");
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_familyId_idx" ON "public"."refresh_tokens"("familyId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."customers" ADD COLUMN     "tokenVersion" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "public"."customers" ADD COLUMN     "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastFailedLoginAt" TIMESTAMP(3),
+ADD COLUMN     "lockedUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."login_events" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT,
+    "email" TEXT NOT NULL,
+    "success" BOOLEAN NOT NULL,
+    "reason" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "login_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "login_events_customerId_createdAt_idx" ON "public"."login_events"("customerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "login_events_createdAt_idx" ON "public"."login_events"("createdAt");
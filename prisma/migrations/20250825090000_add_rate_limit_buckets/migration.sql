@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "public"."rate_limit_buckets" (
+    "key" TEXT NOT NULL,
+    "count" INTEGER NOT NULL,
+    "resetAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "rate_limit_buckets_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "rate_limit_buckets_resetAt_idx" ON "public"."rate_limit_buckets"("resetAt");
@@ -0,0 +1,20 @@
+-- Map legacy admin permissions onto the permission catalogue and drop unknown names
+UPDATE "public"."admins" SET "permissions" = ARRAY(
+  SELECT DISTINCT "mapped"."name"
+  FROM unnest("admins"."permissions") AS "legacy"("name")
+  CROSS JOIN LATERAL unnest(CASE "legacy"."name"
+    WHEN 'manage_users' THEN ARRAY['users.read', 'users.write', 'admins.manage', 'settings.manage']
+    WHEN 'view_analytics' THEN ARRAY['analytics.read']
+    WHEN 'manage_billing' THEN ARRAY['billing.read', 'billing.charge', 'billing.manage']
+    WHEN 'users.read' THEN ARRAY['users.read']
+    WHEN 'users.write' THEN ARRAY['users.write']
+    WHEN 'billing.read' THEN ARRAY['billing.read']
+    WHEN 'billing.charge' THEN ARRAY['billing.charge']
+    WHEN 'billing.manage' THEN ARRAY['billing.manage']
+    WHEN 'analytics.read' THEN ARRAY['analytics.read']
+    WHEN 'settings.manage' THEN ARRAY['settings.manage']
+    WHEN 'admins.manage' THEN ARRAY['admins.manage']
+    ELSE ARRAY[]::TEXT[]
+  END) AS "mapped"("name")
+  ORDER BY "mapped"."name"
+);
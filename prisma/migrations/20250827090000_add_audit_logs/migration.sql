@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "public"."audit_logs" (
+    "id" TEXT NOT NULL,
+    "actorId" TEXT,
+    "actorEmail" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT NOT NULL,
+    "targetId" TEXT,
+    "changes" JSONB,
+    "metadata" JSONB,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_logs_actorId_createdAt_idx" ON "public"."audit_logs"("actorId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_targetType_targetId_createdAt_idx" ON "public"."audit_logs"("targetType", "targetId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_action_createdAt_idx" ON "public"."audit_logs"("action", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_createdAt_idx" ON "public"."audit_logs"("createdAt");
+
+-- Admins who can manage other admins can also read the audit log
+UPDATE "public"."admins" SET "permissions" = array_append("permissions", 'audit.read')
+WHERE 'admins.manage' = ANY("permissions") AND NOT ('audit.read' = ANY("permissions"));
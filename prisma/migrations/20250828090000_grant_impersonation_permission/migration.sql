@@ -0,0 +1,3 @@
+-- Admins who can manage other admins can also impersonate customers
+UPDATE "public"."admins" SET "permissions" = array_append("permissions", 'users.impersonate')
+WHERE 'admins.manage' = ANY("permissions") AND NOT ('users.impersonate' = ANY("permissions"));
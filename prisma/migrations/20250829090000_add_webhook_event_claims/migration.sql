@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."webhook_events" ADD COLUMN     "processingStartedAt" TIMESTAMP(3);
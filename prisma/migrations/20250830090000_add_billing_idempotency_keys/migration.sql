@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "public"."billing_idempotency_keys" (
+    "key" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "billingHistoryId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "billing_idempotency_keys_pkey" PRIMARY KEY ("key")
+);
+
+-- Keys used before reservations existed replay their billing record
+INSERT INTO "public"."billing_idempotency_keys" ("key", "customerId", "status", "billingHistoryId", "createdAt", "updatedAt")
+SELECT "idempotencyKey", "customerId", 'completed', "id", "createdAt", "updatedAt"
+FROM "public"."billing_history"
+WHERE "idempotencyKey" IS NOT NULL;
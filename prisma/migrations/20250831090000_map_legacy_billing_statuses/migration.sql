@@ -0,0 +1,10 @@
+-- Map raw GoCardless payment statuses stored by the old payment sync onto billing history
+-- statuses (as utils/paymentStatus.js fromGoCardlessStatus does), so the state machine accepts them
+UPDATE "public"."billing_history" SET "status" = CASE "status"
+    WHEN 'pending_customer_approval' THEN 'pending'
+    WHEN 'pending_submission' THEN 'pending'
+    WHEN 'confirmed' THEN 'paid'
+    WHEN 'customer_approval_denied' THEN 'failed'
+    ELSE 'pending'
+  END
+WHERE "status" NOT IN ('pending', 'submitted', 'paid', 'paid_out', 'failed', 'cancelled', 'charged_back', 'resubmitted');
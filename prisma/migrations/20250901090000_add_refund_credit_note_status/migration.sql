@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "public"."refunds" ADD COLUMN     "creditNoteStatus" TEXT,
+ADD COLUMN     "creditNoteError" TEXT,
+ADD COLUMN     "creditNoteAttempts" INTEGER NOT NULL DEFAULT 0;
+
+-- Refunds that already have a credit note
+UPDATE "public"."refunds" SET "creditNoteStatus" = 'created', "creditNoteAttempts" = 1
+WHERE "zohoCreditNoteId" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "refunds_creditNoteStatus_idx" ON "public"."refunds"("creditNoteStatus");
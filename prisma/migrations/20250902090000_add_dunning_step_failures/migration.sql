@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."billing_history" ADD COLUMN     "dunningFailures" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "nextDunningAttemptAt" TIMESTAMP(3);
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "public"."billing_idempotency_keys" ADD COLUMN     "claimedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "goCardlessPaymentId" TEXT,
+ADD COLUMN     "zohoInvoiceId" TEXT;
@@ -0,0 +1,36 @@
+-- A Zoho invoice webhook could create a second billing record for an invoice raised by a billing cycle.
+-- Merge those duplicates into the record that raised the invoice (the one with a payment or
+-- idempotency key, otherwise the oldest) before the invoice ID is made unique.
+CREATE TEMPORARY TABLE "billing_history_duplicates" AS
+SELECT "id", "keepId"
+FROM (
+    SELECT "id", FIRST_VALUE("id") OVER (
+        PARTITION BY "zohoInvoiceId"
+        ORDER BY ("goCardlessPaymentId" IS NULL), ("idempotencyKey" IS NULL), "createdAt", "id"
+    ) AS "keepId"
+    FROM "public"."billing_history"
+    WHERE "zohoInvoiceId" IS NOT NULL
+) AS "ranked"
+WHERE "id" <> "keepId";
+
+UPDATE "public"."receipts" SET "billingHistoryId" = d."keepId"
+FROM "billing_history_duplicates" d WHERE "receipts"."billingHistoryId" = d."id";
+
+UPDATE "public"."refunds" SET "billingHistoryId" = d."keepId"
+FROM "billing_history_duplicates" d WHERE "refunds"."billingHistoryId" = d."id";
+
+UPDATE "public"."dunning_logs" SET "billingHistoryId" = d."keepId"
+FROM "billing_history_duplicates" d WHERE "dunning_logs"."billingHistoryId" = d."id";
+
+UPDATE "public"."billing_idempotency_keys" SET "billingHistoryId" = d."keepId"
+FROM "billing_history_duplicates" d WHERE "billing_idempotency_keys"."billingHistoryId" = d."id";
+
+UPDATE "public"."subscription_billing_periods" SET "billingHistoryId" = d."keepId"
+FROM "billing_history_duplicates" d WHERE "subscription_billing_periods"."billingHistoryId" = d."id";
+
+DELETE FROM "public"."billing_history" WHERE "id" IN (SELECT "id" FROM "billing_history_duplicates");
+
+DROP TABLE "billing_history_duplicates";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "billing_history_zohoInvoiceId_key" ON "public"."billing_history"("zohoInvoiceId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."refunds" ADD COLUMN     "creditNoteClaimedAt" TIMESTAMP(3);
@@ -1,6 +1,8 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { PrismaClient } = require('@prisma/client');
+const { config } = require('../config');
+const { prisma, withRetry } = require('../utils/db');
+const logger = require('../utils/logger');
 const { 
   verifyToken, 
   rateLimiter, 
@@ -10,11 +12,54 @@ const {
   hashPassword,
   comparePassword,
   generateTokenPair,
-  updateLastLogin
+  generateImpersonationToken,
+  updateLastLogin,
+  revokeAllUserTokens,
+  invalidateAccessTokens
 } = require('../utils/auth');
+const { PAID_STATUSES } = require('../utils/paymentStatus');
+const {
+  BANK_DETAIL_FIELDS,
+  encryptBankDetails,
+  decryptBankDetails
+} = require('../utils/fieldEncryption');
+const { getRetryPolicy } = require('../utils/paymentRetry');
+const { ADMIN_TWO_FACTOR_SETTING, setSetting, isAdminTwoFactorRequired } = require('../utils/twoFactor');
+const {
+  ALL_PERMISSIONS,
+  DEFAULT_ADMIN_PERMISSIONS,
+  isValidPermissionList,
+  getMissingPermissions
+} = require('../utils/permissions');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+
+// Most rows a single audit log CSV export returns
+const AUDIT_LOG_EXPORT_LIMIT = 10000;
+
+// Customer fields an admin may edit through the profile endpoint; anything else in the body is ignored.
+// Bank detail fields are accepted too, but are encrypted before they are stored.
+const ADMIN_EDITABLE_PROFILE_FIELDS = [
+  'email',
+  'firstName',
+  'lastName',
+  'companyName',
+  'phone',
+  'countryOfResidence',
+  'addressLine1',
+  'addressLine2',
+  'city',
+  'postcode',
+  'state',
+  'goCardlessCustomerId',
+  'goCardlessBankAccountId',
+  'goCardlessMandateId',
+  'mandateStatus',
+  'openPhoneContactId'
+];
+
+// Profile fields used to sign in; changing one invalidates the customer's access tokens
+const SIGNIN_PROFILE_FIELDS = ['email'];
 const ZohoService = require('../services/zoho');
 const zohoService = new ZohoService();
 const GoCardlessService = require('../services/gocardless');
@@ -23,23 +68,28 @@ const OpenPhoneSyncService = require('../services/openphone-sync');
 const openPhoneSyncService = new OpenPhoneSyncService();
 const OpenPhoneMessageService = require('../services/openphone-messages');
 const openPhoneMessageService = new OpenPhoneMessageService();
-
-// Small retry helper for DB calls (helps with PgBouncer cold starts)
-async function withDbRetry(action, { retries = 2, backoffMs = 300 } = {}) {
-  let lastError;
-  for (let attempt = 0; attempt <= retries; attempt += 1) {
-    try {
-      return await action();
-    } catch (err) {
-      lastError = err;
-      if (attempt < retries) {
-        await new Promise((r) => setTimeout(r, backoffMs * (attempt + 1)));
-        continue;
-      }
-    }
+const BillingIntegrationService = require('../services/billingIntegration');
+const billingIntegration = new BillingIntegrationService();
+const SubscriptionService = require('../services/subscriptions');
+const { SubscriptionError, PLAN_INTERVALS, SUBSCRIPTION_STATUSES } = SubscriptionService;
+const subscriptionService = new SubscriptionService();
+const LoginSecurityService = require('../services/loginSecurity');
+const loginSecurityService = new LoginSecurityService();
+const BankValidationService = require('../services/bankValidation');
+const bankValidationService = new BankValidationService();
+const AuditLogService = require('../services/auditLog');
+const auditLogService = new AuditLogService();
+
+// Send subscription errors (unknown plan, wrong state, ...) as API errors; everything else goes to the error handler
+const handleSubscriptionError = (error, res, next) => {
+  if (error instanceof SubscriptionError) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code
+    });
   }
-  throw lastError;
-}
+  next(error);
+};
 
 // Middleware to check if user is admin
 const requireAdmin = async (req, res, next) => {
@@ -51,7 +101,7 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
-    const customer = await withDbRetry(() => prisma.customer.findUnique({
+    const customer = await withRetry(() => prisma.customer.findUnique({
       where: { id: req.user.id },
       include: { adminData: true }
     }));
@@ -70,24 +120,61 @@ const requireAdmin = async (req, res, next) => {
   }
 };
 
+// Middleware to check the admin holds every listed permission; use after requireAdmin
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter((permission) => !ALL_PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown admin permission: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    const missing = getMissingPermissions(req.admin, permissions);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        missingPermissions: missing
+      });
+    }
+    next();
+  };
+};
+
+// Send 403 when the acting admin tries to grant permissions they do not hold themselves;
+// returns true when the response has been sent
+const rejectUngrantablePermissions = (req, res, granted) => {
+  const missing = getMissingPermissions(req.admin, granted);
+  if (missing.length === 0) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: 'You can only grant permissions you hold',
+    code: 'CANNOT_GRANT_PERMISSIONS',
+    missingPermissions: missing
+  });
+  return true;
+};
+
 // Get admin dashboard overview
 router.get('/dashboard',
   verifyToken,
   requireAdmin,
+  requirePermission('analytics.read'),
   async (req, res, next) => {
     try {
       const { source = 'db' } = req.query;
 
       if (source === 'zoho') {
         // Fetch all customers from Zoho for UI testing
-        console.log('🔄 Fetching ALL Zoho customers for dashboard...');
+        logger.info('🔄 Fetching ALL Zoho customers for dashboard...');
         let allCustomers = [];
         let currentPage = 1;
         let hasMore = true;
         
         while (hasMore) {
           try {
-            console.log(`📄 Fetching customers page ${currentPage}...`);
+            logger.info(`📄 Fetching customers page ${currentPage}...`);
             const options = { page: currentPage, per_page: 200 }; // Max per page
             const zohoResp = await zohoService.getAllCustomers(options);
             const pageCustomers = Array.isArray(zohoResp.contacts) ? zohoResp.contacts : [];
@@ -105,12 +192,12 @@ router.get('/dashboard',
               }
             }
           } catch (error) {
-            console.error(`❌ Error fetching customers page ${currentPage}:`, error);
+            logger.error(`❌ Error fetching customers page ${currentPage}:`, error);
             hasMore = false;
           }
         }
         
-        console.log(`✅ Fetched ${allCustomers.length} total customers from Zoho`);
+        logger.info(`✅ Fetched ${allCustomers.length} total customers from Zoho`);
 
         // Transform Zoho customers to match our interface
         const recentUsers = allCustomers.slice(0, 10).map(customer => ({
@@ -143,7 +230,7 @@ router.get('/dashboard',
         let totalRevenue = 0;
         let totalTransactions = 0;
         try {
-          console.log('📊 Fetching billing stats from Zoho...');
+          logger.info('📊 Fetching billing stats from Zoho...');
           const invoiceOptions = { page: 1, per_page: 200 };
           const invoiceResp = await zohoService.getAllInvoices(invoiceOptions);
           const invoices = Array.isArray(invoiceResp.invoices) ? invoiceResp.invoices : [];
@@ -153,7 +240,7 @@ router.get('/dashboard',
             .reduce((sum, inv) => sum + (Number(inv.total) || 0), 0);
           totalTransactions = invoices.filter(inv => inv.status === 'paid').length;
         } catch (error) {
-          console.error('❌ Error fetching billing stats:', error);
+          logger.error('❌ Error fetching billing stats:', error);
         }
 
         return res.json({
@@ -176,12 +263,12 @@ router.get('/dashboard',
 
       // Default: Get data from database
       // Get total users count
-      const totalUsers = await withDbRetry(() => prisma.customer.count({
+      const totalUsers = await withRetry(() => prisma.customer.count({
         where: { role: 'user' }
       }));
 
       // Get active users count
-      const activeUsers = await withDbRetry(() => prisma.customer.count({
+      const activeUsers = await withRetry(() => prisma.customer.count({
         where: { 
           role: 'user',
           isActive: true 
@@ -189,7 +276,7 @@ router.get('/dashboard',
       }));
 
       // Get verified users count
-      const verifiedUsers = await withDbRetry(() => prisma.customer.count({
+      const verifiedUsers = await withRetry(() => prisma.customer.count({
         where: { 
           role: 'user',
           isVerified: true 
@@ -197,7 +284,7 @@ router.get('/dashboard',
       }));
 
       // Get users with GoCardless integration
-      const usersWithGoCardless = await withDbRetry(() => prisma.customer.count({
+      const usersWithGoCardless = await withRetry(() => prisma.customer.count({
         where: { 
           role: 'user',
           goCardlessCustomerId: { not: null }
@@ -208,7 +295,7 @@ router.get('/dashboard',
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
       
-      const recentRegistrations = await withDbRetry(() => prisma.customer.count({
+      const recentRegistrations = await withRetry(() => prisma.customer.count({
         where: { 
           role: 'user',
           createdAt: { gte: thirtyDaysAgo }
@@ -216,7 +303,7 @@ router.get('/dashboard',
       }));
 
       // Get billing statistics
-      const billingStats = await withDbRetry(() => prisma.billingHistory.aggregate({
+      const billingStats = await withRetry(() => prisma.billingHistory.aggregate({
         _sum: {
           amount: true
         },
@@ -224,12 +311,12 @@ router.get('/dashboard',
           id: true
         },
         where: {
-          status: 'paid'
+          status: { in: PAID_STATUSES }
         }
       }));
 
       // Get recent users
-      const recentUsers = await withDbRetry(() => prisma.customer.findMany({
+      const recentUsers = await withRetry(() => prisma.customer.findMany({
         where: { role: 'user' },
         select: {
           id: true,
@@ -275,24 +362,32 @@ router.get('/dashboard',
 router.get('/zoho/invoices/:invoiceId/pdf',
   verifyToken,
   requireAdmin,
+  requirePermission('billing.read'),
   async (req, res, next) => {
     try {
       const { invoiceId } = req.params;
-      console.log('🔍 PDF request for invoice:', invoiceId);
+      logger.info('🔍 PDF request for invoice:', invoiceId);
+
+      await auditLogService.record(req, {
+        action: 'invoice.pdf_downloaded',
+        targetType: 'invoice',
+        targetId: invoiceId,
+        metadata: { stream: req.query.stream === 'true' }
+      });
       
       if (req.query.stream === 'true') {
         try {
-          console.log('📄 Attempting binary PDF fetch...');
+          logger.info('📄 Attempting binary PDF fetch...');
           const data = await zohoService.fetchInvoicePDFBinary(invoiceId);
-          console.log('✅ Binary PDF fetched, size:', data.byteLength);
+          logger.info('✅ Binary PDF fetched, size:', data.byteLength);
           res.setHeader('Content-Type', 'application/pdf');
           res.setHeader('Content-Disposition', req.query.disposition === 'attachment' ? `attachment; filename="invoice-${invoiceId}.pdf"` : `inline; filename="invoice-${invoiceId}.pdf"`);
           return res.send(Buffer.from(data));
         } catch (e) {
-          console.log('❌ Binary fetch failed:', e.message);
+          logger.info('❌ Binary fetch failed:', e.message);
           // If binary fetch fails, fall back to returning download URL
           const downloadUrl = await zohoService.getInvoicePDF(invoiceId);
-          console.log('📄 Falling back to download URL:', downloadUrl);
+          logger.info('📄 Falling back to download URL:', downloadUrl);
           return res.json({ success: true, data: { downloadUrl } });
         }
       }
@@ -301,7 +396,7 @@ router.get('/zoho/invoices/:invoiceId/pdf',
       const downloadUrl = await zohoService.getInvoicePDF(invoiceId);
       return res.json({ success: true, data: { downloadUrl } });
     } catch (error) {
-      console.error('❌ PDF endpoint error:', error);
+      logger.error('❌ PDF endpoint error:', error);
       next(error);
     }
   }
@@ -312,6 +407,7 @@ router.get('/zoho/invoices/:invoiceId/pdf',
 router.get('/zoho/invoices',
   verifyToken,
   requireAdmin,
+  requirePermission('billing.read'),
   async (req, res, next) => {
     try {
       const { 
@@ -321,10 +417,10 @@ router.get('/zoho/invoices',
         status = '' 
       } = req.query;
 
-      console.log('🔍 Admin Zoho invoices request:', { page, limit, search, status });
+      logger.info('🔍 Admin Zoho invoices request:', { page, limit, search, status });
 
       // Get all customers from database to fetch their invoices
-      const customers = await withDbRetry(() => prisma.customer.findMany({
+      const customers = await withRetry(() => prisma.customer.findMany({
         where: { role: 'user' },
         select: {
           id: true,
@@ -336,7 +432,7 @@ router.get('/zoho/invoices',
         }
       }));
 
-      console.log(`📊 Found ${customers.length} customers in database`);
+      logger.info(`📊 Found ${customers.length} customers in database`);
 
       let allInvoices = [];
       let totalAmount = 0;
@@ -348,7 +444,7 @@ router.get('/zoho/invoices',
       for (const customer of customers) {
         if (customer.zohoCustomerId) {
           try {
-            console.log(`🔍 Fetching invoices for customer: ${customer.email}`);
+            logger.info(`🔍 Fetching invoices for customer: ${customer.email}`);
             const customerInvoices = await zohoService.getCustomerInvoices(customer.zohoCustomerId);
             
             // Filter invoices based on search and status
@@ -402,7 +498,7 @@ router.get('/zoho/invoices',
             });
 
           } catch (error) {
-            console.error(`❌ Error fetching invoices for customer ${customer.email}:`, error);
+            logger.error(`❌ Error fetching invoices for customer ${customer.email}:`, error);
           }
         }
       }
@@ -435,7 +531,7 @@ router.get('/zoho/invoices',
       });
 
     } catch (error) {
-      console.error('❌ Admin Zoho invoices endpoint error:', error);
+      logger.error('❌ Admin Zoho invoices endpoint error:', error);
       next(error);
     }
   }
@@ -446,6 +542,7 @@ router.get('/zoho/invoices',
 router.get('/users',
   verifyToken,
   requireAdmin,
+  requirePermission('users.read'),
   async (req, res, next) => {
     try {
       const { 
@@ -489,10 +586,10 @@ router.get('/users',
       }
 
       // Get total count
-      const totalUsers = await withDbRetry(() => prisma.customer.count({ where }));
+      const totalUsers = await withRetry(() => prisma.customer.count({ where }));
 
       // Get users
-      const users = await withDbRetry(() => prisma.customer.findMany({
+      const users = await withRetry(() => prisma.customer.findMany({
         where,
         select: {
           id: true,
@@ -543,11 +640,12 @@ router.get('/users',
 router.get('/users/:userId',
   verifyToken,
   requireAdmin,
+  requirePermission('users.read'),
   async (req, res, next) => {
     try {
       const { userId } = req.params;
 
-      const user = await withDbRetry(() => prisma.customer.findUnique({
+      const user = await withRetry(() => prisma.customer.findUnique({
         where: { 
           id: userId,
           role: 'user'
@@ -570,6 +668,9 @@ router.get('/users/:userId',
           city: true,
           postcode: true,
           state: true,
+          accountHolderName: true,
+          accountType: true,
+          accountNumber: true,
           goCardlessCustomerId: true,
           goCardlessBankAccountId: true,
           goCardlessMandateId: true,
@@ -599,6 +700,12 @@ router.get('/users/:userId',
         });
       }
 
+      // Stored bank details are encrypted; only ever show the masked account number
+      user.maskedAccountNumber = user.accountNumber
+        ? bankValidationService.maskAccountNumber(decryptBankDetails(user).accountNumber)
+        : null;
+      delete user.accountNumber;
+
       res.json({
         success: true,
         user
@@ -614,6 +721,7 @@ router.get('/users/:userId',
 router.patch('/users/:userId/status',
   verifyToken,
   requireAdmin,
+  requirePermission('users.write'),
   [
     body('isActive')
       .isBoolean()
@@ -633,7 +741,7 @@ router.patch('/users/:userId/status',
       const { userId } = req.params;
       const { isActive } = req.body;
 
-      const user = await withDbRetry(() => prisma.customer.findUnique({
+      const user = await withRetry(() => prisma.customer.findUnique({
         where: { 
           id: userId,
           role: 'user'
@@ -647,7 +755,7 @@ router.patch('/users/:userId/status',
         });
       }
 
-      const updatedUser = await withDbRetry(() => prisma.customer.update({
+      const updatedUser = await withRetry(() => prisma.customer.update({
         where: { id: userId },
         data: { isActive },
         select: {
@@ -660,6 +768,20 @@ router.patch('/users/:userId/status',
         }
       }));
 
+      // Sign a deactivated user out everywhere straight away
+      if (!isActive) {
+        await withRetry(() => revokeAllUserTokens(userId));
+      }
+
+      await auditLogService.record(req, {
+        action: 'user.status_changed',
+        targetType: 'customer',
+        targetId: userId,
+        before: user,
+        after: updatedUser,
+        fields: ['isActive']
+      });
+
       res.json({
         success: true,
         message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -672,10 +794,125 @@ router.patch('/users/:userId/status',
   }
 );
 
+// Unlock a user locked out by failed signins
+router.post('/users/:userId/unlock',
+  verifyToken,
+  requireAdmin,
+  requirePermission('users.write'),
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      const user = await withRetry(() => prisma.customer.findUnique({
+        where: { id: userId },
+        select: { id: true, failedLoginAttempts: true, lockedUntil: true }
+      }));
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const updatedUser = await withRetry(() => loginSecurityService.unlockAccount(userId));
+
+      logger.info(`🔓 Account ${updatedUser.email} unlocked by ${req.user.email}`);
+
+      await auditLogService.record(req, {
+        action: 'user.unlocked',
+        targetType: 'customer',
+        targetId: userId,
+        before: user,
+        after: updatedUser,
+        fields: ['failedLoginAttempts', 'lockedUntil']
+      });
+
+      res.json({
+        success: true,
+        message: 'User unlocked successfully',
+        user: updatedUser
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Issue a short-lived, read-only token for seeing the API as a customer sees it
+router.post('/users/:userId/impersonate',
+  verifyToken,
+  requireAdmin,
+  requirePermission('users.impersonate'),
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      const user = await withRetry(() => prisma.customer.findUnique({
+        where: {
+          id: userId,
+          role: 'user'
+        },
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          isActive: true,
+          isVerified: true,
+          tokenVersion: true
+        }
+      }));
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      if (!user.isActive || !user.isVerified) {
+        return res.status(400).json({
+          error: 'Only active, verified users can be impersonated',
+          code: 'USER_NOT_IMPERSONATABLE'
+        });
+      }
+
+      const accessToken = generateImpersonationToken(user.id, req.admin, user.tokenVersion);
+      const expiresIn = config.auth.impersonationTokenExpiresIn;
+
+      await auditLogService.record(req, {
+        action: 'user.impersonation_started',
+        targetType: 'customer',
+        targetId: user.id,
+        metadata: { expiresIn }
+      });
+
+      logger.info(`🕵️ ${req.admin.email} started impersonating ${user.email}`);
+
+      delete user.tokenVersion;
+
+      res.json({
+        success: true,
+        message: 'Impersonation token issued',
+        accessToken,
+        expiresIn,
+        readOnly: true,
+        user
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Update user verification status
 router.patch('/users/:userId/verification',
   verifyToken,
   requireAdmin,
+  requirePermission('users.write'),
   [
     body('isVerified')
       .isBoolean()
@@ -695,7 +932,7 @@ router.patch('/users/:userId/verification',
       const { userId } = req.params;
       const { isVerified } = req.body;
 
-      const user = await withDbRetry(() => prisma.customer.findUnique({
+      const user = await withRetry(() => prisma.customer.findUnique({
         where: { 
           id: userId,
           role: 'user'
@@ -709,7 +946,7 @@ router.patch('/users/:userId/verification',
         });
       }
 
-      const updatedUser = await withDbRetry(() => prisma.customer.update({
+      const updatedUser = await withRetry(() => prisma.customer.update({
         where: { id: userId },
         data: { isVerified },
         select: {
@@ -722,6 +959,15 @@ router.patch('/users/:userId/verification',
         }
       }));
 
+      await auditLogService.record(req, {
+        action: 'user.verification_changed',
+        targetType: 'customer',
+        targetId: userId,
+        before: user,
+        after: updatedUser,
+        fields: ['isVerified']
+      });
+
       res.json({
         success: true,
         message: `User ${isVerified ? 'verified' : 'unverified'} successfully`,
@@ -738,6 +984,7 @@ router.patch('/users/:userId/verification',
 router.put('/users/:userId/profile',
   verifyToken,
   requireAdmin,
+  requirePermission('users.write'),
   [
     body('email').optional().isEmail().withMessage('Invalid email'),
     body('firstName').optional().trim().isLength({ min: 1 }).withMessage('First name is required'),
@@ -754,7 +1001,9 @@ router.put('/users/:userId/profile',
     body('goCardlessBankAccountId').optional().trim(),
     body('goCardlessMandateId').optional().trim(),
     body('mandateStatus').optional().trim(),
-    body('openPhoneContactId').optional().trim()
+    body('openPhoneContactId').optional().trim(),
+    body('bankCode').optional().trim(),
+    body('accountNumber').optional().trim()
   ],
   async (req, res, next) => {
     try {
@@ -768,9 +1017,23 @@ router.put('/users/:userId/profile',
       }
 
       const { userId } = req.params;
-      const updateData = req.body;
+      const updateData = {};
+      for (const field of ADMIN_EDITABLE_PROFILE_FIELDS) {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      }
+
+      // Bank details are only ever stored encrypted
+      const bankDetails = {};
+      for (const field of BANK_DETAIL_FIELDS) {
+        if (req.body[field] !== undefined) {
+          bankDetails[field] = req.body[field];
+        }
+      }
+      Object.assign(updateData, encryptBankDetails(bankDetails));
 
-      const user = await withDbRetry(() => prisma.customer.findUnique({
+      const user = await withRetry(() => prisma.customer.findUnique({
         where: { 
           id: userId,
           role: 'user'
@@ -785,11 +1048,11 @@ router.put('/users/:userId/profile',
       }
 
       // Get current user data to check if we need to update external services
-      const currentUser = await withDbRetry(() => prisma.customer.findUnique({
+      const currentUser = await withRetry(() => prisma.customer.findUnique({
         where: { id: userId }
       }));
 
-      const updatedUser = await withDbRetry(() => prisma.customer.update({
+      const updatedUser = await withRetry(() => prisma.customer.update({
         where: { id: userId },
         data: updateData,
         select: {
@@ -816,11 +1079,27 @@ router.put('/users/:userId/profile',
         }
       }));
 
+      // Sessions signed in under the old email must sign in again
+      if (SIGNIN_PROFILE_FIELDS.some((field) => field in updateData && updateData[field] !== currentUser[field])) {
+        await withRetry(() => invalidateAccessTokens(userId));
+      }
+
+      await auditLogService.record(req, {
+        action: 'user.profile_updated',
+        targetType: 'customer',
+        targetId: userId,
+        // Bank details are compared as plaintext (each encryption differs) and logged without values
+        before: Object.keys(bankDetails).length > 0 ? { ...currentUser, ...decryptBankDetails(currentUser) } : currentUser,
+        after: { ...updatedUser, ...bankDetails },
+        fields: Object.keys(updateData),
+        sensitiveFields: BANK_DETAIL_FIELDS
+      });
+
       // Update GoCardless customer if they have a GoCardless customer ID
       let gocardlessUpdated = false;
       if (currentUser.goCardlessCustomerId) {
         try {
-          console.log('Updating GoCardless customer:', currentUser.goCardlessCustomerId);
+          logger.info('Updating GoCardless customer:', currentUser.goCardlessCustomerId);
           
           // Prepare customer data for GoCardless update
           const goCardlessCustomerData = {
@@ -840,10 +1119,10 @@ router.put('/users/:userId/profile',
           };
 
           await goCardlessService.updateCustomer(currentUser.goCardlessCustomerId, goCardlessCustomerData);
-          console.log('GoCardless customer updated successfully');
+          logger.info('GoCardless customer updated successfully');
           gocardlessUpdated = true;
         } catch (goCardlessError) {
-          console.error('Failed to update GoCardless customer:', goCardlessError);
+          logger.error('Failed to update GoCardless customer:', goCardlessError);
           // Don't fail the entire request if GoCardless update fails
           // The database update was successful, so we'll return success but log the GoCardless error
         }
@@ -857,7 +1136,7 @@ router.put('/users/:userId/profile',
       // Sync with OpenPhone
       let openPhoneSynced = false;
       try {
-        console.log('Syncing profile update with OpenPhone for customer:', userId);
+        logger.info('Syncing profile update with OpenPhone for customer:', userId);
         
         // Prepare customer data for OpenPhone sync
         const openPhoneCustomerData = {
@@ -874,14 +1153,14 @@ router.put('/users/:userId/profile',
           state: updatedUser.state
         };
 
-        console.log('OpenPhone customer data:', openPhoneCustomerData);
-        console.log('User openPhoneContactId:', updatedUser.openPhoneContactId);
+        logger.info('OpenPhone customer data:', openPhoneCustomerData);
+        logger.info('User openPhoneContactId:', updatedUser.openPhoneContactId);
 
         const openPhoneResult = await openPhoneSyncService.syncProfileUpdate(userId, openPhoneCustomerData);
-        console.log('OpenPhone sync result:', openPhoneResult ? 'Success' : 'Failed');
+        logger.info('OpenPhone sync result:', openPhoneResult ? 'Success' : 'Failed');
         openPhoneSynced = !!openPhoneResult;
       } catch (openPhoneError) {
-        console.error('Failed to sync with OpenPhone:', openPhoneError);
+        logger.error('Failed to sync with OpenPhone:', openPhoneError);
         // Don't fail the entire request if OpenPhone sync fails
         // The database update was successful, so we'll return success but log the OpenPhone error
       }
@@ -890,7 +1169,7 @@ router.put('/users/:userId/profile',
       let phoneUpdateMessageSent = false;
       if (phoneChanged && newPhone) {
         try {
-          console.log('Phone number changed, sending update message to:', newPhone);
+          logger.info('Phone number changed, sending update message to:', newPhone);
           
           const messageResult = await openPhoneMessageService.sendPhoneUpdateMessage(
             updatedUser,
@@ -899,9 +1178,9 @@ router.put('/users/:userId/profile',
           );
           
           phoneUpdateMessageSent = !!messageResult;
-          console.log('Phone update message result:', phoneUpdateMessageSent ? 'Sent' : 'Failed');
+          logger.info('Phone update message result:', phoneUpdateMessageSent ? 'Sent' : 'Failed');
         } catch (messageError) {
-          console.error('Failed to send phone update message:', messageError);
+          logger.error('Failed to send phone update message:', messageError);
           // Don't fail the entire request if message sending fails
         }
       }
@@ -926,6 +1205,7 @@ router.put('/users/:userId/profile',
 router.get('/analytics/billing',
   verifyToken,
   requireAdmin,
+  requirePermission('analytics.read'),
   async (req, res, next) => {
     try {
       const { period = '30' } = req.query; // days
@@ -933,7 +1213,7 @@ router.get('/analytics/billing',
       daysAgo.setDate(daysAgo.getDate() - parseInt(period));
 
       // Get billing statistics
-      const billingStats = await withDbRetry(() => prisma.billingHistory.aggregate({
+      const billingStats = await withRetry(() => prisma.billingHistory.aggregate({
         _sum: {
           amount: true
         },
@@ -946,7 +1226,7 @@ router.get('/analytics/billing',
       }));
 
       // Get status breakdown
-      const statusBreakdown = await withDbRetry(() => prisma.billingHistory.groupBy({
+      const statusBreakdown = await withRetry(() => prisma.billingHistory.groupBy({
         by: ['status'],
         _count: {
           id: true
@@ -960,7 +1240,7 @@ router.get('/analytics/billing',
       }));
 
       // Get monthly revenue for the last 12 months
-      const monthlyRevenue = await withDbRetry(() => prisma.$queryRaw`
+      const monthlyRevenue = await withRetry(() => prisma.$queryRaw`
         SELECT 
           DATE_TRUNC('month', "createdAt") as month,
           SUM(amount) as total_revenue,
@@ -992,6 +1272,7 @@ router.get('/analytics/billing',
 router.get('/zoho/invoices',
   verifyToken,
   requireAdmin,
+  requirePermission('billing.read'),
   [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 200 }),
@@ -1012,14 +1293,14 @@ router.get('/zoho/invoices',
 
       if (source === 'zoho') {
         // Fetch ALL invoices from Zoho without pagination
-        console.log('🔄 Fetching ALL Zoho invoices...');
+        logger.info('🔄 Fetching ALL Zoho invoices...');
         let allInvoices = [];
         let currentPage = 1;
         let hasMore = true;
         
         while (hasMore) {
           try {
-            console.log(`📄 Fetching page ${currentPage}...`);
+            logger.info(`📄 Fetching page ${currentPage}...`);
             const options = { page: currentPage, per_page: 200 }; // Max per page
             const zohoResp = await zohoService.getAllInvoices(options);
             const pageInvoices = Array.isArray(zohoResp.invoices) ? zohoResp.invoices : [];
@@ -1037,12 +1318,12 @@ router.get('/zoho/invoices',
               }
             }
           } catch (error) {
-            console.error(`❌ Error fetching page ${currentPage}:`, error);
+            logger.error(`❌ Error fetching page ${currentPage}:`, error);
             hasMore = false;
           }
         }
         
-        console.log(`✅ Fetched ${allInvoices.length} total invoices from Zoho`);
+        logger.info(`✅ Fetched ${allInvoices.length} total invoices from Zoho`);
         const total = allInvoices.length;
 
         const mapped = allInvoices.map((inv) => ({
@@ -1082,7 +1363,7 @@ router.get('/zoho/invoices',
       // Fallback to DB (existing behavior)
       const offset = (page - 1) * limit;
       const whereClause = { zohoInvoiceId: { not: null }, ...(status ? { status } : {}) };
-      const invoices = await withDbRetry(() => prisma.billingHistory.findMany({
+      const invoices = await withRetry(() => prisma.billingHistory.findMany({
         where: whereClause,
         include: {
           receipts: { select: { id: true, fileName: true, fileUrl: true, isDownloaded: true, createdAt: true } },
@@ -1093,9 +1374,9 @@ router.get('/zoho/invoices',
         skip: offset,
         take: limit
       }));
-      const totalCount = await withDbRetry(() => prisma.billingHistory.count({ where: whereClause }));
-      const summaryAgg = await withDbRetry(() => prisma.billingHistory.aggregate({ where: whereClause, _sum: { amount: true }, _count: { id: true } }));
-      const paidAgg = await withDbRetry(() => prisma.billingHistory.aggregate({ where: { ...whereClause, status: 'paid' }, _sum: { amount: true } }));
+      const totalCount = await withRetry(() => prisma.billingHistory.count({ where: whereClause }));
+      const summaryAgg = await withRetry(() => prisma.billingHistory.aggregate({ where: whereClause, _sum: { amount: true }, _count: { id: true } }));
+      const paidAgg = await withRetry(() => prisma.billingHistory.aggregate({ where: { ...whereClause, status: { in: PAID_STATUSES } }, _sum: { amount: true } }));
 
       const billingHistory = invoices.map(inv => ({
         ...inv,
@@ -1126,6 +1407,7 @@ router.get('/zoho/invoices',
 router.get('/zoho/test',
   verifyToken,
   requireAdmin,
+  requirePermission('settings.manage'),
   async (req, res, next) => {
     try {
       const { invoiceId } = req.query;
@@ -1133,15 +1415,15 @@ router.get('/zoho/test',
         return res.status(400).json({ error: 'invoiceId query parameter required' });
       }
 
-      console.log('🔍 Testing Zoho API for invoice:', invoiceId);
+      logger.info('🔍 Testing Zoho API for invoice:', invoiceId);
 
       // Test 1: Get invoice details
       let invoiceDetails;
       try {
         invoiceDetails = await zohoService.getInvoice(invoiceId);
-        console.log('✅ Invoice details:', JSON.stringify(invoiceDetails, null, 2));
+        logger.info('✅ Invoice details:', JSON.stringify(invoiceDetails, null, 2));
       } catch (e) {
-        console.log('❌ Failed to get invoice details:', e.message);
+        logger.info('❌ Failed to get invoice details:', e.message);
         invoiceDetails = null;
       }
 
@@ -1149,9 +1431,9 @@ router.get('/zoho/test',
       let pdfUrl;
       try {
         pdfUrl = await zohoService.getInvoicePDF(invoiceId);
-        console.log('✅ PDF URL:', pdfUrl);
+        logger.info('✅ PDF URL:', pdfUrl);
       } catch (e) {
-        console.log('❌ Failed to get PDF URL:', e.message);
+        logger.info('❌ Failed to get PDF URL:', e.message);
         pdfUrl = null;
       }
 
@@ -1160,14 +1442,14 @@ router.get('/zoho/test',
       try {
         const binary = await zohoService.fetchInvoicePDFBinary(invoiceId);
         binaryResult = { success: true, size: binary.byteLength };
-        console.log('✅ Binary fetch success, size:', binary.byteLength);
+        logger.info('✅ Binary fetch success, size:', binary.byteLength);
       } catch (e) {
-        console.log('❌ Binary fetch failed:', e.message);
+        logger.info('❌ Binary fetch failed:', e.message);
         binaryResult = { success: false, error: e.message };
       }
 
       // Test 4: Check if invoice exists in our DB
-      const dbInvoice = await withDbRetry(() => prisma.billingHistory.findFirst({
+      const dbInvoice = await withRetry(() => prisma.billingHistory.findFirst({
         where: { zohoInvoiceId: invoiceId }
       }));
 
@@ -1197,6 +1479,7 @@ router.get('/zoho/test',
 router.get('/analytics/users',
   verifyToken,
   requireAdmin,
+  requirePermission('analytics.read'),
   async (req, res, next) => {
     try {
       const { period = '30' } = req.query; // days
@@ -1204,7 +1487,7 @@ router.get('/analytics/users',
       daysAgo.setDate(daysAgo.getDate() - parseInt(period));
 
       // Get user registration stats
-      const userStats = await withDbRetry(() => prisma.customer.aggregate({
+      const userStats = await withRetry(() => prisma.customer.aggregate({
         _count: {
           id: true
         },
@@ -1215,7 +1498,7 @@ router.get('/analytics/users',
       }));
 
       // Get user status breakdown
-      const statusBreakdown = await withDbRetry(() => prisma.customer.groupBy({
+      const statusBreakdown = await withRetry(() => prisma.customer.groupBy({
         by: ['isActive', 'isVerified'],
         _count: {
           id: true
@@ -1226,7 +1509,7 @@ router.get('/analytics/users',
       }));
 
       // Get GoCardless integration stats
-      const goCardlessStats = await withDbRetry(() => prisma.customer.groupBy({
+      const goCardlessStats = await withRetry(() => prisma.customer.groupBy({
         by: ['mandateStatus'],
         _count: {
           id: true
@@ -1238,7 +1521,7 @@ router.get('/analytics/users',
       }));
 
       // Get monthly registrations for the last 12 months
-      const monthlyRegistrations = await withDbRetry(() => prisma.$queryRaw`
+      const monthlyRegistrations = await withRetry(() => prisma.$queryRaw`
         SELECT 
           DATE_TRUNC('month', "createdAt") as month,
           COUNT(*) as new_users
@@ -1269,6 +1552,7 @@ router.get('/analytics/users',
 router.post('/create-admin',
   verifyToken,
   requireAdmin,
+  requirePermission('admins.manage'),
   [
     body('email')
       .isEmail()
@@ -1288,8 +1572,9 @@ router.post('/create-admin',
       .isLength({ min: 1 })
       .withMessage('Last name is required'),
     body('permissions')
-      .isArray()
-      .withMessage('Permissions must be an array')
+      .optional()
+      .custom(isValidPermissionList)
+      .withMessage(`Permissions must be an array of: ${ALL_PERMISSIONS.join(', ')}`)
   ],
   async (req, res, next) => {
     try {
@@ -1302,10 +1587,15 @@ router.post('/create-admin',
         });
       }
 
-      const { email, password, firstName, lastName, permissions } = req.body;
+      const { email, password, firstName, lastName } = req.body;
+      const permissions = req.body.permissions ? [...new Set(req.body.permissions)] : DEFAULT_ADMIN_PERMISSIONS;
+
+      if (rejectUngrantablePermissions(req, res, permissions)) {
+        return;
+      }
 
       // Check if admin already exists
-      const existingAdmin = await withDbRetry(() => prisma.customer.findFirst({
+      const existingAdmin = await withRetry(() => prisma.customer.findFirst({
         where: { role: 'admin' }
       }));
 
@@ -1317,7 +1607,7 @@ router.post('/create-admin',
       }
 
       // Check if email already exists
-      const existingCustomer = await withDbRetry(() => prisma.customer.findUnique({
+      const existingCustomer = await withRetry(() => prisma.customer.findUnique({
         where: { email }
       }));
 
@@ -1332,7 +1622,7 @@ router.post('/create-admin',
       const hashedPassword = await hashPassword(password);
 
       // Create admin user
-      const admin = await withDbRetry(() => prisma.customer.create({
+      const admin = await withRetry(() => prisma.customer.create({
         data: {
           email,
           password: hashedPassword,
@@ -1359,13 +1649,20 @@ router.post('/create-admin',
       }));
 
       // Create admin data
-      await withDbRetry(() => prisma.admin.create({
+      const adminData = await withRetry(() => prisma.admin.create({
         data: {
           customerId: admin.id,
-          permissions: permissions || ['manage_users', 'view_analytics', 'manage_billing']
+          permissions
         }
       }));
 
+      await auditLogService.record(req, {
+        action: 'admin.created',
+        targetType: 'admin',
+        targetId: admin.id,
+        after: { email: admin.email, permissions: adminData.permissions }
+      });
+
       res.status(201).json({
         success: true,
         message: 'Admin created successfully',
@@ -1384,7 +1681,7 @@ router.get('/profile',
   requireAdmin,
   async (req, res, next) => {
     try {
-      const admin = await withDbRetry(() => prisma.customer.findUnique({
+      const admin = await withRetry(() => prisma.customer.findUnique({
         where: { id: req.user.id },
         include: { adminData: true },
         select: {
@@ -1419,14 +1716,15 @@ router.get('/profile',
   }
 );
 
-// Update admin permissions
-router.patch('/permissions',
+// Update another admin's permissions; admins can never edit their own
+router.patch('/admins/:customerId/permissions',
   verifyToken,
   requireAdmin,
+  requirePermission('admins.manage'),
   [
     body('permissions')
-      .isArray()
-      .withMessage('Permissions must be an array')
+      .custom(isValidPermissionList)
+      .withMessage(`Permissions must be an array of: ${ALL_PERMISSIONS.join(', ')}`)
   ],
   async (req, res, next) => {
     try {
@@ -1439,14 +1737,37 @@ router.patch('/permissions',
         });
       }
 
-      const { permissions } = req.body;
+      const { customerId } = req.params;
+      const permissions = [...new Set(req.body.permissions)];
 
-      const updatedAdmin = await withDbRetry(() => prisma.admin.update({
-        where: { customerId: req.user.id },
-        data: { 
-          permissions,
-          lastAdminAction: new Date()
-        },
+      if (customerId === req.admin.id) {
+        return res.status(403).json({
+          error: 'You cannot change your own permissions',
+          code: 'CANNOT_EDIT_OWN_PERMISSIONS'
+        });
+      }
+
+      const target = await withRetry(() => prisma.customer.findUnique({
+        where: { id: customerId },
+        include: { adminData: true }
+      }));
+
+      if (!target || target.role !== 'admin' || !target.adminData) {
+        return res.status(404).json({
+          error: 'Admin not found',
+          code: 'ADMIN_NOT_FOUND'
+        });
+      }
+
+      // Permissions the admin already has may stay; only new grants must be held by the acting admin
+      const added = permissions.filter((permission) => !target.adminData.permissions.includes(permission));
+      if (rejectUngrantablePermissions(req, res, added)) {
+        return;
+      }
+
+      const updatedAdmin = await withRetry(() => prisma.admin.update({
+        where: { customerId },
+        data: { permissions },
         include: {
           customer: {
             select: {
@@ -1460,6 +1781,17 @@ router.patch('/permissions',
         }
       }));
 
+      await auditLogService.record(req, {
+        action: 'admin.permissions_changed',
+        targetType: 'admin',
+        targetId: customerId,
+        before: target.adminData,
+        after: updatedAdmin,
+        fields: ['permissions']
+      });
+
+      logger.info(`🛡️ Admin ${req.admin.email} set permissions for ${target.email}: ${permissions.join(', ') || '(none)'}`);
+
       res.json({
         success: true,
         message: 'Permissions updated successfully',
@@ -1472,6 +1804,995 @@ router.patch('/permissions',
   }
 );
 
+// List audit log entries, or export them as CSV with format=csv
+router.get('/audit-log',
+  verifyToken,
+  requireAdmin,
+  requirePermission('audit.read'),
+  [
+    query('actorId').optional().isString(),
+    query('targetType').optional().isString(),
+    query('targetId').optional().isString(),
+    query('action').optional().isString(),
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('startDate must be an ISO 8601 date'),
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('endDate must be an ISO 8601 date'),
+    query('format')
+      .optional()
+      .isIn(['json', 'csv'])
+      .withMessage('Format must be json or csv'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { actorId, targetType, targetId, action, startDate, endDate } = req.query;
+      const filters = { actorId, targetType, targetId, action, startDate, endDate };
+
+      if (req.query.format === 'csv') {
+        const { entries } = await withRetry(() => auditLogService.list(filters, { limit: AUDIT_LOG_EXPORT_LIMIT }));
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+        return res.send(auditLogService.toCsv(entries));
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const { entries, total } = await withRetry(() => auditLogService.list(filters, { page, limit }));
+
+      res.json({
+        success: true,
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get security settings
+router.get('/settings/security',
+  verifyToken,
+  requireAdmin,
+  requirePermission('settings.manage'),
+  async (req, res, next) => {
+    try {
+      const adminsWithoutTwoFactor = await withRetry(() => prisma.customer.count({
+        where: { role: 'admin', twoFactorEnabled: false }
+      }));
+
+      res.json({
+        success: true,
+        settings: {
+          adminTwoFactorRequired: await isAdminTwoFactorRequired()
+        },
+        adminsWithoutTwoFactor
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update security settings; making 2FA mandatory applies to every admin at their next signin or token refresh
+router.put('/settings/security',
+  verifyToken,
+  requireAdmin,
+  requirePermission('settings.manage'),
+  [
+    body('adminTwoFactorRequired')
+      .isBoolean()
+      .withMessage('adminTwoFactorRequired must be a boolean')
+      .toBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { adminTwoFactorRequired } = req.body;
+      const wasRequired = await withRetry(() => isAdminTwoFactorRequired());
+
+      await withRetry(() => setSetting(ADMIN_TWO_FACTOR_SETTING, adminTwoFactorRequired, req.user.id));
+
+      await auditLogService.record(req, {
+        action: 'settings.security_updated',
+        targetType: 'setting',
+        targetId: ADMIN_TWO_FACTOR_SETTING,
+        before: { adminTwoFactorRequired: wasRequired },
+        after: { adminTwoFactorRequired }
+      });
+
+      logger.info(`🔐 Admin 2FA requirement ${adminTwoFactorRequired ? 'enabled' : 'disabled'} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Security settings updated successfully',
+        settings: {
+          adminTwoFactorRequired
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get a user's dunning status and contact history
+router.get('/users/:userId/dunning',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.read'),
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      const user = await withRetry(() => prisma.customer.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true, dunningPaused: true }
+      }));
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const dunningLog = await withRetry(() => prisma.dunningLog.findMany({
+        where: { customerId: userId },
+        include: {
+          billingHistory: { select: { id: true, amount: true, currency: true, status: true, dueDate: true, description: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: 100
+      }));
+
+      res.json({
+        success: true,
+        dunningPaused: user.dunningPaused,
+        dunningLog
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Pause or resume dunning for a user
+router.patch('/users/:userId/dunning',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.manage'),
+  [
+    body('paused')
+      .isBoolean()
+      .withMessage('paused must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { userId } = req.params;
+      const paused = req.body.paused === true || req.body.paused === 'true';
+
+      const user = await withRetry(() => prisma.customer.findUnique({
+        where: { id: userId }
+      }));
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const updatedUser = await withRetry(() => prisma.customer.update({
+        where: { id: userId },
+        data: { dunningPaused: paused },
+        select: {
+          id: true,
+          email: true,
+          dunningPaused: true,
+          updatedAt: true
+        }
+      }));
+
+      res.json({
+        success: true,
+        message: `Dunning ${paused ? 'paused' : 'resumed'} successfully`,
+        user: updatedUser
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Raise a one-off charge against a user: Zoho invoice, GoCardless payment when a mandate exists, billing record and receipt
+router.post('/users/:userId/charges',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.charge'),
+  [
+    body('items')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('Items must be an array of 1 to 50 line items'),
+    body('items.*.name')
+      .trim()
+      .notEmpty()
+      .withMessage('Each item needs a name'),
+    body('items.*.description')
+      .optional()
+      .isString()
+      .withMessage('Item description must be a string'),
+    body('items.*.quantity')
+      .isFloat({ gt: 0 })
+      .withMessage('Item quantity must be greater than 0'),
+    body('items.*.unitPrice')
+      .isFloat({ gt: 0 })
+      .withMessage('Item unit price must be greater than 0'),
+    body('currency')
+      .optional()
+      .isIn(['GBP', 'EUR', 'USD'])
+      .withMessage('Currency must be GBP, EUR, or USD'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+    body('dueDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Due date must be a valid date')
+      .custom((value) => {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        if (new Date(value) < today) {
+          throw new Error('Due date cannot be in the past');
+        }
+        return true;
+      }),
+    body('notes')
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Notes must be at most 2000 characters'),
+    body('idempotencyKey')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 128 })
+      .withMessage('Idempotency key must be 1 to 128 characters'),
+    body('validateOnly')
+      .optional()
+      .isBoolean()
+      .withMessage('validateOnly must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { userId } = req.params;
+      const { items, description, notes, idempotencyKey } = req.body;
+      const currency = req.body.currency || 'GBP';
+      const validateOnly = req.body.validateOnly === true || req.body.validateOnly === 'true';
+
+      const user = await withRetry(() => prisma.customer.findUnique({
+        where: {
+          id: userId,
+          role: 'user'
+        }
+      }));
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      // Work out totals in pence to avoid floating point drift
+      const lineItems = items.map((item) => {
+        const quantity = Number(item.quantity);
+        const unitPrice = Number(item.unitPrice);
+        return {
+          name: item.name,
+          description: item.description || '',
+          quantity,
+          unitPrice,
+          lineTotal: Math.round(quantity * unitPrice * 100) / 100
+        };
+      });
+      const amountInPence = lineItems.reduce((sum, item) => sum + Math.round(item.lineTotal * 100), 0);
+      const chargeDescription = description ||
+        (lineItems.length === 1 ? lineItems[0].name : `${lineItems[0].name} and ${lineItems.length - 1} more item(s)`);
+      const dueDate = req.body.dueDate ? new Date(req.body.dueDate) : new Date();
+      const collectsByDirectDebit = billingIntegration.canCollectByDirectDebit(user);
+
+      if (validateOnly) {
+        return res.json({
+          success: true,
+          message: 'Charge is valid; nothing was created',
+          preview: {
+            customerId: user.id,
+            items: lineItems,
+            total: amountInPence / 100,
+            amountInPence,
+            currency,
+            description: chargeDescription,
+            dueDate,
+            collection: collectsByDirectDebit ? 'gocardless' : 'invoice_only',
+            mandateStatus: user.mandateStatus || null
+          }
+        });
+      }
+
+      logger.info(`💷 Admin ${req.admin.email} charging user ${user.id}: ${amountInPence / 100} ${currency}`);
+
+      let cycle;
+      try {
+        cycle = await billingIntegration.createBillingCycle({
+          customerId: user.id,
+          amount: amountInPence,
+          currency,
+          description: chargeDescription,
+          dueDate,
+          notes: notes || '',
+          idempotencyKey,
+          items: lineItems.map((item) => ({
+            name: item.name,
+            description: item.description,
+            quantity: item.quantity,
+            rate: item.unitPrice
+          }))
+        });
+      } catch (error) {
+        if (['IDEMPOTENCY_KEY_CONFLICT', 'IDEMPOTENCY_KEY_IN_PROGRESS', 'IDEMPOTENCY_KEY_FAILED_PARTIAL'].includes(error.code)) {
+          return res.status(error.statusCode).json({
+            error: error.message,
+            code: error.code
+          });
+        }
+        throw error;
+      }
+
+      if (cycle.replayed) {
+        return res.json({
+          success: true,
+          message: 'Charge already created for this idempotency key',
+          replayed: true,
+          billingHistory: cycle.billingHistory,
+          receipt: cycle.receipt
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Charge created successfully',
+        billingHistory: cycle.billingHistory,
+        receipt: cycle.receipt,
+        zohoInvoice: {
+          id: cycle.zohoInvoice.invoice_id,
+          invoiceNumber: cycle.zohoInvoice.invoice_number || null
+        },
+        goCardlessPayment: cycle.goCardlessPayment ? {
+          id: cycle.goCardlessPayment.id,
+          status: cycle.goCardlessPayment.status,
+          chargeDate: cycle.goCardlessPayment.charge_date
+        } : null
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List payments currently being retried after a failure
+router.get('/billing/retries',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.read'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+      const whereClause = { nextRetryAt: { not: null } };
+
+      const retries = await withRetry(() => prisma.billingHistory.findMany({
+        where: whereClause,
+        include: {
+          customer: { select: { id: true, email: true, firstName: true, lastName: true, companyName: true } }
+        },
+        orderBy: { nextRetryAt: 'asc' },
+        skip: offset,
+        take: limit
+      }));
+      const totalCount = await withRetry(() => prisma.billingHistory.count({ where: whereClause }));
+
+      res.json({
+        success: true,
+        retries,
+        policy: getRetryPolicy(),
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List refunds issued against a billing record
+router.get('/billing/:billingId/refunds',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.read'),
+  async (req, res, next) => {
+    try {
+      const billingHistory = await withRetry(() => prisma.billingHistory.findUnique({
+        where: { id: req.params.billingId },
+        include: {
+          refunds: {
+            orderBy: { createdAt: 'desc' }
+          }
+        }
+      }));
+
+      if (!billingHistory) {
+        return res.status(404).json({
+          error: 'Billing record not found',
+          code: 'BILLING_RECORD_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        refunds: billingHistory.refunds
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Refund a collected payment in full or in part (GoCardless refund + Zoho credit note)
+router.post('/billing/:billingId/refunds',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.charge'),
+  [
+    body('amount')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Amount must be greater than 0'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters'),
+    body('idempotencyKey')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 128 })
+      .withMessage('Idempotency key must be 1 to 128 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { amount, reason, idempotencyKey } = req.body;
+
+      let result;
+      try {
+        result = await billingIntegration.createRefund(req.params.billingId, {
+          amount: amount !== undefined ? Number(amount) : undefined,
+          reason,
+          idempotencyKey,
+          initiatedById: req.admin.id
+        });
+      } catch (error) {
+        if (error.statusCode && error.code) {
+          return res.status(error.statusCode).json({
+            error: error.message,
+            code: error.code
+          });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Refund created successfully',
+        refund: result.refund,
+        refundedAmount: result.refundedAmount,
+        refundableAmount: result.refundableAmount,
+        zohoCreditNoteId: result.zohoCreditNote?.creditnote_id || null
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Retry the Zoho credit note of a refund whose credit note failed
+router.post('/billing/refunds/:refundId/credit-note',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.charge'),
+  async (req, res, next) => {
+    try {
+      let result;
+      try {
+        result = await billingIntegration.retryRefundCreditNote(req.params.refundId);
+      } catch (error) {
+        if (error.statusCode && error.code) {
+          return res.status(error.statusCode).json({
+            error: error.message,
+            code: error.code
+          });
+        }
+        throw error;
+      }
+
+      if (!result.zohoCreditNote) {
+        return res.status(502).json({
+          error: 'Zoho credit note could not be created',
+          code: 'CREDIT_NOTE_FAILED',
+          refund: result.refund
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Credit note created successfully',
+        refund: result.refund,
+        zohoCreditNoteId: result.zohoCreditNote.creditnote_id
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List all plans, including ones closed to new subscriptions
+router.get('/plans',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.read'),
+  async (req, res, next) => {
+    try {
+      const plans = await subscriptionService.listPlans();
+
+      res.json({
+        success: true,
+        plans
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create a subscription plan
+router.post('/plans',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.manage'),
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Plan name is required'),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('amount')
+      .isFloat({ gt: 0 })
+      .withMessage('Amount must be greater than 0'),
+    body('currency')
+      .optional()
+      .isIn(['GBP', 'EUR', 'USD'])
+      .withMessage('Currency must be GBP, EUR, or USD'),
+    body('interval')
+      .optional()
+      .isIn(PLAN_INTERVALS)
+      .withMessage(`Interval must be one of: ${PLAN_INTERVALS.join(', ')}`),
+    body('trialDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Trial days must be between 0 and 365')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { name, description, amount, currency, interval, trialDays } = req.body;
+      const plan = await subscriptionService.createPlan({
+        name,
+        description,
+        amount,
+        currency,
+        interval,
+        trialDays: trialDays !== undefined ? parseInt(trialDays, 10) : 0
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Plan created successfully',
+        plan
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update a subscription plan; amount changes apply from the next billed period
+router.patch('/plans/:planId',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.manage'),
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Plan name cannot be empty'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Description must be a string'),
+    body('amount')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Amount must be greater than 0'),
+    body('trialDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Trial days must be between 0 and 365'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { name, description, amount, trialDays, isActive } = req.body;
+      const plan = await subscriptionService.updatePlan(req.params.planId, {
+        name,
+        description,
+        amount,
+        trialDays: trialDays !== undefined ? parseInt(trialDays, 10) : undefined,
+        isActive
+      });
+
+      res.json({
+        success: true,
+        message: 'Plan updated successfully',
+        plan
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
+// List subscriptions across customers
+router.get('/subscriptions',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.read'),
+  [
+    query('customerId')
+      .optional()
+      .isString()
+      .withMessage('Customer ID must be a string'),
+    query('status')
+      .optional()
+      .isIn(SUBSCRIPTION_STATUSES)
+      .withMessage(`Status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}`)
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const subscriptions = await subscriptionService.listSubscriptions({
+        customerId: req.query.customerId,
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        subscriptions
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Bill all due subscriptions now instead of waiting for the scheduler
+router.post('/subscriptions/run-billing',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.charge'),
+  async (req, res, next) => {
+    try {
+      const result = await subscriptionService.processDueSubscriptions();
+
+      res.json({
+        success: true,
+        message: 'Subscription billing run completed',
+        result
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get a subscription with its billed periods
+router.get('/subscriptions/:subscriptionId',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.read'),
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.getSubscription(req.params.subscriptionId);
+
+      res.json({
+        success: true,
+        subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
+// Subscribe a user to a plan
+router.post('/users/:userId/subscriptions',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.manage'),
+  [
+    body('planId')
+      .isString()
+      .notEmpty()
+      .withMessage('Plan ID is required'),
+    body('anchorDay')
+      .optional()
+      .isInt({ min: 1, max: 28 })
+      .withMessage('Anchor day must be between 1 and 28'),
+    body('trialDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Trial days must be between 0 and 365')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { userId } = req.params;
+      const { planId, anchorDay, trialDays } = req.body;
+
+      const user = await withRetry(() => prisma.customer.findUnique({
+        where: { id: userId }
+      }));
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const subscription = await subscriptionService.createSubscription(userId, planId, {
+        anchorDay: anchorDay ? parseInt(anchorDay, 10) : undefined,
+        trialDays: trialDays !== undefined ? parseInt(trialDays, 10) : undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Subscription created successfully',
+        subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
+// Pause a subscription
+router.post('/subscriptions/:subscriptionId/pause',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.manage'),
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.pauseSubscription(req.params.subscriptionId);
+
+      res.json({
+        success: true,
+        message: 'Subscription paused successfully',
+        subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
+// Resume a subscription
+router.post('/subscriptions/:subscriptionId/resume',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.manage'),
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.resumeSubscription(req.params.subscriptionId);
+
+      res.json({
+        success: true,
+        message: 'Subscription resumed successfully',
+        subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
+// Cancel a subscription
+router.post('/subscriptions/:subscriptionId/cancel',
+  verifyToken,
+  requireAdmin,
+  requirePermission('billing.manage'),
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.cancelSubscription(req.params.subscriptionId);
+
+      res.json({
+        success: true,
+        message: 'Subscription cancelled successfully',
+        subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
 // Apply error handler
 router.use(errorHandler);
 
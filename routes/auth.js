@@ -1,8 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient } = require('@prisma/client');
+const { config } = require('../config');
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
 const { 
   verifyToken, 
+  verifyTokenAllowUnverified,
   rateLimiter, 
   errorHandler 
 } = require('../middleware/auth');
@@ -10,9 +13,13 @@ const {
   hashPassword,
   comparePassword,
   generateTokenPair,
-  verifyRefreshToken,
   revokeRefreshToken,
+  revokeTokenFamily,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
   revokeAllUserTokens,
+  getSessionContext,
   updateLastLogin,
   isValidEmail,
   validatePassword,
@@ -20,11 +27,33 @@ const {
   verifyPasswordResetToken,
   markPasswordResetTokenAsUsed
 } = require('../utils/auth');
+const {
+  checkResendThrottle,
+  createEmailVerification,
+  deleteEmailVerification,
+  verifyEmailVerificationCode,
+  sendThrottleError,
+  sendVerificationCodeError,
+  consumeVerificationTicket
+} = require('../utils/emailVerification');
+const { generateSecret, buildOtpAuthUri } = require('../utils/totp');
+const { buildPendingBankDetails, isEncryptionConfigured } = require('../utils/fieldEncryption');
+const {
+  CHALLENGE_TYPES,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  encryptTwoFactorSecret,
+  verifyTotpForCustomer,
+  verifySecondFactor,
+  generateChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired
+} = require('../utils/twoFactor');
 // Brevo SDK setup
 const SibApiV3Sdk = require('sib-api-v3-sdk');
 const defaultClient = SibApiV3Sdk.ApiClient.instance;
 const apiKey = defaultClient.authentications['api-key'];
-apiKey.apiKey = process.env.BREVO_API_KEY;
+apiKey.apiKey = config.brevo.apiKey;
 // GoCardless service
 const GoCardlessService = require('../services/gocardless');
 // Bank validation service
@@ -33,13 +62,18 @@ const BankValidationService = require('../services/bankValidation');
 const OpenPhoneService = require('../services/openphone');
 // OpenPhone message service
 const OpenPhoneMessageService = require('../services/openphone-messages');
+// Email service
+const EmailService = require('../services/email');
+// Login security service
+const LoginSecurityService = require('../services/loginSecurity');
 
 const router = express.Router();
-const prisma = new PrismaClient();
 const goCardlessService = new GoCardlessService();
 const bankValidationService = new BankValidationService();
 const openPhoneService = new OpenPhoneService();
 const openPhoneMessageService = new OpenPhoneMessageService();
+const emailService = new EmailService();
+const loginSecurityService = new LoginSecurityService();
 
 // Validation middleware for user registration
 const validateRegistration = [
@@ -146,7 +180,7 @@ const validateLogin = [
 
 // Register new customer with comprehensive details
 router.post('/register', 
-  rateLimiter(15 * 60 * 1000, 20), // 20 requests per 15 minutes
+  rateLimiter({ name: 'register', windowMs: 15 * 60 * 1000, max: 20 }), // 20 requests per 15 minutes
   validateCustomerRegistration,
   async (req, res, next) => {
     try {
@@ -178,18 +212,25 @@ router.post('/register',
         bankCode,
         accountNumber,
         accountType,
-        preferredCurrency
+        preferredCurrency,
+        // Ticket from /api/verify-otp proving the email was verified
+        verificationToken
       } = req.body;
 
-      // Console log bank details as requested
-      if (accountHolderName || bankCode || accountNumber || accountType || preferredCurrency) {
-        console.log('=== BANK DETAILS (CONSOLE LOGGED) ===');
-        console.log('Account Holder Name:', accountHolderName);
-        console.log('Bank Code:', bankCode);
-        console.log('Account Number:', accountNumber);
-        console.log('Account Type:', accountType);
-        console.log('Preferred Currency:', preferredCurrency);
-        console.log('=====================================');
+      if (!verificationToken) {
+        return res.status(400).json({
+          error: 'Email verification is required before registering',
+          code: 'EMAIL_VERIFICATION_REQUIRED'
+        });
+      }
+
+      // Never log bank details in full
+      if (accountNumber) {
+        logger.info('Bank details provided for registration:', {
+          accountNumber: bankValidationService.maskAccountNumber(accountNumber),
+          accountType,
+          preferredCurrency
+        });
       }
 
       // Validate bank details if provided
@@ -214,7 +255,7 @@ router.post('/register',
         }
       }
 
-      console.log('Starting database transaction...');
+      logger.info('Starting database transaction...');
       // Use Prisma transaction for data consistency
       const result = await prisma.$transaction(async (tx) => {
         // Check if customer already exists
@@ -226,6 +267,15 @@ router.post('/register',
           throw new Error(' Email already exists');
         }
 
+        // Redeem the verification ticket; it is released again if the transaction rolls back
+        const ticket = await consumeVerificationTicket(verificationToken, email, 'signup', tx);
+        if (!ticket.valid) {
+          const ticketError = new Error(ticket.message);
+          ticketError.code = ticket.code;
+          ticketError.statusCode = 400;
+          throw ticketError;
+        }
+
         // Hash password
         const hashedPassword = await hashPassword(password);
 
@@ -245,7 +295,7 @@ router.post('/register',
             postcode,
             state,
             role: 'user', // Default role for new customers
-            isVerified: true, // Auto-verify for now, can be changed to false for email verification
+            isVerified: true, // Email ownership was proven by the verification ticket
             isActive: true
           },
           select: {
@@ -280,7 +330,7 @@ router.post('/register',
 
         // Only proceed with GoCardless if bank details are provided and validated
         if (accountHolderName && bankCode && accountNumber && accountType) {
-          console.log('Creating GoCardless integration for:', customer.email);
+          logger.info('Creating GoCardless integration for:', customer.email);
           
           try {
             // Create GoCardless customer
@@ -300,7 +350,7 @@ router.post('/register',
                 state: customer.state
               }
             });
-            console.log('GoCardless customer created:', goCardlessCustomer.id);
+            logger.info('GoCardless customer created:', goCardlessCustomer.id);
 
             // Create GoCardless customer bank account with actual bank details
             goCardlessBankAccount = await goCardlessService.createCustomerBankAccount(
@@ -314,7 +364,7 @@ router.post('/register',
                 internalCustomerId: customer.id
               }
             );
-            console.log('GoCardless customer bank account created:', goCardlessBankAccount.id);
+            logger.info('GoCardless customer bank account created:', goCardlessBankAccount.id);
 
             // Create GoCardless mandate linked to the bank account
             goCardlessMandate = await goCardlessService.createMandate(
@@ -326,7 +376,7 @@ router.post('/register',
               }
             );
 
-            console.log('GoCardless mandate created:', goCardlessMandate.id);
+            logger.info('GoCardless mandate created:', goCardlessMandate.id);
             mandateStatus = goCardlessMandate.status;
 
             // Update customer with GoCardless IDs within transaction
@@ -339,7 +389,7 @@ router.post('/register',
                 mandateStatus: mandateStatus
               }
             });
-            console.log('Customer updated with GoCardless IDs');
+            logger.info('Customer updated with GoCardless IDs');
 
             // Update customer object for response
             customer.goCardlessCustomerId = goCardlessCustomer.id;
@@ -348,20 +398,36 @@ router.post('/register',
             customer.mandateStatus = mandateStatus;
 
           } catch (goCardlessError) {
-            console.error('GoCardless integration failed:', goCardlessError);
+            logger.error('GoCardless integration failed:', goCardlessError);
             // Don't throw error, just log it - customer is still created
-            console.log('Customer registration completed without GoCardless integration');
-            console.log('GoCardless setup can be completed later via customer profile');
+            logger.info('Customer registration completed without GoCardless integration');
+            logger.info('GoCardless setup can be completed later via customer profile');
           }
         } else {
-          console.log('Bank details not provided, skipping GoCardless integration');
-          console.log('Customer can set up GoCardless later via /setup-gocardless endpoint');
+          logger.info('Bank details not provided, skipping GoCardless integration');
+          logger.info('Customer can set up GoCardless later via /setup-gocardless endpoint');
+        }
+
+        // Keep the bank details, encrypted, until a GoCardless bank account can be created from them
+        if (!customer.goCardlessBankAccountId) {
+          try {
+            const pendingBankDetails = buildPendingBankDetails({ accountHolderName, bankCode, accountNumber, accountType, preferredCurrency });
+            if (pendingBankDetails) {
+              await tx.customer.update({
+                where: { id: customer.id },
+                data: pendingBankDetails
+              });
+              logger.info('Encrypted bank details stored for later GoCardless setup');
+            }
+          } catch (encryptionError) {
+            logger.error('Failed to store encrypted bank details:', encryptionError.message);
+          }
         }
 
         // Create OpenPhone contact
         let openPhoneContact = null;
         try {
-          console.log('Creating OpenPhone contact for:', customer.email);
+          logger.info('Creating OpenPhone contact for:', customer.email);
           openPhoneContact = await openPhoneService.createContact({
             firstName: customer.firstName,
             lastName: customer.lastName,
@@ -382,12 +448,12 @@ router.post('/register',
 
             // Update customer object for response
             customer.openPhoneContactId = openPhoneContact.id;
-            console.log('OpenPhone contact created successfully:', openPhoneContact.id);
+            logger.info('OpenPhone contact created successfully:', openPhoneContact.id);
             
             // Send welcome message via OpenPhone
             if (customer.phone) {
               try {
-                console.log('Sending welcome message via OpenPhone to:', customer.phone);
+                logger.info('Sending welcome message via OpenPhone to:', customer.phone);
                 const messageResult = await openPhoneMessageService.sendWelcomeMessage({
                   firstName: customer.firstName,
                   lastName: customer.lastName,
@@ -397,43 +463,43 @@ router.post('/register',
                 });
                 
                 if (messageResult) {
-                  console.log('Welcome message sent successfully via OpenPhone');
+                  logger.info('Welcome message sent successfully via OpenPhone');
                 } else {
-                  console.log('Welcome message sending failed (OpenPhone not configured or failed)');
+                  logger.info('Welcome message sending failed (OpenPhone not configured or failed)');
                 }
               } catch (messageError) {
-                console.error('Failed to send welcome message via OpenPhone:', messageError);
+                logger.error('Failed to send welcome message via OpenPhone:', messageError);
                 // Don't fail registration if message fails
               }
             } else {
-              console.log('No phone number provided, skipping welcome message');
+              logger.info('No phone number provided, skipping welcome message');
             }
           } else {
-            console.log('OpenPhone contact creation skipped (API not configured or failed)');
-            console.log('=== MANUAL OPENPHONE CONTACT CREATION REQUIRED ===');
-            console.log('Customer details for manual contact creation:');
-            console.log(`- Name: ${customer.firstName} ${customer.lastName}`);
-            console.log(`- Email: ${customer.email}`);
-            console.log(`- Phone: ${customer.phone || 'Not provided'}`);
-            console.log(`- Company: ${customer.companyName || 'Not provided'}`);
-            console.log(`- Notes: Customer from SiteWorks - ID: ${customer.id}`);
-            console.log('=== END MANUAL CONTACT CREATION ===');
+            logger.info('OpenPhone contact creation skipped (API not configured or failed)');
+            logger.info('=== MANUAL OPENPHONE CONTACT CREATION REQUIRED ===');
+            logger.info('Customer details for manual contact creation:');
+            logger.info(`- Name: ${customer.firstName} ${customer.lastName}`);
+            logger.info(`- Email: ${customer.email}`);
+            logger.info(`- Phone: ${customer.phone || 'Not provided'}`);
+            logger.info(`- Company: ${customer.companyName || 'Not provided'}`);
+            logger.info(`- Notes: Customer from SiteWorks - ID: ${customer.id}`);
+            logger.info('=== END MANUAL CONTACT CREATION ===');
           }
         } catch (openPhoneError) {
-          console.error('OpenPhone integration failed:', openPhoneError);
+          logger.error('OpenPhone integration failed:', openPhoneError);
           // Don't throw error, just log it - customer is still created
-          console.log('Customer registration completed without OpenPhone integration');
-          console.log('=== MANUAL OPENPHONE CONTACT CREATION REQUIRED ===');
-          console.log('Customer details for manual contact creation:');
-          console.log(`- Name: ${customer.firstName} ${customer.lastName}`);
-          console.log(`- Email: ${customer.email}`);
-          console.log(`- Phone: ${customer.phone || 'Not provided'}`);
-          console.log(`- Company: ${customer.companyName || 'Not provided'}`);
-          console.log(`- Notes: Customer from SiteWorks - ID: ${customer.id}`);
-          console.log('=== END MANUAL CONTACT CREATION ===');
+          logger.info('Customer registration completed without OpenPhone integration');
+          logger.info('=== MANUAL OPENPHONE CONTACT CREATION REQUIRED ===');
+          logger.info('Customer details for manual contact creation:');
+          logger.info(`- Name: ${customer.firstName} ${customer.lastName}`);
+          logger.info(`- Email: ${customer.email}`);
+          logger.info(`- Phone: ${customer.phone || 'Not provided'}`);
+          logger.info(`- Company: ${customer.companyName || 'Not provided'}`);
+          logger.info(`- Notes: Customer from SiteWorks - ID: ${customer.id}`);
+          logger.info('=== END MANUAL CONTACT CREATION ===');
         }
 
-        console.log('Database transaction completed successfully');
+        logger.info('Database transaction completed successfully');
         return { customer, bankValidation: bankValidationResult };
       }, {
         maxWait: 5000, // 5 seconds max wait
@@ -442,12 +508,12 @@ router.post('/register',
 
       // Extract results from transaction
       const { customer, bankValidation } = result;
-      console.log('Extracted customer data from transaction');
+      logger.info('Extracted customer data from transaction');
 
       // Generate tokens
-      console.log('Generating authentication tokens...');
-      const tokens = await generateTokenPair(customer.id);
-      console.log('Authentication tokens generated successfully');
+      logger.info('Generating authentication tokens...');
+      const tokens = await generateTokenPair(customer.id, getSessionContext(req));
+      logger.info('Authentication tokens generated successfully');
 
       // Send welcome email asynchronously to avoid timeout
       const customerName = `${customer.firstName} ${customer.lastName}`.trim() || customer.email;
@@ -633,7 +699,7 @@ router.post('/register',
                   <p class="message-text">Your account has been successfully created and you can now access all our services.</p>
                   
                   <div class="text-center">
-                    <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard" class="button">🚀 Access Your Dashboard</a>
+                    <a href="${config.server.frontendUrl}/dashboard" class="button">🚀 Access Your Dashboard</a>
                   </div>
                   
                   <div class="welcome-features">
@@ -660,18 +726,18 @@ router.post('/register',
             </body>
             </html>
           `;
-          sendSmtpEmail.sender = { email: process.env.BREVO_FROM_EMAIL || 'noreply@siteworks.com', name: 'SiteWorks Team' };
+          sendSmtpEmail.sender = { email: config.brevo.fromEmail, name: 'SiteWorks Team' };
           sendSmtpEmail.to = [{ email: customer.email, name: customerName }];
 
           await apiInstance.sendTransacEmail(sendSmtpEmail);
-          console.log('Welcome email sent successfully to:', customer.email);
+          logger.info('Welcome email sent successfully to:', customer.email);
         } catch (emailError) {
-          console.error('Failed to send welcome email:', emailError);
+          logger.error('Failed to send welcome email:', emailError);
           // Don't fail registration if email fails
         }
       });
 
-      console.log('Sending successful response to client...');
+      logger.info('Sending successful response to client...');
       res.status(201).json({
         success: true,
         message: 'Customer registered successfully',
@@ -693,7 +759,7 @@ router.post('/register',
           expiresAt: tokens.expiresAt
         }
       });
-      console.log('Response sent successfully');
+      logger.info('Response sent successfully');
 
     } catch (error) {
       if (error.message === ' Email already exists') {
@@ -702,6 +768,12 @@ router.post('/register',
           code: 'CUSTOMER_EXISTS'
         });
       }
+      if (error.statusCode && error.code) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code
+        });
+      }
       next(error);
     }
   }
@@ -709,7 +781,7 @@ router.post('/register',
 
 // Bank details validation endpoint
 router.post('/validate-bank-details',
-  rateLimiter(60 * 1000, 30), // 30 requests per minute
+  rateLimiter({ name: 'validate-bank-details', windowMs: 60 * 1000, max: 30 }), // 30 requests per minute
   [
     body('accountHolderName').trim().notEmpty().withMessage('Account holder name is required'),
     body('bankCode').trim().notEmpty().withMessage('Bank code is required'),
@@ -759,7 +831,7 @@ router.post('/validate-bank-details',
 
 // Email validation endpoint
 router.post('/validate-email',
-  rateLimiter(60 * 1000, 30), // 30 requests per minute
+  rateLimiter({ name: 'validate-email', windowMs: 60 * 1000, max: 30 }), // 30 requests per minute
   [
     body('email').isEmail().withMessage('Please enter a valid email address')
   ],
@@ -802,9 +874,72 @@ router.post('/validate-email',
   }
 );
 
+// Send the 429 response for a locked or throttled account
+const sendSigninRefused = (res, code, retryAfterSeconds) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: code === 'ACCOUNT_LOCKED'
+      ? 'Too many failed sign-in attempts. Your account is temporarily locked'
+      : 'Too many failed sign-in attempts. Please wait before trying again',
+    code,
+    retryAfter: retryAfterSeconds
+  });
+};
+
+// Finish signing in: record the login and return the customer with a new token pair
+const sendSigninSuccess = async (req, res, customer, extra = {}) => {
+  // Update last login time
+  await updateLastLogin(customer.id);
+
+  // Record the signin; a new IP address or device triggers an email to the customer
+  await loginSecurityService.recordSuccess(customer, getSessionContext(req));
+
+  // Generate tokens
+  const tokens = await generateTokenPair(customer.id, getSessionContext(req));
+
+  // Return customer data (excluding password)
+  const customerData = {
+    id: customer.id,
+    email: customer.email,
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    companyName: customer.companyName,
+    phone: customer.phone,
+    countryOfResidence: customer.countryOfResidence,
+    addressLine1: customer.addressLine1,
+    addressLine2: customer.addressLine2,
+    city: customer.city,
+    postcode: customer.postcode,
+    state: customer.state,
+    role: customer.role,
+    isVerified: customer.isVerified,
+    isActive: customer.isActive,
+    lastLoginAt: customer.lastLoginAt,
+    createdAt: customer.createdAt,
+    updatedAt: customer.updatedAt,
+    goCardlessCustomerId: customer.goCardlessCustomerId,
+    goCardlessBankAccountId: customer.goCardlessBankAccountId,
+    goCardlessMandateId: customer.goCardlessMandateId,
+    mandateStatus: customer.mandateStatus,
+    openPhoneContactId: customer.openPhoneContactId
+  };
+
+  return res.json({
+    success: true,
+    message: 'Login successful',
+    customer: customerData,
+    tokens: {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresAt: tokens.expiresAt
+    },
+    ...extra
+  });
+};
+
 // Login customer
 router.post('/signin',
-  rateLimiter(15 * 60 * 1000, 10), // 10 requests per 15 minutes
+  rateLimiter({ name: 'signin', windowMs: 15 * 60 * 1000, max: 10 }), // 10 requests per 15 minutes
   validateLogin,
   async (req, res, next) => {
     try {
@@ -820,76 +955,202 @@ router.post('/signin',
 
       const { email, password } = req.body;
 
+      const context = getSessionContext(req);
+
       // Find customer
       const customer = await prisma.customer.findUnique({
         where: { email }
       });
 
       if (!customer) {
+        await loginSecurityService.recordRefused({ email, reason: 'unknown_email', ...context });
         return res.status(401).json({
           error: 'Invalid email or password',
           code: 'INVALID_CREDENTIALS'
         });
       }
 
-      // Check if customer is active
+      // Check if customer is active before the attempt is counted, as it never reaches the password check
       if (!customer.isActive) {
+        await loginSecurityService.recordRefused({ customerId: customer.id, email, reason: 'deactivated', ...context });
         return res.status(401).json({
           error: 'Account is deactivated',
           code: 'ACCOUNT_DEACTIVATED'
         });
       }
 
+      // Refuse locked or throttled accounts before looking at the password
+      const allowed = await loginSecurityService.checkSigninAllowed(customer);
+      if (!allowed.allowed) {
+        await loginSecurityService.recordRefused({
+          customerId: customer.id,
+          email,
+          reason: allowed.code === 'ACCOUNT_LOCKED' ? 'locked' : 'throttled',
+          ...context
+        });
+        return sendSigninRefused(res, allowed.code, allowed.retryAfterSeconds);
+      }
+
       // Verify password
       const isPasswordValid = await comparePassword(password, customer.password);
       if (!isPasswordValid) {
+        const failure = await loginSecurityService.recordFailure(customer, context, 'invalid_password');
+        if (failure.locked) {
+          return sendSigninRefused(res, 'ACCOUNT_LOCKED', Math.ceil((failure.lockedUntil - Date.now()) / 1000));
+        }
         return res.status(401).json({
           error: 'Invalid email or password',
           code: 'INVALID_CREDENTIALS'
         });
       }
 
-      // Update last login time
-      await updateLastLogin(customer.id);
+      await loginSecurityService.resetFailures(customer);
 
-      // Generate tokens
-      const tokens = await generateTokenPair(customer.id);
-
-      // Return customer data (excluding password)
-      const customerData = {
-        id: customer.id,
-        email: customer.email,
-        firstName: customer.firstName,
-        lastName: customer.lastName,
-        companyName: customer.companyName,
-        phone: customer.phone,
-        countryOfResidence: customer.countryOfResidence,
-        addressLine1: customer.addressLine1,
-        addressLine2: customer.addressLine2,
-        city: customer.city,
-        postcode: customer.postcode,
-        state: customer.state,
-        role: customer.role,
-        isVerified: customer.isVerified,
-        isActive: customer.isActive,
-        lastLoginAt: customer.lastLoginAt,
-        createdAt: customer.createdAt,
-        updatedAt: customer.updatedAt,
-        goCardlessCustomerId: customer.goCardlessCustomerId,
-        goCardlessBankAccountId: customer.goCardlessBankAccountId,
-        goCardlessMandateId: customer.goCardlessMandateId,
-        mandateStatus: customer.mandateStatus,
-        openPhoneContactId: customer.openPhoneContactId
-      };
+      // Accounts with 2FA get a challenge instead of tokens
+      if (customer.twoFactorEnabled) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          requiresTwoFactor: true,
+          challengeToken: generateChallengeToken(customer.id, CHALLENGE_TYPES.verify)
+        });
+      }
+
+      // Admins must enrol in 2FA before signing in when it is mandatory
+      if (await isTwoFactorRequired(customer)) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication must be set up before signing in',
+          requiresTwoFactorSetup: true,
+          challengeToken: generateChallengeToken(customer.id, CHALLENGE_TYPES.setup)
+        });
+      }
+
+      await sendSigninSuccess(req, res, customer);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Authenticate 2FA enrolment either with an access token or, for admins who must enrol
+// before they can sign in, with the setup challenge token returned by signin
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const { challengeToken } = req.body;
+
+  if (!challengeToken) {
+    return verifyToken(req, res, next);
+  }
+
+  try {
+    const customerId = verifyChallengeToken(challengeToken, CHALLENGE_TYPES.setup);
+    const customer = customerId
+      ? await prisma.customer.findUnique({ where: { id: customerId } })
+      : null;
+
+    if (!customer || !customer.isActive) {
+      return res.status(401).json({
+        error: 'Invalid or expired challenge token',
+        code: 'INVALID_CHALLENGE_TOKEN'
+      });
+    }
+
+    req.user = customer;
+    req.isSetupChallenge = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Complete signin with a TOTP or recovery code
+router.post('/2fa/verify',
+  rateLimiter({ name: '2fa-verify', windowMs: 15 * 60 * 1000, max: 10 }), // 10 requests per 15 minutes
+  [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      if (!code && !recoveryCode) {
+        return res.status(400).json({
+          error: 'A verification code or recovery code is required',
+          code: 'MISSING_TWO_FACTOR_CODE'
+        });
+      }
+
+      const customerId = verifyChallengeToken(challengeToken, CHALLENGE_TYPES.verify);
+      const customer = customerId
+        ? await prisma.customer.findUnique({ where: { id: customerId } })
+        : null;
+
+      if (!customer || !customer.isActive || !customer.twoFactorEnabled) {
+        return res.status(401).json({
+          error: 'Invalid or expired challenge token',
+          code: 'INVALID_CHALLENGE_TOKEN'
+        });
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      const allowed = await loginSecurityService.checkSigninAllowed(customer);
+      if (!allowed.allowed) {
+        return sendSigninRefused(res, allowed.code, allowed.retryAfterSeconds);
+      }
+
+      const result = await verifySecondFactor(customer, { code, recoveryCode });
+      if (!result.valid) {
+        const failure = await loginSecurityService.recordFailure(customer, getSessionContext(req), 'invalid_two_factor');
+        if (failure.locked) {
+          return sendSigninRefused(res, 'ACCOUNT_LOCKED', Math.ceil((failure.lockedUntil - Date.now()) / 1000));
+        }
+        return res.status(401).json({
+          error: 'Invalid verification code',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+
+      await loginSecurityService.resetFailures(customer);
+
+      await sendSigninSuccess(req, res, customer, result.method === 'recovery_code'
+        ? { recoveryCodesRemaining: await countRecoveryCodes(customer.id) }
+        : {});
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the current user's 2FA status
+router.get('/2fa/status',
+  verifyToken,
+  async (req, res, next) => {
+    try {
+      const customer = await prisma.customer.findUnique({
+        where: { id: req.user.id },
+        select: { id: true, role: true, twoFactorEnabled: true, twoFactorEnabledAt: true }
+      });
 
       res.json({
         success: true,
-        message: 'Login successful',
-        customer: customerData,
-        tokens: {
-          accessToken: tokens.accessToken,
-          refreshToken: tokens.refreshToken,
-          expiresAt: tokens.expiresAt
+        twoFactor: {
+          enabled: customer.twoFactorEnabled,
+          enabledAt: customer.twoFactorEnabledAt,
+          required: await isTwoFactorRequired(customer),
+          recoveryCodesRemaining: customer.twoFactorEnabled ? await countRecoveryCodes(customer.id) : 0
         }
       });
 
@@ -899,9 +1160,278 @@ router.post('/signin',
   }
 );
 
-// Get current user profile
-router.get('/profile',
+// Start 2FA enrolment: generate a secret and the otpauth URI for an authenticator app
+router.post('/2fa/setup',
+  authenticateTwoFactorSetup,
+  async (req, res, next) => {
+    try {
+      const customer = await prisma.customer.findUnique({
+        where: { id: req.user.id }
+      });
+
+      if (customer.twoFactorEnabled) {
+        return res.status(400).json({
+          error: 'Two-factor authentication is already enabled',
+          code: 'TWO_FACTOR_ALREADY_ENABLED'
+        });
+      }
+
+      // Secrets are only ever stored encrypted
+      if (!isEncryptionConfigured()) {
+        logger.error('❌ Two-factor setup refused: FIELD_ENCRYPTION_KEYS is not configured');
+        return res.status(503).json({
+          error: 'Two-factor authentication is not available',
+          code: 'TWO_FACTOR_UNAVAILABLE'
+        });
+      }
+
+      // The secret is stored but not active until a code from it is confirmed
+      const secret = generateSecret();
+      await prisma.customer.update({
+        where: { id: customer.id },
+        data: { twoFactorSecret: encryptTwoFactorSecret(secret), twoFactorLastUsedStep: null }
+      });
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        secret,
+        otpauthUri: buildOtpAuthUri(secret, customer.email)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Confirm 2FA enrolment with a code from the authenticator app
+router.post('/2fa/enable',
+  rateLimiter({ name: '2fa-enable', windowMs: 15 * 60 * 1000, max: 10 }), // 10 requests per 15 minutes
+  authenticateTwoFactorSetup,
+  [
+    body('code').notEmpty().withMessage('Verification code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const customer = await prisma.customer.findUnique({
+        where: { id: req.user.id }
+      });
+
+      if (customer.twoFactorEnabled) {
+        return res.status(400).json({
+          error: 'Two-factor authentication is already enabled',
+          code: 'TWO_FACTOR_ALREADY_ENABLED'
+        });
+      }
+
+      if (!customer.twoFactorSecret) {
+        return res.status(400).json({
+          error: 'Start two-factor setup first',
+          code: 'TWO_FACTOR_NOT_SET_UP'
+        });
+      }
+
+      if (!await verifyTotpForCustomer(customer, req.body.code)) {
+        return res.status(400).json({
+          error: 'Invalid verification code',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+
+      const recoveryCodes = await prisma.$transaction(async (tx) => {
+        await tx.customer.update({
+          where: { id: customer.id },
+          data: { twoFactorEnabled: true, twoFactorEnabledAt: new Date() }
+        });
+        return await replaceRecoveryCodes(customer.id, tx);
+      });
+
+      // Enrolment forced at signin finishes the signin
+      if (req.isSetupChallenge) {
+        return await sendSigninSuccess(req, res, customer, { recoveryCodes });
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        recoveryCodes
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Turn 2FA off; needs the password and a current code or recovery code
+router.post('/2fa/disable',
+  rateLimiter({ name: '2fa-disable', windowMs: 15 * 60 * 1000, max: 10 }), // 10 requests per 15 minutes
+  verifyToken,
+  [
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { password, code, recoveryCode } = req.body;
+      const customer = await prisma.customer.findUnique({
+        where: { id: req.user.id }
+      });
+
+      if (!customer.twoFactorEnabled) {
+        return res.status(400).json({
+          error: 'Two-factor authentication is not enabled',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+      }
+
+      if (await isTwoFactorRequired(customer)) {
+        return res.status(403).json({
+          error: 'Two-factor authentication is required for admin accounts',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+
+      // Wrong passwords and codes count towards the same lockout as signin
+      const allowed = await loginSecurityService.checkSigninAllowed(customer);
+      if (!allowed.allowed) {
+        return sendSigninRefused(res, allowed.code, allowed.retryAfterSeconds);
+      }
+
+      if (!await comparePassword(password, customer.password)) {
+        const failure = await loginSecurityService.recordFailure(customer, getSessionContext(req), 'invalid_password');
+        if (failure.locked) {
+          return sendSigninRefused(res, 'ACCOUNT_LOCKED', Math.ceil((failure.lockedUntil - Date.now()) / 1000));
+        }
+        return res.status(401).json({
+          error: 'Password is incorrect',
+          code: 'INVALID_PASSWORD'
+        });
+      }
+
+      const result = await verifySecondFactor(customer, { code, recoveryCode });
+      if (!result.valid) {
+        const failure = await loginSecurityService.recordFailure(customer, getSessionContext(req), 'invalid_two_factor');
+        if (failure.locked) {
+          return sendSigninRefused(res, 'ACCOUNT_LOCKED', Math.ceil((failure.lockedUntil - Date.now()) / 1000));
+        }
+        return res.status(401).json({
+          error: 'Invalid verification code',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+
+      await loginSecurityService.resetFailures(customer);
+
+      await prisma.$transaction([
+        prisma.customer.update({
+          where: { id: customer.id },
+          data: {
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorEnabledAt: null,
+            twoFactorLastUsedStep: null
+          }
+        }),
+        prisma.recoveryCode.deleteMany({
+          where: { customerId: customer.id }
+        })
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Replace recovery codes; needs a current authenticator code
+router.post('/2fa/recovery-codes',
+  rateLimiter({ name: '2fa-recovery-codes', windowMs: 15 * 60 * 1000, max: 10 }), // 10 requests per 15 minutes
   verifyToken,
+  [
+    body('code').notEmpty().withMessage('Verification code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const customer = await prisma.customer.findUnique({
+        where: { id: req.user.id }
+      });
+
+      if (!customer.twoFactorEnabled) {
+        return res.status(400).json({
+          error: 'Two-factor authentication is not enabled',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+      }
+
+      // Wrong codes count towards the same lockout as signin
+      const allowed = await loginSecurityService.checkSigninAllowed(customer);
+      if (!allowed.allowed) {
+        return sendSigninRefused(res, allowed.code, allowed.retryAfterSeconds);
+      }
+
+      if (!await verifyTotpForCustomer(customer, req.body.code)) {
+        const failure = await loginSecurityService.recordFailure(customer, getSessionContext(req), 'invalid_two_factor');
+        if (failure.locked) {
+          return sendSigninRefused(res, 'ACCOUNT_LOCKED', Math.ceil((failure.lockedUntil - Date.now()) / 1000));
+        }
+        return res.status(401).json({
+          error: 'Invalid verification code',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+
+      await loginSecurityService.resetFailures(customer);
+
+      const recoveryCodes = await replaceRecoveryCodes(customer.id);
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        recoveryCodes
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get current user profile (available before email verification so it can be completed)
+router.get('/profile',
+  verifyTokenAllowUnverified,
   async (req, res, next) => {
     try {
       const customer = await prisma.customer.findUnique({
@@ -951,6 +1481,104 @@ router.get('/profile',
   }
 );
 
+// Send an email verification code to the signed-in customer
+router.post('/verify-email/send-otp',
+  verifyTokenAllowUnverified,
+  async (req, res, next) => {
+    try {
+      if (req.user.isVerified) {
+        return res.status(400).json({
+          error: 'Email is already verified',
+          code: 'ALREADY_VERIFIED'
+        });
+      }
+
+      const throttle = await checkResendThrottle(req.user.email, req.ip, 'verify_email');
+      if (!throttle.allowed) {
+        return sendThrottleError(res, throttle);
+      }
+
+      const { verification, code } = await createEmailVerification(req.user.email, req.ip, 'verify_email');
+
+      try {
+        await emailService.sendEmail({
+          toEmail: req.user.email,
+          toName: `${req.user.firstName} ${req.user.lastName}`.trim(),
+          subject: 'Your SiteWorks Verification Code',
+          htmlContent: `
+            <html>
+              <body>
+                <h2>Email Verification</h2>
+                <p>Your verification code is: <strong>${code}</strong></p>
+                <p>This code will expire in 10 minutes.</p>
+                <p>If you didn't request this code, please ignore this email.</p>
+              </body>
+            </html>
+          `
+        });
+      } catch (error) {
+        await deleteEmailVerification(verification.id);
+        throw error;
+      }
+
+      res.json({
+        success: true,
+        message: 'Verification code sent successfully',
+        email: req.user.email
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Verify the signed-in customer's email with the code sent to it
+router.post('/verify-email',
+  verifyTokenAllowUnverified,
+  [
+    body('otp').trim().notEmpty().withMessage('Verification code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      if (req.user.isVerified) {
+        return res.status(400).json({
+          error: 'Email is already verified',
+          code: 'ALREADY_VERIFIED'
+        });
+      }
+
+      const result = await verifyEmailVerificationCode(req.user.email, req.body.otp, 'verify_email');
+      if (!result.valid) {
+        return sendVerificationCodeError(res, result);
+      }
+
+      await prisma.customer.update({
+        where: { id: req.user.id },
+        data: { isVerified: true }
+      });
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        isVerified: true
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Logout endpoint
 router.post('/logout',
   verifyToken,
@@ -958,8 +1586,9 @@ router.post('/logout',
     try {
       const { refreshToken } = req.body;
       
+      // Revoke the session the refresh token belongs to
       if (refreshToken) {
-        await revokeRefreshToken(refreshToken);
+        await revokeRefreshToken(refreshToken, req.user.id);
       }
 
       res.json({
@@ -991,9 +1620,55 @@ router.post('/logout-all',
   }
 );
 
+// List the current user's signed-in devices
+router.get('/sessions',
+  verifyToken,
+  async (req, res, next) => {
+    try {
+      const sessions = await listSessions(req.user.id);
+
+      res.json({
+        success: true,
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session.id === req.sessionId
+        }))
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Sign out one device
+router.delete('/sessions/:id',
+  verifyToken,
+  async (req, res, next) => {
+    try {
+      const revoked = await revokeSession(req.user.id, req.params.id);
+
+      if (!revoked) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Refresh access token
 router.post('/refresh',
-  rateLimiter(15 * 60 * 1000, 50), // 50 requests per 15 minutes
+  rateLimiter({ name: 'refresh', windowMs: 15 * 60 * 1000, max: 50 }), // 50 requests per 15 minutes
   async (req, res, next) => {
     try {
       const { refreshToken } = req.body;
@@ -1005,26 +1680,50 @@ router.post('/refresh',
         });
       }
 
-      // Verify refresh token
-      const decoded = await verifyRefreshToken(refreshToken);
+      // Rotate the refresh token; the old one stops working
+      const rotation = await rotateRefreshToken(refreshToken, getSessionContext(req));
+
+      if (rotation.status === 'reused') {
+        logger.warn(`⚠️ Rotated refresh token reused for customer ${rotation.customer.id}; session revoked`);
+        return res.status(401).json({
+          error: 'Refresh token has already been used. Please sign in again',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
+
+      if (rotation.status === 'superseded') {
+        return res.status(409).json({
+          error: 'Refresh token was just rotated by another request. Retry with the latest refresh token',
+          code: 'REFRESH_TOKEN_SUPERSEDED'
+        });
+      }
       
-      if (!decoded) {
+      if (rotation.status !== 'rotated') {
         return res.status(401).json({
           error: 'Invalid or expired refresh token',
           code: 'INVALID_REFRESH_TOKEN'
         });
       }
 
+      const { customer, tokens } = rotation;
+
       // Check if user is still active
-      if (!decoded.customer.isActive) {
+      if (!customer.isActive) {
+        await revokeTokenFamily(tokens.sessionId);
         return res.status(401).json({
           error: 'Account is deactivated',
           code: 'ACCOUNT_DEACTIVATED'
         });
       }
       
-      // Generate new token pair
-      const tokens = await generateTokenPair(decoded.customer.id);
+      // Sessions of admins who have not enrolled stop refreshing once 2FA becomes mandatory
+      if (!customer.twoFactorEnabled && await isTwoFactorRequired(customer)) {
+        await revokeTokenFamily(tokens.sessionId);
+        return res.status(403).json({
+          error: 'Two-factor authentication must be set up. Please sign in again',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
 
       res.json({
         success: true,
@@ -1044,7 +1743,7 @@ router.post('/refresh',
 
 // Forgot password endpoint
 router.post('/forgot-password',
-  rateLimiter(15 * 60 * 1000, 20), // 20 requests per 15 minutes
+  rateLimiter({ name: 'forgot-password', windowMs: 15 * 60 * 1000, max: 20 }), // 20 requests per 15 minutes
   [
     body('email')
       .isEmail()
@@ -1271,7 +1970,7 @@ router.post('/forgot-password',
                   </div>
                   
                   <div class="text-center">
-                    <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken.token}" class="button">🔐 Reset Password</a>
+                    <a href="${config.server.frontendUrl}/reset-password?token=${resetToken.token}" class="button">🔐 Reset Password</a>
                   </div>
                   
                   <div class="important-note">
@@ -1291,13 +1990,13 @@ router.post('/forgot-password',
             </body>
             </html>
           `;
-          sendSmtpEmail.sender = { email: process.env.BREVO_FROM_EMAIL || 'noreply@siteworks.com', name: 'SiteWorks Team' };
+          sendSmtpEmail.sender = { email: config.brevo.fromEmail, name: 'SiteWorks Team' };
           sendSmtpEmail.to = [{ email: customer.email, name: customerName }];
 
           await apiInstance.sendTransacEmail(sendSmtpEmail);
-          console.log('Password reset email sent successfully to:', customer.email);
+          logger.info('Password reset email sent successfully to:', customer.email);
         } catch (emailError) {
-          console.error('Failed to send password reset email:', emailError);
+          logger.error('Failed to send password reset email:', emailError);
         }
       });
 
@@ -1314,7 +2013,7 @@ router.post('/forgot-password',
 
 // Reset password endpoint
 router.post('/reset-password',
-  rateLimiter(15 * 60 * 1000, 20), // 20 requests per 15 minutes
+  rateLimiter({ name: 'reset-password', windowMs: 15 * 60 * 1000, max: 20 }), // 20 requests per 15 minutes
   [
     body('token')
       .notEmpty()
@@ -1350,6 +2049,9 @@ router.post('/reset-password',
         data: { password: hashedPassword }
       });
 
+      // Sign out every session that used the old password
+      await revokeAllUserTokens(customerData.customerId);
+
       // Mark token as used
       await markPasswordResetTokenAsUsed(token);
 
@@ -1366,7 +2068,7 @@ router.post('/reset-password',
 
 // Check phone number uniqueness endpoint
 router.post('/check-phone',
-  rateLimiter(60 * 1000, 20), // 20 requests per minute
+  rateLimiter({ name: 'check-phone', windowMs: 60 * 1000, max: 20 }), // 20 requests per minute
   [
     body('phone')
       .matches(/^\+?[1-9]\d{1,14}$/)
@@ -1403,7 +2105,7 @@ router.post('/check-phone',
 
 // Verify reset token endpoint
 router.post('/verify-reset-token',
-  rateLimiter(15 * 60 * 1000, 30), // 30 requests per 15 minutes
+  rateLimiter({ name: 'verify-reset-token', windowMs: 15 * 60 * 1000, max: 30 }), // 30 requests per 15 minutes
   [
     body('token')
       .notEmpty()
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { PrismaClient } = require('@prisma/client');
+const { prisma, withRetry } = require('../utils/db');
+const logger = require('../utils/logger');
 const { 
   verifyToken, 
   rateLimiter, 
@@ -8,18 +9,30 @@ const {
 } = require('../middleware/auth');
 const BillingIntegrationService = require('../services/billingIntegration');
 const ZohoService = require('../services/zoho');
+const SubscriptionService = require('../services/subscriptions');
+const { SubscriptionError } = SubscriptionService;
+const {
+  PAYMENT_STATUSES,
+  PAID_STATUSES,
+  PENDING_STATUSES,
+  FAILED_STATUSES
+} = require('../utils/paymentStatus');
 
 const router = express.Router();
-const prisma = new PrismaClient({
-  datasources: {
-    db: {
-      url: process.env.DATABASE_URL,
-    },
-  },
-  log: ['query', 'info', 'warn', 'error'],
-});
 const billingService = new BillingIntegrationService();
 const zohoService = new ZohoService();
+const subscriptionService = new SubscriptionService();
+
+// Send subscription errors (unknown plan, wrong state, ...) as API errors; everything else goes to the error handler
+const handleSubscriptionError = (error, res, next) => {
+  if (error instanceof SubscriptionError) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+  next(error);
+};
 
 // Database health check endpoint
 router.get('/health', async (req, res) => {
@@ -34,7 +47,7 @@ router.get('/health', async (req, res) => {
       database: 'connected'
     });
   } catch (error) {
-    console.error('Database health check failed:', error);
+    logger.error('Database health check failed:', error);
     
     res.status(503).json({
       success: false,
@@ -46,30 +59,9 @@ router.get('/health', async (req, res) => {
   }
 });
 
-// Database operation with retry logic
-const executeWithRetry = async (operation, maxRetries = 3) => {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await operation();
-    } catch (error) {
-      console.error(`Database operation attempt ${attempt} failed:`, error.message);
-      
-      if (error.code === 'P1001' && attempt < maxRetries) {
-        // Database connection error, wait and retry
-        console.log(`Retrying database operation in ${attempt * 1000}ms...`);
-        await new Promise(resolve => setTimeout(resolve, attempt * 1000));
-        continue;
-      }
-      
-      if (attempt === maxRetries) {
-        throw error;
-      }
-    }
-  }
-};
-
 // Rate limiting for sync endpoint (max 10 requests per 5 minutes per user)
 const syncRateLimiter = rateLimiter({
+  name: 'billing-sync',
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 10, // limit each IP to 10 requests per windowMs
   message: 'Too many sync requests, please try again later',
@@ -82,7 +74,7 @@ router.post('/sync',
   syncRateLimiter,
   async (req, res, next) => {
     try {
-      console.log('🔄 Syncing billing data for user:', req.user.id);
+      logger.info('🔄 Syncing billing data for user:', req.user.id);
       
       const result = await billingService.syncBillingData(req.user.id);
       
@@ -93,7 +85,7 @@ router.post('/sync',
       });
 
     } catch (error) {
-      console.error('Error syncing billing data:', error);
+      logger.error('Error syncing billing data:', error);
       res.status(500).json({
         error: 'Failed to sync billing data',
         message: error.message
@@ -116,8 +108,8 @@ router.get('/history',
       .withMessage('Limit must be between 1 and 50'),
     query('status')
       .optional()
-      .isIn(['pending', 'paid', 'failed', 'cancelled'])
-      .withMessage('Status must be pending, paid, failed, or cancelled')
+      .isIn(PAYMENT_STATUSES)
+      .withMessage(`Status must be one of: ${PAYMENT_STATUSES.join(', ')}`)
   ],
   async (req, res, next) => {
     try {
@@ -146,7 +138,7 @@ router.get('/history',
       }
 
       // Get billing history with receipts count using retry logic
-      const billingHistory = await executeWithRetry(async () => {
+      const billingHistory = await withRetry(async () => {
         return await prisma.billingHistory.findMany({
           where: whereClause,
           include: {
@@ -174,14 +166,14 @@ router.get('/history',
       });
 
       // Get total count for pagination using retry logic
-      const totalCount = await executeWithRetry(async () => {
+      const totalCount = await withRetry(async () => {
         return await prisma.billingHistory.count({
           where: whereClause
         });
       });
 
       // Calculate summary statistics using retry logic
-      const summary = await executeWithRetry(async () => {
+      const summary = await withRetry(async () => {
         return await prisma.billingHistory.aggregate({
           where: whereClause,
           _sum: {
@@ -193,11 +185,11 @@ router.get('/history',
         });
       });
 
-      const paidAmount = await executeWithRetry(async () => {
+      const paidAmount = await withRetry(async () => {
         return await prisma.billingHistory.aggregate({
           where: {
             ...whereClause,
-            status: 'paid'
+            status: { in: PAID_STATUSES }
           },
           _sum: {
             amount: true
@@ -225,7 +217,7 @@ router.get('/history',
       });
 
     } catch (error) {
-      console.error('Error in billing history endpoint:', error);
+      logger.error('Error in billing history endpoint:', error);
       
       // Handle specific database connection errors
       if (error.code === 'P1001') {
@@ -255,9 +247,9 @@ const invalidateBillingCache = async (customerId) => {
   try {
     // Clear sync cache for this customer
     billingService.clearSyncCache(customerId);
-    console.log('🗑️ Invalidated billing cache for customer:', customerId);
+    logger.info('🗑️ Invalidated billing cache for customer:', customerId);
   } catch (error) {
-    console.error('Error invalidating billing cache:', error);
+    logger.error('Error invalidating billing cache:', error);
   }
 };
 
@@ -492,7 +484,7 @@ router.get('/invoices',
       const status = req.query.status;
       const source = req.query.source || 'zoho';
 
-      console.log('🔍 Customer invoices request:', { 
+      logger.info('🔍 Customer invoices request:', { 
         userId: req.user.id, 
         page, 
         limit, 
@@ -502,7 +494,7 @@ router.get('/invoices',
 
       if (source === 'zoho') {
         // Get customer info from database
-        const customer = await executeWithRetry(async () => {
+        const customer = await withRetry(async () => {
           return await prisma.customer.findUnique({
             where: { id: req.user.id },
             select: {
@@ -539,12 +531,12 @@ router.get('/invoices',
         }
 
         try {
-          console.log(`🔍 Fetching invoices for customer: ${customer.email} (Zoho ID: ${customer.zohoCustomerId})`);
+          logger.info(`🔍 Fetching invoices for customer: ${customer.email} (Zoho ID: ${customer.zohoCustomerId})`);
           
           // Fetch invoices from Zoho for this specific customer
           const customerInvoices = await zohoService.getCustomerInvoices(customer.zohoCustomerId);
           
-          console.log(`📄 Found ${customerInvoices.length} invoices for customer`);
+          logger.info(`📄 Found ${customerInvoices.length} invoices for customer`);
 
           // Filter invoices based on status if provided
           let filteredInvoices = customerInvoices;
@@ -607,7 +599,7 @@ router.get('/invoices',
           });
 
         } catch (error) {
-          console.error(`❌ Error fetching invoices for customer ${customer.email}:`, error);
+          logger.error(`❌ Error fetching invoices for customer ${customer.email}:`, error);
           
           // If Zoho fails, return empty result rather than error
           return res.json({
@@ -633,7 +625,7 @@ router.get('/invoices',
 
         const offset = (page - 1) * limit;
 
-        const billingHistory = await executeWithRetry(async () => {
+        const billingHistory = await withRetry(async () => {
           return await prisma.billingHistory.findMany({
             where: whereClause,
             orderBy: { createdAt: 'desc' },
@@ -653,7 +645,7 @@ router.get('/invoices',
           });
         });
 
-        const totalCount = await executeWithRetry(async () => {
+        const totalCount = await withRetry(async () => {
           return await prisma.billingHistory.count({
             where: whereClause
           });
@@ -673,16 +665,16 @@ router.get('/invoices',
         }));
 
         // Calculate stats
-        const allRecords = await executeWithRetry(async () => {
+        const allRecords = await withRetry(async () => {
           return await prisma.billingHistory.findMany({
             where: { customerId: req.user.id }
           });
         });
 
         const totalAmount = allRecords.reduce((sum, record) => sum + (parseFloat(record.amount) || 0), 0);
-        const paidInvoices = allRecords.filter(record => record.status === 'paid').length;
-        const pendingInvoices = allRecords.filter(record => record.status === 'pending').length;
-        const overdueInvoices = allRecords.filter(record => record.status === 'failed').length;
+        const paidInvoices = allRecords.filter(record => PAID_STATUSES.includes(record.status)).length;
+        const pendingInvoices = allRecords.filter(record => PENDING_STATUSES.includes(record.status)).length;
+        const overdueInvoices = allRecords.filter(record => FAILED_STATUSES.includes(record.status)).length;
 
         const stats = {
           totalInvoices: allRecords.length,
@@ -707,7 +699,7 @@ router.get('/invoices',
       }
 
     } catch (error) {
-      console.error('❌ Customer invoices endpoint error:', error);
+      logger.error('❌ Customer invoices endpoint error:', error);
       next(error);
     }
   }
@@ -719,10 +711,10 @@ router.get('/invoices/:invoiceId/pdf',
   async (req, res, next) => {
     try {
       const { invoiceId } = req.params;
-      console.log('🔍 PDF request for invoice:', invoiceId, 'by user:', req.user.id);
+      logger.info('🔍 PDF request for invoice:', invoiceId, 'by user:', req.user.id);
 
       // Get customer info from database to verify they own this invoice
-      const customer = await executeWithRetry(async () => {
+      const customer = await withRetry(async () => {
         return await prisma.customer.findUnique({
           where: { id: req.user.id },
           select: {
@@ -762,17 +754,17 @@ router.get('/invoices/:invoiceId/pdf',
         // Stream PDF if requested
         if (req.query.stream === 'true') {
           try {
-            console.log('📄 Attempting binary PDF fetch...');
+            logger.info('📄 Attempting binary PDF fetch...');
             const data = await zohoService.fetchInvoicePDFBinary(invoiceId);
-            console.log('✅ Binary PDF fetched, size:', data.byteLength);
+            logger.info('✅ Binary PDF fetched, size:', data.byteLength);
             res.setHeader('Content-Type', 'application/pdf');
             res.setHeader('Content-Disposition', req.query.disposition === 'attachment' ? `attachment; filename="invoice-${invoiceId}.pdf"` : `inline; filename="invoice-${invoiceId}.pdf"`);
             return res.send(Buffer.from(data));
           } catch (e) {
-            console.log('❌ Binary fetch failed:', e.message);
+            logger.info('❌ Binary fetch failed:', e.message);
             // If binary fetch fails, fall back to returning download URL
             const downloadUrl = await zohoService.getInvoicePDF(invoiceId);
-            console.log('📄 Falling back to download URL:', downloadUrl);
+            logger.info('📄 Falling back to download URL:', downloadUrl);
             return res.json({ success: true, data: { downloadUrl } });
           }
         }
@@ -782,7 +774,7 @@ router.get('/invoices/:invoiceId/pdf',
         return res.json({ success: true, data: { downloadUrl } });
 
       } catch (error) {
-        console.error(`❌ Error accessing invoice ${invoiceId} for customer ${customer.email}:`, error);
+        logger.error(`❌ Error accessing invoice ${invoiceId} for customer ${customer.email}:`, error);
         return res.status(500).json({
           error: 'Failed to access invoice',
           message: error.message
@@ -790,12 +782,164 @@ router.get('/invoices/:invoiceId/pdf',
       }
 
     } catch (error) {
-      console.error('❌ Customer invoice PDF endpoint error:', error);
+      logger.error('❌ Customer invoice PDF endpoint error:', error);
+      next(error);
+    }
+  }
+);
+
+// List plans available for subscription
+router.get('/plans',
+  verifyToken,
+  async (req, res, next) => {
+    try {
+      const plans = await subscriptionService.listPlans({ activeOnly: true });
+
+      res.json({
+        success: true,
+        data: plans
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List the logged-in user's subscriptions
+router.get('/subscriptions',
+  verifyToken,
+  async (req, res, next) => {
+    try {
+      const subscriptions = await subscriptionService.listSubscriptions({ customerId: req.user.id });
+
+      res.json({
+        success: true,
+        data: subscriptions
+      });
+
+    } catch (error) {
       next(error);
     }
   }
 );
 
+// Get one of the logged-in user's subscriptions with its billed periods
+router.get('/subscriptions/:id',
+  verifyToken,
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.getSubscription(req.params.id, { customerId: req.user.id });
+
+      res.json({
+        success: true,
+        data: subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
+// Subscribe the logged-in user to a plan
+router.post('/subscriptions',
+  verifyToken,
+  [
+    body('planId')
+      .isString()
+      .notEmpty()
+      .withMessage('Plan ID is required'),
+    body('anchorDay')
+      .optional()
+      .isInt({ min: 1, max: 28 })
+      .withMessage('Anchor day must be between 1 and 28')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { planId, anchorDay } = req.body;
+      const subscription = await subscriptionService.createSubscription(req.user.id, planId, {
+        anchorDay: anchorDay ? parseInt(anchorDay, 10) : undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Subscription created successfully',
+        data: subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
+// Pause one of the logged-in user's subscriptions
+router.post('/subscriptions/:id/pause',
+  verifyToken,
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.pauseSubscription(req.params.id, { customerId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Subscription paused successfully',
+        data: subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
+// Resume one of the logged-in user's subscriptions
+router.post('/subscriptions/:id/resume',
+  verifyToken,
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.resumeSubscription(req.params.id, { customerId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Subscription resumed successfully',
+        data: subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
+// Cancel one of the logged-in user's subscriptions
+router.post('/subscriptions/:id/cancel',
+  verifyToken,
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.cancelSubscription(req.params.id, { customerId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Subscription cancelled successfully',
+        data: subscription
+      });
+
+    } catch (error) {
+      handleSubscriptionError(error, res, next);
+    }
+  }
+);
+
 // Apply error handler
 router.use(errorHandler);
 
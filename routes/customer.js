@@ -1,6 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient } = require('@prisma/client');
+const { config } = require('../config');
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
 const { 
   verifyToken, 
   rateLimiter, 
@@ -13,25 +15,34 @@ const {
   verifyRefreshToken,
   revokeRefreshToken,
   revokeAllUserTokens,
+  getSessionContext,
   updateLastLogin,
   isValidEmail,
   validatePassword
 } = require('../utils/auth');
+const { consumeVerificationTicket } = require('../utils/emailVerification');
+const {
+  buildPendingBankDetails,
+  decryptBankDetails,
+  PURGED_BANK_DETAILS
+} = require('../utils/fieldEncryption');
 // Brevo SDK setup
 const SibApiV3Sdk = require('sib-api-v3-sdk');
 const defaultClient = SibApiV3Sdk.ApiClient.instance;
 const apiKey = defaultClient.authentications['api-key'];
-apiKey.apiKey = process.env.BREVO_API_KEY;
+apiKey.apiKey = config.brevo.apiKey;
 // GoCardless service
 const GoCardlessService = require('../services/gocardless');
+// Bank validation service
+const BankValidationService = require('../services/bankValidation');
 // OpenPhone sync service
 const OpenPhoneSyncService = require('../services/openphone-sync');
 // OpenPhone message service
 const OpenPhoneMessageService = require('../services/openphone-messages');
 
 const router = express.Router();
-const prisma = new PrismaClient();
 const goCardlessService = new GoCardlessService();
+const bankValidationService = new BankValidationService();
 const openPhoneSyncService = new OpenPhoneSyncService();
 const openPhoneMessageService = new OpenPhoneMessageService();
 
@@ -137,7 +148,7 @@ const validateCustomerRegistration = [
 
 // Register new customer with comprehensive details
 router.post('/register', 
-  rateLimiter(15 * 60 * 1000, 20), // 20 requests per 15 minutes
+  rateLimiter({ name: 'customer-register', windowMs: 15 * 60 * 1000, max: 20 }), // 20 requests per 15 minutes
   validateCustomerRegistration,
   async (req, res, next) => {
     try {
@@ -165,18 +176,25 @@ router.post('/register',
         bankCode,
         accountNumber,
         accountType,
-        preferredCurrency
+        preferredCurrency,
+        // Ticket from /api/verify-otp proving the email was verified
+        verificationToken
       } = req.body;
 
-      // Console log bank details as requested
-      if (accountHolderName || bankCode || accountNumber || accountType || preferredCurrency) {
-        console.log('=== BANK DETAILS (CONSOLE LOGGED) ===');
-        console.log('Account Holder Name:', accountHolderName);
-        console.log('Bank Code:', bankCode);
-        console.log('Account Number:', accountNumber);
-        console.log('Account Type:', accountType);
-        console.log('Preferred Currency:', preferredCurrency);
-        console.log('=====================================');
+      if (!verificationToken) {
+        return res.status(400).json({
+          error: 'Email verification is required before registering',
+          code: 'EMAIL_VERIFICATION_REQUIRED'
+        });
+      }
+
+      // Never log bank details in full
+      if (accountNumber) {
+        logger.info('Bank details provided for registration:', {
+          accountNumber: bankValidationService.maskAccountNumber(accountNumber),
+          accountType,
+          preferredCurrency
+        });
       }
 
       try {
@@ -195,47 +213,64 @@ router.post('/register',
         // Hash password
         const hashedPassword = await hashPassword(password);
 
-        // Create customer in database first (without GoCardless data)
-        const customer = await prisma.customer.create({
-          data: {
-            email,
-            password: hashedPassword,
-            firstName,
-            lastName,
-            companyName,
-            phone,
-            countryOfResidence,
-            addressLine1: address.line1,
-            addressLine2: address.line2,
-            city: address.city,
-            postcode: address.postcode,
-            state: address.state,
-            isVerified: true, // Auto-verify for now, can be changed to false for email verification
-            isActive: true
-          },
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            companyName: true,
-            phone: true,
-            countryOfResidence: true,
-            addressLine1: true,
-            addressLine2: true,
-            city: true,
-            postcode: true,
-            state: true,
-            isVerified: true,
-            isActive: true,
-            createdAt: true,
-            goCardlessCustomerId: true,
-            goCardlessBankAccountId: true,
-            goCardlessMandateId: true,
-            mandateStatus: true
+        // Redeem the verification ticket and create the customer (without GoCardless data)
+        // together, so a failed create leaves the ticket usable
+        const { ticket, customer } = await prisma.$transaction(async (tx) => {
+          const ticket = await consumeVerificationTicket(verificationToken, email, 'signup', tx);
+          if (!ticket.valid) {
+            return { ticket, customer: null };
           }
+
+          const customer = await tx.customer.create({
+            data: {
+              email,
+              password: hashedPassword,
+              firstName,
+              lastName,
+              companyName,
+              phone,
+              countryOfResidence,
+              addressLine1: address.line1,
+              addressLine2: address.line2,
+              city: address.city,
+              postcode: address.postcode,
+              state: address.state,
+              isVerified: true, // Email ownership was proven by the verification ticket
+              isActive: true
+            },
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              companyName: true,
+              phone: true,
+              countryOfResidence: true,
+              addressLine1: true,
+              addressLine2: true,
+              city: true,
+              postcode: true,
+              state: true,
+              isVerified: true,
+              isActive: true,
+              createdAt: true,
+              goCardlessCustomerId: true,
+              goCardlessBankAccountId: true,
+              goCardlessMandateId: true,
+              mandateStatus: true
+            }
+          });
+
+          return { ticket, customer };
         });
-        console.log('Customer created:', customer);
+
+        if (!ticket.valid) {
+          return res.status(400).json({
+            error: ticket.message,
+            code: ticket.code
+          });
+        }
+        logger.info('Customer created:', customer);
 
         // Create GoCardless customer and mandate
         let goCardlessCustomer = null;
@@ -243,11 +278,11 @@ router.post('/register',
         let mandateStatus = null;
 
         try {
-          console.log('Creating GoCardless integration for:', customer.email);
+          logger.info('Creating GoCardless integration for:', customer.email);
           
           // Only proceed with GoCardless if bank details are provided
           if (accountHolderName && bankCode && accountNumber) {
-            console.log('Bank details provided, creating GoCardless customer and bank account');
+            logger.info('Bank details provided, creating GoCardless customer and bank account');
             
             // Create GoCardless customer
             goCardlessCustomer = await goCardlessService.createCustomer({
@@ -266,8 +301,8 @@ router.post('/register',
                 state: customer.state
               }
             });
-            console.log('GoCardless customer created:', goCardlessCustomer);
-            console.log('GoCardless customer created:', goCardlessCustomer.id);
+            logger.info('GoCardless customer created:', goCardlessCustomer);
+            logger.info('GoCardless customer created:', goCardlessCustomer.id);
 
             // Create GoCardless customer bank account with actual bank details
             const goCardlessBankAccount = await goCardlessService.createCustomerBankAccount(
@@ -280,9 +315,7 @@ router.post('/register',
                 countryCode: customer.countryOfResidence
               }
             );
-            console.log('GoCardless customer bank account created:', goCardlessBankAccount);
-
-            console.log('GoCardless customer bank account created:', goCardlessBankAccount.id);
+            logger.info('GoCardless customer bank account created:', goCardlessBankAccount.id);
 
             // Create GoCardless mandate linked to the bank account
             goCardlessMandate = await goCardlessService.createMandate(
@@ -294,9 +327,9 @@ router.post('/register',
               }
             );
 
-            console.log('GoCardless mandate created:', goCardlessMandate.id);
+            logger.info('GoCardless mandate created:', goCardlessMandate.id);
             mandateStatus = goCardlessMandate.status;
-            console.log('GoCardless mandate created:', goCardlessMandate);
+            logger.info('GoCardless mandate created:', goCardlessMandate);
 
             // Update customer with GoCardless IDs
             await prisma.customer.update({
@@ -308,7 +341,7 @@ router.post('/register',
                 mandateStatus: mandateStatus
               }
             });
-            console.log('Customer updated with GoCardless IDs:', customer);
+            logger.info('Customer updated with GoCardless IDs:', customer);
 
             // Update customer object for response
             customer.goCardlessCustomerId = goCardlessCustomer.id;
@@ -316,21 +349,37 @@ router.post('/register',
             customer.goCardlessMandateId = goCardlessMandate.id;
             customer.mandateStatus = mandateStatus;
           } else {
-            console.log('Bank details not provided, skipping GoCardless integration');
-            console.log('Customer can set up GoCardless later via /setup-gocardless endpoint');
+            logger.info('Bank details not provided, skipping GoCardless integration');
+            logger.info('Customer can set up GoCardless later via /setup-gocardless endpoint');
           }
 
         } catch (goCardlessError) {
-          console.error('GoCardless integration failed:', goCardlessError);
+          logger.error('GoCardless integration failed:', goCardlessError);
           
           // Log the error but don't fail the registration
           // The customer is already created, we'll handle GoCardless setup later
-          console.log('Customer registration completed without GoCardless integration');
-          console.log('GoCardless setup can be completed later via customer profile');
+          logger.info('Customer registration completed without GoCardless integration');
+          logger.info('GoCardless setup can be completed later via customer profile');
+        }
+
+        // Keep the bank details, encrypted, until a GoCardless bank account can be created from them
+        if (!customer.goCardlessBankAccountId) {
+          try {
+            const pendingBankDetails = buildPendingBankDetails({ accountHolderName, bankCode, accountNumber, accountType, preferredCurrency });
+            if (pendingBankDetails) {
+              await prisma.customer.update({
+                where: { id: customer.id },
+                data: pendingBankDetails
+              });
+              logger.info('Encrypted bank details stored for later GoCardless setup');
+            }
+          } catch (encryptionError) {
+            logger.error('Failed to store encrypted bank details:', encryptionError.message);
+          }
         }
 
         // Generate tokens
-        const tokens = await generateTokenPair(customer.id);
+        const tokens = await generateTokenPair(customer.id, getSessionContext(req));
 
         // Send welcome email
         const customerName = `${customer.firstName} ${customer.lastName}`.trim() || customer.email;
@@ -368,7 +417,7 @@ router.post('/register',
                   <p>Your account has been successfully created and you can now access all our services.</p>
                   
                   <div style="text-align: center;">
-                    <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard" class="button">Access Your Dashboard</a>
+                    <a href="${config.server.frontendUrl}/dashboard" class="button">Access Your Dashboard</a>
                   </div>
                   
                   <p>If you have any questions or need assistance, please don't hesitate to contact our support team.</p>
@@ -383,15 +432,15 @@ router.post('/register',
             </html>
           `;
           sendSmtpEmail.sender = {
-            name: process.env.BREVO_SENDER_NAME || "SiteWorks",
-            email: process.env.BREVO_SENDER_EMAIL
+            name: config.brevo.senderName,
+            email: config.brevo.senderEmail
           };
           sendSmtpEmail.to = [{ email: customer.email }];
 
           await apiInstance.sendTransacEmail(sendSmtpEmail);
-          console.log('Welcome email sent successfully to:', customer.email);
+          logger.info('Welcome email sent successfully to:', customer.email);
         } catch (emailError) {
-          console.error('Failed to send welcome email:', emailError);
+          logger.error('Failed to send welcome email:', emailError);
           // Don't fail registration if email fails
         }
 
@@ -406,7 +455,7 @@ router.post('/register',
           }
         });
       } catch (dbError) {
-        console.error('Database error:', dbError);
+        logger.error('Database error:', dbError);
         return res.status(503).json({
           error: 'Database service unavailable',
           code: 'DATABASE_UNAVAILABLE',
@@ -551,7 +600,7 @@ router.put('/profile',
             }
           } catch (dbError) {
             // If database is not available, skip phone uniqueness check
-            console.log('Database not available for phone validation, skipping uniqueness check');
+            logger.info('Database not available for phone validation, skipping uniqueness check');
           }
         }
       }
@@ -642,7 +691,7 @@ router.put('/profile',
             });
           }
         } catch (dbError) {
-          console.log('Database not available for email validation, skipping uniqueness check');
+          logger.info('Database not available for email validation, skipping uniqueness check');
         }
       }
 
@@ -668,7 +717,7 @@ router.put('/profile',
           }
         });
       } catch (dbError) {
-        console.log('Database not available, cannot get current customer data');
+        logger.info('Database not available, cannot get current customer data');
         currentCustomer = null;
       }
 
@@ -725,7 +774,7 @@ router.put('/profile',
       // Update GoCardless customer if they have a GoCardless customer ID
       if (currentCustomer.goCardlessCustomerId) {
         try {
-          console.log('Updating GoCardless customer:', currentCustomer.goCardlessCustomerId);
+          logger.info('Updating GoCardless customer:', currentCustomer.goCardlessCustomerId);
           
           // Prepare customer data for GoCardless update
           const goCardlessCustomerData = {
@@ -745,9 +794,9 @@ router.put('/profile',
           };
 
           await goCardlessService.updateCustomer(currentCustomer.goCardlessCustomerId, goCardlessCustomerData);
-          console.log('GoCardless customer updated successfully');
+          logger.info('GoCardless customer updated successfully');
         } catch (goCardlessError) {
-          console.error('Failed to update GoCardless customer:', goCardlessError);
+          logger.error('Failed to update GoCardless customer:', goCardlessError);
           // Don't fail the entire request if GoCardless update fails
           // The database update was successful, so we'll return success but log the GoCardless error
         }
@@ -760,7 +809,7 @@ router.put('/profile',
 
       // Sync with OpenPhone
       try {
-        console.log('Syncing profile update with OpenPhone for customer:', req.user.id);
+        logger.info('Syncing profile update with OpenPhone for customer:', req.user.id);
         
         // Prepare customer data for OpenPhone sync
         const openPhoneCustomerData = {
@@ -778,9 +827,9 @@ router.put('/profile',
         };
 
         const openPhoneResult = await openPhoneSyncService.syncProfileUpdate(req.user.id, openPhoneCustomerData);
-        console.log('OpenPhone sync result:', openPhoneResult ? 'Success' : 'Failed');
+        logger.info('OpenPhone sync result:', openPhoneResult ? 'Success' : 'Failed');
       } catch (openPhoneError) {
-        console.error('Failed to sync with OpenPhone:', openPhoneError);
+        logger.error('Failed to sync with OpenPhone:', openPhoneError);
         // Don't fail the entire request if OpenPhone sync fails
         // The database update was successful, so we'll return success but log the OpenPhone error
       }
@@ -789,7 +838,7 @@ router.put('/profile',
       let phoneUpdateMessageSent = false;
       if (phoneChanged && newPhone) {
         try {
-          console.log('Phone number changed, sending update message to:', newPhone);
+          logger.info('Phone number changed, sending update message to:', newPhone);
           
           const messageResult = await openPhoneMessageService.sendPhoneUpdateMessage(
             updatedCustomer,
@@ -798,9 +847,9 @@ router.put('/profile',
           );
           
           phoneUpdateMessageSent = !!messageResult;
-          console.log('Phone update message result:', phoneUpdateMessageSent ? 'Sent' : 'Failed');
+          logger.info('Phone update message result:', phoneUpdateMessageSent ? 'Sent' : 'Failed');
         } catch (messageError) {
-          console.error('Failed to send phone update message:', messageError);
+          logger.error('Failed to send phone update message:', messageError);
           // Don't fail the entire request if message sending fails
         }
       }
@@ -821,19 +870,22 @@ router.put('/profile',
   }
 );
 
-// Setup or retry GoCardless integration
+// Setup or retry GoCardless integration; bank details kept from registration are used when none are sent
 router.post('/setup-gocardless',
   verifyToken,
   [
     body('accountHolderName')
+      .optional()
       .trim()
       .isLength({ min: 2, max: 100 })
       .withMessage('Account holder name is required and must be between 2 and 100 characters'),
     body('bankCode')
+      .optional()
       .isNumeric()
       .isLength({ min: 3, max: 20 })
       .withMessage('Bank code is required and must be 3-20 digits'),
     body('accountNumber')
+      .optional()
       .isNumeric()
       .isLength({ min: 8, max: 20 })
       .withMessage('Account number is required and must be 8-20 digits'),
@@ -854,8 +906,6 @@ router.post('/setup-gocardless',
         });
       }
 
-      const { accountHolderName, bankCode, accountNumber, accountType } = req.body;
-
       const customer = await prisma.customer.findUnique({
         where: { id: req.user.id }
       });
@@ -867,6 +917,20 @@ router.post('/setup-gocardless',
         });
       }
 
+      // Fall back to the encrypted bank details stored at registration
+      const storedBankDetails = decryptBankDetails(customer);
+      const bankCode = req.body.bankCode || storedBankDetails.bankCode;
+      const accountNumber = req.body.accountNumber || storedBankDetails.accountNumber;
+      const accountHolderName = req.body.accountHolderName || customer.accountHolderName;
+      const accountType = req.body.accountType || customer.accountType;
+
+      if (!customer.goCardlessBankAccountId && (!accountHolderName || !bankCode || !accountNumber)) {
+        return res.status(400).json({
+          error: 'Account holder name, bank code and account number are required',
+          code: 'BANK_DETAILS_REQUIRED'
+        });
+      }
+
       // Check if already setup
       if (customer.goCardlessCustomerId && customer.goCardlessBankAccountId && customer.goCardlessMandateId) {
         return res.status(400).json({
@@ -886,7 +950,7 @@ router.post('/setup-gocardless',
       let goCardlessMandate = null;
 
       try {
-        console.log('Setting up GoCardless for customer:', customer.email);
+        logger.info('Setting up GoCardless for customer:', customer.email);
 
         // Create or get GoCardless customer
         if (!customer.goCardlessCustomerId) {
@@ -906,7 +970,7 @@ router.post('/setup-gocardless',
               state: customer.state
             }
           });
-          console.log('GoCardless customer created:', goCardlessCustomer.id);
+          logger.info('GoCardless customer created:', goCardlessCustomer.id);
         } else {
           goCardlessCustomer = await goCardlessService.getCustomer(customer.goCardlessCustomerId);
         }
@@ -923,10 +987,10 @@ router.post('/setup-gocardless',
               countryCode: customer.countryOfResidence
             }
           );
-          console.log('GoCardless customer bank account created:', goCardlessBankAccount.id);
+          logger.info('GoCardless customer bank account created:', goCardlessBankAccount.id);
         } else {
           // If bank account already exists, we should get it (though this shouldn't happen with the check above)
-          console.log('Using existing GoCardless bank account:', customer.goCardlessBankAccountId);
+          logger.info('Using existing GoCardless bank account:', customer.goCardlessBankAccountId);
           goCardlessBankAccount = { id: customer.goCardlessBankAccountId };
         }
 
@@ -939,19 +1003,20 @@ router.post('/setup-gocardless',
               scheme: customer.countryOfResidence === 'GB' ? 'bacs' : 'sepa_core'
             }
           );
-          console.log('GoCardless mandate created:', goCardlessMandate.id);
+          logger.info('GoCardless mandate created:', goCardlessMandate.id);
         } else {
           goCardlessMandate = await goCardlessService.getMandate(customer.goCardlessMandateId);
         }
 
-        // Update customer with GoCardless IDs
+        // Update customer with GoCardless IDs; GoCardless now holds the bank account, so drop our copy
         const updatedCustomer = await prisma.customer.update({
           where: { id: customer.id },
           data: {
             goCardlessCustomerId: goCardlessCustomer.id,
             goCardlessBankAccountId: goCardlessBankAccount.id,
             goCardlessMandateId: goCardlessMandate.id,
-            mandateStatus: goCardlessMandate.status
+            mandateStatus: goCardlessMandate.status,
+            ...PURGED_BANK_DETAILS
           },
           select: {
             id: true,
@@ -975,7 +1040,7 @@ router.post('/setup-gocardless',
         });
 
       } catch (goCardlessError) {
-        console.error('GoCardless setup failed:', goCardlessError);
+        logger.error('GoCardless setup failed:', goCardlessError);
         return res.status(500).json({
           error: 'Failed to setup GoCardless integration',
           code: 'GOCARDLESS_SETUP_FAILED',
@@ -1026,7 +1091,7 @@ router.get('/gocardless-status',
             });
           }
         } catch (error) {
-          console.error('Error fetching mandate details:', error);
+          logger.error('Error fetching mandate details:', error);
         }
       }
 
@@ -1113,9 +1178,18 @@ router.put('/change-password',
         data: { password: hashedNewPassword }
       });
 
+      // Sign out every other session; this device gets a fresh token pair
+      await revokeAllUserTokens(req.user.id);
+      const tokens = await generateTokenPair(req.user.id, getSessionContext(req));
+
       res.json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully',
+        tokens: {
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken,
+          expiresAt: tokens.expiresAt
+        }
       });
 
     } catch (error) {
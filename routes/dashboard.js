@@ -1,9 +1,10 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
 const { verifyToken, errorHandler } = require('../middleware/auth');
+const { PAID_STATUSES, PENDING_STATUSES, FAILED_STATUSES } = require('../utils/paymentStatus');
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
 // Get dashboard analytics
 router.get('/analytics',
@@ -32,7 +33,7 @@ router.get('/analytics',
       const paidAmount = await prisma.billingHistory.aggregate({
         where: {
           customerId,
-          status: 'paid'
+          status: { in: PAID_STATUSES }
         },
         _sum: {
           amount: true
@@ -42,7 +43,7 @@ router.get('/analytics',
       const pendingAmount = await prisma.billingHistory.aggregate({
         where: {
           customerId,
-          status: 'pending'
+          status: { in: PENDING_STATUSES }
         },
         _sum: {
           amount: true
@@ -52,7 +53,7 @@ router.get('/analytics',
       const failedAmount = await prisma.billingHistory.aggregate({
         where: {
           customerId,
-          status: 'failed'
+          status: { in: FAILED_STATUSES }
         },
         _sum: {
           amount: true
@@ -74,15 +75,15 @@ router.get('/analytics',
         });
 
         const paid = monthBills
-          .filter(bill => bill.status === 'paid')
+          .filter(bill => PAID_STATUSES.includes(bill.status))
           .reduce((sum, bill) => sum + parseFloat(bill.amount), 0);
         
         const pending = monthBills
-          .filter(bill => bill.status === 'pending')
+          .filter(bill => PENDING_STATUSES.includes(bill.status))
           .reduce((sum, bill) => sum + parseFloat(bill.amount), 0);
         
         const failed = monthBills
-          .filter(bill => bill.status === 'failed')
+          .filter(bill => FAILED_STATUSES.includes(bill.status))
           .reduce((sum, bill) => sum + parseFloat(bill.amount), 0);
 
         monthlyData.push({
@@ -111,7 +112,7 @@ router.get('/analytics',
         });
 
         const amount = dayBills
-          .filter(bill => bill.status === 'paid')
+          .filter(bill => PAID_STATUSES.includes(bill.status))
           .reduce((sum, bill) => sum + parseFloat(bill.amount), 0);
 
         weeklyData.push({
@@ -168,7 +169,7 @@ router.get('/analytics',
       });
 
     } catch (error) {
-      console.error('Error fetching dashboard analytics:', error);
+      logger.error('Error fetching dashboard analytics:', error);
       next(error);
     }
   }
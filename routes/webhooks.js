@@ -1,8 +1,11 @@
 const express = require('express');
-const crypto = require('crypto');
+const { config } = require('../config');
+const logger = require('../utils/logger');
 const BillingIntegrationService = require('../services/billingIntegration');
+const { verifySignature } = require('../utils/webhookSignature');
 
 const router = express.Router();
+const billingIntegration = new BillingIntegrationService();
 
 /**
  * GoCardless Webhook Handler
@@ -10,38 +13,37 @@ const router = express.Router();
  */
 router.post('/gocardless', async (req, res) => {
   try {
-    console.log('📥 Received GoCardless webhook');
+    logger.info('📥 Received GoCardless webhook');
     
-    // Verify webhook signature (optional but recommended)
-    const signature = req.headers['webhook-signature'];
-    const body = JSON.stringify(req.body);
+    // Verify webhook signature over the exact bytes GoCardless signed
+    const secret = config.goCardless.webhookSecret;
     
-    if (process.env.GOCARDLESS_WEBHOOK_SECRET) {
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.GOCARDLESS_WEBHOOK_SECRET)
-        .update(body)
-        .digest('hex');
+    if (secret) {
+      const signature = req.headers['webhook-signature'];
       
-      if (signature !== expectedSignature) {
-        console.error('❌ Invalid webhook signature');
-        return res.status(401).json({ error: 'Invalid signature' });
+      if (!verifySignature(req.rawBody, signature, secret)) {
+        logger.error('❌ Invalid webhook signature');
+        // GoCardless expects 498 Invalid Token for signature failures
+        return res.status(498).json({ error: 'Invalid Token' });
       }
+    } else {
+      logger.warn('⚠️ GOCARDLESS_WEBHOOK_SECRET not set, skipping webhook signature verification');
     }
 
-    // Process webhook events
-    const billingIntegration = new BillingIntegrationService();
+    // Process webhook events (already-processed event IDs are acknowledged without side effects)
     const result = await billingIntegration.processGoCardlessWebhook(req.body);
     
-    console.log('✅ Webhook processed successfully:', result.events.length, 'events');
+    logger.info('✅ Webhook processed successfully:', result.events.length, 'events,', result.duplicates.length, 'duplicates');
     
     res.status(200).json({
       success: true,
       message: 'Webhook processed successfully',
-      eventsProcessed: result.events.length
+      eventsProcessed: result.events.length,
+      duplicatesSkipped: result.duplicates.length
     });
 
   } catch (error) {
-    console.error('❌ Error processing GoCardless webhook:', error);
+    logger.error('❌ Error processing GoCardless webhook:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to process webhook',
@@ -51,58 +53,43 @@ router.post('/gocardless', async (req, res) => {
 });
 
 /**
- * Zoho Webhook Handler (if needed)
- * Processes webhook events from Zoho Books
+ * Zoho Webhook Handler
+ * Processes invoice and contact events from Zoho Books and updates billing records and customers
  */
 router.post('/zoho', async (req, res) => {
   try {
-    console.log('📥 Received Zoho webhook');
+    logger.info('📥 Received Zoho webhook');
     
-    // Verify webhook signature if configured
-    const signature = req.headers['x-zoho-signature'];
-    
-    if (process.env.ZOHO_WEBHOOK_SECRET && signature) {
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.ZOHO_WEBHOOK_SECRET)
-        .update(JSON.stringify(req.body))
-        .digest('hex');
-      
-      if (signature !== expectedSignature) {
-        console.error('❌ Invalid Zoho webhook signature');
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
-    }
+    // Verify webhook signature; events change billing records and customers, so unsigned requests are rejected.
+    // The secret is required in production, so it can only be missing in development.
+    const secret = config.zoho.webhookSecret;
 
-    // Process Zoho webhook events
-    const { events } = req.body;
-    
-    if (events && events.length > 0) {
-      console.log('📋 Processing Zoho events:', events.length);
-      
-      // Handle different event types
-      for (const event of events) {
-        switch (event.resource_type) {
-          case 'invoices':
-            console.log('📄 Invoice event:', event.action, event.resource_id);
-            // Handle invoice events (paid, cancelled, etc.)
-            break;
-          case 'contacts':
-            console.log('👤 Contact event:', event.action, event.resource_id);
-            // Handle contact events
-            break;
-          default:
-            console.log('❓ Unknown event type:', event.resource_type);
-        }
+    if (secret) {
+      const signature = req.headers['x-zoho-signature'];
+
+      if (!verifySignature(req.rawBody, signature, secret)) {
+        logger.error('❌ Invalid Zoho webhook signature');
+        // Same response as the GoCardless handler for signature failures
+        return res.status(498).json({ error: 'Invalid Token' });
       }
+    } else {
+      logger.warn('⚠️ ZOHO_WEBHOOK_SECRET not set, skipping webhook signature verification');
     }
-    
+
+    // Process Zoho webhook events (already-processed events are acknowledged without side effects)
+    const result = await billingIntegration.processZohoWebhook(req.body);
+
+    logger.info('✅ Zoho webhook processed successfully:', result.events.length, 'events,', result.duplicates.length, 'duplicates');
+
     res.status(200).json({
       success: true,
-      message: 'Zoho webhook processed successfully'
+      message: 'Zoho webhook processed successfully',
+      eventsProcessed: result.events.length,
+      duplicatesSkipped: result.duplicates.length
     });
 
   } catch (error) {
-    console.error('❌ Error processing Zoho webhook:', error);
+    logger.error('❌ Error processing Zoho webhook:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to process Zoho webhook',
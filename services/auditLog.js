@@ -0,0 +1,198 @@
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
+const { getSessionContext } = require('../utils/auth');
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'actorId',
+  'actorEmail',
+  'action',
+  'targetType',
+  'targetId',
+  'changes',
+  'metadata',
+  'ipAddress',
+  'userAgent'
+];
+
+// Quote a CSV field; a leading =, +, -, @, tab or carriage return is prefixed so spreadsheets do not run it as a formula
+const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Comparable form of a field value so dates and JSON compare by content
+const comparable = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Audit Log Service
+ * Records privileged admin actions (who did what to which record, what changed,
+ * and where the request came from) and lists them for review and export
+ */
+class AuditLogService {
+  constructor() {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Build a { field: { from, to } } diff of the fields that differ
+   * @param {Object} before - Record before the change
+   * @param {Object} after - Record after the change
+   * @param {Array<string>} fields - Fields to compare; defaults to every field in either record
+   * @param {Array<string>} sensitiveFields - Fields recorded as { changed: true } without their values
+   * @returns {Object|null} Changed fields, or null when nothing changed
+   */
+  diff(before = {}, after = {}, fields = null, sensitiveFields = []) {
+    const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const changes = {};
+
+    for (const key of keys) {
+      const from = before ? before[key] : undefined;
+      const to = after ? after[key] : undefined;
+      if (comparable(from) === comparable(to)) {
+        continue;
+      }
+
+      if (sensitiveFields.includes(key)) {
+        changes[key] = { changed: true };
+      } else {
+        changes[key] = {
+          from: from === undefined ? null : from,
+          to: to === undefined ? null : to
+        };
+      }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Record an admin action
+   * Failures are logged rather than thrown: the action itself has already happened.
+   * @param {Object} req - Express request; supplies the acting admin, IP address and user agent
+   * @param {Object} entry - Audit entry
+   * @param {Object} entry.actor - Acting admin ({ id, email }); defaults to req.admin, then req.user
+   * @param {string} entry.action - Action name, e.g. user.status_changed
+   * @param {string} entry.targetType - Kind of record acted on (customer, admin, invoice, setting)
+   * @param {string} entry.targetId - ID of the record acted on
+   * @param {Object} entry.before - Record before the change
+   * @param {Object} entry.after - Record after the change
+   * @param {Array<string>} entry.fields - Fields to compare between before and after
+   * @param {Array<string>} entry.sensitiveFields - Fields whose values must not be stored (e.g. bank details)
+   * @param {Object} entry.metadata - Extra details worth keeping
+   * @returns {Promise<Object|null>} Audit log entry, or null if it could not be written
+   */
+  async record(req, { actor = null, action, targetType, targetId = null, before = null, after = null, fields = null, sensitiveFields = [], metadata = null }) {
+    actor = actor || req.admin || req.user || {};
+    const context = getSessionContext(req);
+
+    try {
+      const entry = await this.prisma.auditLog.create({
+        data: {
+          actorId: actor.id || null,
+          actorEmail: actor.email || 'unknown',
+          action,
+          targetType,
+          targetId: targetId === null ? null : String(targetId),
+          changes: before || after ? this.diff(before, after, fields, sensitiveFields) : null,
+          metadata,
+          ipAddress: context.ipAddress,
+          userAgent: context.userAgent
+        }
+      });
+
+      if (actor.id) {
+        await this.prisma.admin.updateMany({
+          where: { customerId: actor.id },
+          data: { lastAdminAction: entry.createdAt }
+        });
+      }
+
+      return entry;
+    } catch (error) {
+      logger.error(`❌ Failed to write audit log for ${action}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build the where clause for audit log filters
+   * @param {Object} filters - { actorId, targetType, targetId, action, startDate, endDate }
+   * @returns {Object} Prisma where clause
+   */
+  buildWhere({ actorId, targetType, targetId, action, startDate, endDate } = {}) {
+    const where = {};
+
+    if (actorId) where.actorId = actorId;
+    if (targetType) where.targetType = targetType;
+    if (targetId) where.targetId = targetId;
+    if (action) where.action = action;
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) {
+        where.createdAt.gte = new Date(startDate);
+      }
+      if (endDate) {
+        // A date without a time covers the whole of that day
+        const endDateTime = new Date(endDate);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+          endDateTime.setUTCHours(23, 59, 59, 999);
+        }
+        where.createdAt.lte = endDateTime;
+      }
+    }
+
+    return where;
+  }
+
+  /**
+   * List audit log entries, newest first
+   * @param {Object} filters - See buildWhere
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async list(filters, { page = 1, limit = 50 } = {}) {
+    const where = this.buildWhere(filters);
+
+    const [entries, total] = await Promise.all([
+      this.prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.auditLog.count({ where })
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Render audit log entries as CSV
+   * @param {Array} entries - Audit log entries
+   * @returns {string} CSV with a header row
+   */
+  toCsv(entries) {
+    const rows = entries.map((entry) => CSV_COLUMNS.map((column) => toCsvField(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = AuditLogService;
@@ -237,7 +237,8 @@ class BankValidationService {
    * @returns {string} Masked account number
    */
   maskAccountNumber(accountNumber) {
-    if (!accountNumber || accountNumber.length < 4) return accountNumber;
+    if (!accountNumber) return accountNumber;
+    if (accountNumber.length <= 4) return '****';
     return '****' + accountNumber.slice(-4);
   }
 }
@@ -1,12 +1,40 @@
-const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const { config } = require('../config');
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
 const GoCardlessService = require('./gocardless');
 const ZohoService = require('./zoho');
+const WebhookEventService = require('./webhookEvents');
+const { getRetryPolicy, shouldRetry, addBusinessDays } = require('../utils/paymentRetry');
+const {
+  PAID_STATUSES,
+  PENDING_STATUSES,
+  canTransition,
+  fromGoCardlessStatus,
+  fromZohoInvoiceStatus
+} = require('../utils/paymentStatus');
+
+// Mandates that can no longer be collected against
+const INACTIVE_MANDATE_STATUSES = ['cancelled', 'failed', 'expired', 'replaced'];
+
+// Refunds that did not reach the customer and do not count towards the refunded amount
+const FAILED_REFUND_STATUSES = ['failed', 'funds_returned'];
+
+// Zoho credit note attempts per refund before it is left for an admin to retry
+const CREDIT_NOTE_MAX_ATTEMPTS = config.billing.creditNoteRetryMaxAttempts;
+
+// A pending credit note claimed longer ago than this is treated as abandoned (e.g. the process died) and retried
+const CREDIT_NOTE_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// An in-progress idempotency key claimed longer ago than this is treated as abandoned and can be resumed
+const IDEMPOTENCY_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
 
 class BillingIntegrationService {
   constructor() {
-    this.prisma = new PrismaClient();
+    this.prisma = prisma;
     this.goCardlessService = new GoCardlessService();
     this.zohoService = new ZohoService();
+    this.webhookEventService = new WebhookEventService(this.prisma);
     
     // Add cache for sync operations
     this.syncCache = new Map();
@@ -23,11 +51,28 @@ class BillingIntegrationService {
    * @param {Date} billingData.dueDate - Due date
    * @param {Object} billingData.customer - Customer information for Zoho
    * @param {Object} billingData.items - Invoice items
+   * @param {string} billingData.idempotencyKey - Optional key; repeating a key returns the original records
    * @returns {Promise<Object>} Created billing records
    */
   async createBillingCycle(billingData) {
+    let reservedKey = null;
+    // Set while a Zoho invoice or GoCardless payment exists that is not yet saved on the key
+    let unrecordedExternalRecord = false;
+
     try {
-      console.log('🚀 Starting billing cycle creation...');
+      logger.info('🚀 Starting billing cycle creation...');
+
+      // Step 0: Reserve the idempotency key before anything is created in Zoho or GoCardless,
+      // so a repeated or concurrent request cannot raise a second invoice or payment
+      let reservation = null;
+      if (billingData.idempotencyKey) {
+        const reserved = await this.reserveIdempotencyKey(billingData.idempotencyKey, billingData.customerId);
+        if (reserved.replay) {
+          return reserved.replay;
+        }
+        reservation = reserved.reservation;
+        reservedKey = billingData.idempotencyKey;
+      }
 
       // Step 1: Get customer information
       const customer = await this.prisma.customer.findUnique({
@@ -38,44 +83,63 @@ class BillingIntegrationService {
         throw new Error('Customer not found');
       }
 
-      // Step 2: Create or find Zoho customer
-      let zohoCustomer = await this.zohoService.findCustomerByEmail(customer.email);
-      
-      if (!zohoCustomer) {
-        console.log('📝 Creating Zoho customer...');
-        zohoCustomer = await this.zohoService.createCustomer({
-          name: `${customer.firstName} ${customer.lastName}`,
-          email: customer.email,
-          phone: customer.phone,
-          billing_address: {
-            address: customer.addressLine1,
-            city: customer.city,
-            state: customer.state,
-            zip: customer.postcode,
-            country: customer.countryOfResidence
-          }
+      let zohoInvoice;
+      if (reservation?.zohoInvoiceId) {
+        // An earlier attempt with this key already raised the invoice
+        logger.info(`♻️ Resuming with existing Zoho invoice ${reservation.zohoInvoiceId}...`);
+        zohoInvoice = await this.zohoService.getInvoice(reservation.zohoInvoiceId);
+      } else {
+        // Step 2: Create or find Zoho customer
+        let zohoCustomer = await this.zohoService.findCustomerByEmail(customer.email);
+
+        if (!zohoCustomer) {
+          logger.info('📝 Creating Zoho customer...');
+          zohoCustomer = await this.zohoService.createCustomer({
+            name: `${customer.firstName} ${customer.lastName}`,
+            email: customer.email,
+            phone: customer.phone,
+            billing_address: {
+              address: customer.addressLine1,
+              city: customer.city,
+              state: customer.state,
+              zip: customer.postcode,
+              country: customer.countryOfResidence
+            }
+          });
+        }
+
+        // Step 3: Create Zoho invoice
+        logger.info('📄 Creating Zoho invoice...');
+        zohoInvoice = await this.zohoService.createInvoice({
+          customer_id: zohoCustomer.contact_id,
+          line_items: billingData.items || [{
+            name: billingData.description,
+            quantity: 1,
+            rate: billingData.amount / 100, // Convert from pence to currency
+            tax_percentage: 0
+          }],
+          reference: billingData.reference || `INV-${Date.now()}`,
+          notes: billingData.notes || '',
+          terms: billingData.terms || 'Payment due on receipt'
         });
-      }
 
-      // Step 3: Create Zoho invoice
-      console.log('📄 Creating Zoho invoice...');
-      const zohoInvoice = await this.zohoService.createInvoice({
-        customer_id: zohoCustomer.contact_id,
-        line_items: billingData.items || [{
-          name: billingData.description,
-          quantity: 1,
-          unit_price: billingData.amount / 100, // Convert from pence to currency
-          tax_percentage: 0
-        }],
-        reference: billingData.reference || `INV-${Date.now()}`,
-        notes: billingData.notes || '',
-        terms: billingData.terms || 'Payment due on receipt'
-      });
+        if (reservedKey) {
+          unrecordedExternalRecord = true;
+          await this.prisma.billingIdempotencyKey.update({
+            where: { key: reservedKey },
+            data: { zohoInvoiceId: zohoInvoice.invoice_id }
+          });
+          unrecordedExternalRecord = false;
+        }
+      }
 
-      // Step 4: Create GoCardless payment if mandate exists
+      // Step 4: Create GoCardless payment if a usable mandate exists
       let goCardlessPayment = null;
-      if (customer.goCardlessMandateId) {
-        console.log('💳 Creating GoCardless payment...');
+      if (reservation?.goCardlessPaymentId) {
+        logger.info(`♻️ Resuming with existing GoCardless payment ${reservation.goCardlessPaymentId}...`);
+        goCardlessPayment = await this.goCardlessService.getPayment(reservation.goCardlessPaymentId);
+      } else if (this.canCollectByDirectDebit(customer)) {
+        logger.info('💳 Creating GoCardless payment...');
         goCardlessPayment = await this.goCardlessService.createPayment(
           customer.goCardlessMandateId,
           {
@@ -86,17 +150,29 @@ class BillingIntegrationService {
             chargeDate: billingData.dueDate || new Date(),
             internalCustomerId: customer.id,
             invoiceId: zohoInvoice.invoice_id,
+            idempotencyKey: billingData.idempotencyKey,
             metadata: {
               zoho_invoice_id: zohoInvoice.invoice_id
             }
           }
         );
+
+        if (reservedKey) {
+          unrecordedExternalRecord = true;
+          await this.prisma.billingIdempotencyKey.update({
+            where: { key: reservedKey },
+            data: { goCardlessPaymentId: goCardlessPayment.id }
+          });
+          unrecordedExternalRecord = false;
+        }
       }
 
       // Step 5: Create billing history record
-      console.log('💾 Creating billing history record...');
-      const billingHistory = await this.prisma.billingHistory.create({
-        data: {
+      // Zoho's invoice webhook can arrive before this point and create the record first, so attach to it
+      logger.info('💾 Creating billing history record...');
+      const billingHistory = await this.prisma.billingHistory.upsert({
+        where: { zohoInvoiceId: zohoInvoice.invoice_id },
+        create: {
           customerId: customer.id,
           goCardlessPaymentId: goCardlessPayment?.id || null,
           zohoInvoiceId: zohoInvoice.invoice_id,
@@ -104,18 +180,32 @@ class BillingIntegrationService {
           currency: billingData.currency,
           status: goCardlessPayment ? 'pending' : 'pending',
           description: billingData.description,
-          dueDate: billingData.dueDate
+          dueDate: billingData.dueDate,
+          idempotencyKey: billingData.idempotencyKey || null
+        },
+        update: {
+          goCardlessPaymentId: goCardlessPayment?.id || null,
+          description: billingData.description,
+          dueDate: billingData.dueDate,
+          idempotencyKey: billingData.idempotencyKey || null
         }
       });
 
+      if (reservedKey) {
+        await this.prisma.billingIdempotencyKey.update({
+          where: { key: reservedKey },
+          data: { status: 'completed', billingHistoryId: billingHistory.id }
+        });
+      }
+
       // Step 6: Create receipt record
-      console.log('🧾 Creating receipt record...');
+      logger.info('🧾 Creating receipt record...');
       
       let pdfUrl = null;
       try {
         pdfUrl = await this.zohoService.getInvoicePDF(zohoInvoice.invoice_id);
       } catch (error) {
-        console.log('⚠️ PDF generation failed, will retry later:', error.message);
+        logger.info('⚠️ PDF generation failed, will retry later:', error.message);
         // PDF might not be immediately available, we'll handle this gracefully
       }
       
@@ -132,7 +222,7 @@ class BillingIntegrationService {
         }
       });
 
-      console.log('✅ Billing cycle created successfully!');
+      logger.info('✅ Billing cycle created successfully!');
       
       return {
         billingHistory,
@@ -142,57 +232,921 @@ class BillingIntegrationService {
       };
 
     } catch (error) {
-      console.error('❌ Error creating billing cycle:', error);
+      logger.error('❌ Error creating billing cycle:', error);
+      if (reservedKey) {
+        await this.releaseIdempotencyKey(reservedKey, unrecordedExternalRecord ? 'failed_partial' : 'failed');
+      }
       throw error;
     }
   }
 
+  /**
+   * Reserve an idempotency key for a new billing cycle
+   * The unique insert means only one request can hold a key; later requests get the stored result.
+   * A failed attempt, or one whose claim has gone stale, is taken over and resumed from the
+   * Zoho invoice and GoCardless payment it already created.
+   * @param {string} key - Client-supplied idempotency key
+   * @param {string} customerId - Internal customer ID
+   * @returns {Promise<Object>} { replay } with the replayed billing cycle, or { reservation } with the claimed key
+   */
+  async reserveIdempotencyKey(key, customerId) {
+    try {
+      const reservation = await this.prisma.billingIdempotencyKey.create({
+        data: { key, customerId, status: 'in_progress' }
+      });
+      return { reservation };
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    }
+
+    const existing = await this.prisma.billingIdempotencyKey.findUnique({ where: { key } });
+
+    if (existing.customerId !== customerId) {
+      throw this.billingError('Idempotency key was already used for another customer', 409, 'IDEMPOTENCY_KEY_CONFLICT');
+    }
+
+    if (existing.status === 'completed') {
+      logger.info(`⏭️ Billing cycle for idempotency key ${key} already exists`);
+      const { receipts, ...billingHistory } = await this.prisma.billingHistory.findUnique({
+        where: { id: existing.billingHistoryId },
+        include: { receipts: true }
+      });
+      return {
+        replay: {
+          billingHistory,
+          receipt: receipts[0] || null,
+          zohoInvoice: null,
+          goCardlessPayment: null,
+          replayed: true
+        }
+      };
+    }
+
+    // Something was created in Zoho or GoCardless that the key does not know about
+    if (existing.status === 'failed_partial') {
+      throw this.billingError(
+        'A previous attempt with this idempotency key partly completed and needs to be checked before retrying',
+        409,
+        'IDEMPOTENCY_KEY_FAILED_PARTIAL'
+      );
+    }
+
+    const now = new Date();
+    const { count } = await this.prisma.billingIdempotencyKey.updateMany({
+      where: {
+        key,
+        OR: [
+          { status: 'failed' },
+          { status: 'in_progress', claimedAt: { lt: new Date(now.getTime() - IDEMPOTENCY_CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      data: { status: 'in_progress', claimedAt: now }
+    });
+
+    if (count === 1) {
+      logger.info(`🔁 Resuming billing cycle for idempotency key ${key}`);
+      const reservation = await this.prisma.billingIdempotencyKey.findUnique({ where: { key } });
+      return { reservation };
+    }
+
+    throw this.billingError('A billing cycle for this idempotency key is still being created', 409, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+  }
+
+  /**
+   * Mark a reserved idempotency key as failed so the request can be retried.
+   * Keys whose billing record was already created stay completed.
+   * @param {string} key - Idempotency key reserved by reserveIdempotencyKey
+   * @param {string} status - 'failed', or 'failed_partial' when an external record was created but not saved on the key
+   */
+  async releaseIdempotencyKey(key, status = 'failed') {
+    try {
+      await this.prisma.billingIdempotencyKey.updateMany({
+        where: { key, status: 'in_progress' },
+        data: { status }
+      });
+    } catch (error) {
+      logger.error(`❌ Error releasing idempotency key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Check whether payments can be collected from the customer's current mandate
+   * @param {Object} customer - Customer record
+   * @returns {boolean} True when the customer has a mandate that is not cancelled, failed, expired or replaced
+   */
+  canCollectByDirectDebit(customer) {
+    return !!customer.goCardlessMandateId && !INACTIVE_MANDATE_STATUSES.includes(customer.mandateStatus);
+  }
+
   /**
    * Process GoCardless webhook and update billing records
+   * Every event is persisted first; events that were already processed are
+   * acknowledged without re-running their side effects.
    * @param {Object} webhookData - GoCardless webhook data
    * @returns {Promise<Object>} Processing result
    */
   async processGoCardlessWebhook(webhookData) {
     try {
-      console.log('🔄 Processing GoCardless webhook...');
+      logger.info('🔄 Processing GoCardless webhook...');
       
+      const rawEvents = webhookData.events || [];
       const processedEvents = await this.goCardlessService.processWebhook(webhookData);
       
-      for (const event of processedEvents.events) {
-        if (event.resource_type === 'payments') {
-          // Update billing history status
-          const billingHistory = await this.prisma.billingHistory.findFirst({
-            where: { goCardlessPaymentId: event.resource_id }
-          });
+      const result = {
+        success: true,
+        events: [],
+        duplicates: [],
+        failed: []
+      };
 
-          if (billingHistory) {
-            await this.prisma.billingHistory.update({
-              where: { id: billingHistory.id },
-              data: {
-                status: event.status,
-                paidAt: event.status === 'paid' ? new Date() : null,
-                updatedAt: new Date()
-              }
-            });
+      for (let i = 0; i < processedEvents.events.length; i++) {
+        const event = processedEvents.events[i];
+        const { webhookEvent, alreadyProcessed, claimed } = await this.webhookEventService.recordDelivery(
+          'gocardless',
+          rawEvents[i]
+        );
 
-            // If payment is confirmed, update Zoho invoice status
-            if (event.status === 'paid' && billingHistory.zohoInvoiceId) {
-              await this.zohoService.updateInvoiceStatus(billingHistory.zohoInvoiceId, 'paid');
-            }
+        if (alreadyProcessed) {
+          logger.info(`⏭️ Skipping already processed GoCardless event ${event.id}`);
+          result.duplicates.push(event.id);
+          continue;
+        }
 
-            console.log(`✅ Updated billing record ${billingHistory.id} to status: ${event.status}`);
-          }
+        if (!claimed) {
+          logger.info(`⏭️ Skipping GoCardless event ${event.id}, another delivery is processing it`);
+          result.duplicates.push(event.id);
+          continue;
+        }
+
+        try {
+          await this.applyGoCardlessEvent(event);
+          await this.webhookEventService.markProcessed(webhookEvent.id);
+          result.events.push(event);
+        } catch (error) {
+          logger.error(`❌ Error applying GoCardless event ${event.id}:`, error);
+          await this.webhookEventService.markFailed(webhookEvent.id, error);
+          result.failed.push({ id: event.id, error: error.message });
         }
       }
 
-      return processedEvents;
+      // Fail the delivery so GoCardless retries it; processed events will be skipped next time
+      if (result.failed.length > 0) {
+        const error = new Error(`Failed to process ${result.failed.length} GoCardless event(s)`);
+        error.result = result;
+        throw error;
+      }
+
+      return result;
 
     } catch (error) {
-      console.error('❌ Error processing GoCardless webhook:', error);
+      logger.error('❌ Error processing GoCardless webhook:', error);
       throw error;
     }
   }
 
+  /**
+   * Apply a single processed GoCardless event to local records
+   * @param {Object} event - Event as returned by GoCardlessService.processWebhook
+   * @returns {Promise<void>}
+   */
+  async applyGoCardlessEvent(event) {
+    if (event.resource_type === 'payments') {
+      await this.applyPaymentEvent(event);
+    }
+
+    if (event.resource_type === 'mandates') {
+      await this.applyMandateEvent(event);
+    }
+
+    if (event.resource_type === 'refunds') {
+      await this.applyRefundEvent(event);
+    }
+  }
+
+  /**
+   * Apply a GoCardless payment event to its billing record through the payment state machine
+   * Illegal transitions (e.g. failed back to pending) are logged and ignored.
+   * @param {Object} event - Processed payment event
+   * @returns {Promise<void>}
+   */
+  async applyPaymentEvent(event) {
+    if (event.status === 'unknown') {
+      logger.info(`⏭️ No billing status change for payment ${event.resource_id} ${event.action} event`);
+      return;
+    }
+
+    const billingHistory = await this.prisma.billingHistory.findFirst({
+      where: { goCardlessPaymentId: event.resource_id }
+    });
+
+    if (!billingHistory) {
+      return;
+    }
+
+    if (!canTransition(billingHistory.status, event.status)) {
+      logger.warn(`⚠️ Rejected billing record ${billingHistory.id} transition ${billingHistory.status} → ${event.status} (${event.action})`);
+      return;
+    }
+
+    const isPaid = PAID_STATUSES.includes(event.status);
+
+    const updatedBilling = await this.prisma.billingHistory.update({
+      where: { id: billingHistory.id },
+      data: {
+        status: event.status,
+        statusCause: event.details?.cause || null,
+        statusDescription: event.details?.description || null,
+        paidAt: isPaid ? (billingHistory.paidAt || new Date()) : null,
+        // A retry is only in progress while the payment is waiting on the bank again
+        ...(PENDING_STATUSES.includes(event.status) ? {} : { nextRetryAt: null }),
+        updatedAt: new Date()
+      }
+    });
+
+    // A fresh failure may be retried automatically under the retry policy
+    if (event.action === 'failed' && billingHistory.status !== 'failed') {
+      await this.scheduleRetry(updatedBilling, event.details?.cause);
+    }
+
+    // Mark the Zoho invoice paid the first time the payment is collected
+    if (isPaid && !PAID_STATUSES.includes(billingHistory.status) && billingHistory.zohoInvoiceId) {
+      await this.zohoService.updateInvoiceStatus(billingHistory.zohoInvoiceId, 'paid');
+    }
+
+    logger.info(`✅ Updated billing record ${billingHistory.id} to status: ${event.status}`);
+  }
+
+  /**
+   * Ask GoCardless to retry a failed payment when the retry policy allows it
+   * Retries are spaced a configured number of business days apart. A retry that cannot be
+   * requested is logged and leaves the payment failed.
+   * @param {Object} billingHistory - Failed billing record
+   * @param {string} cause - GoCardless failure cause
+   * @returns {Promise<Object|null>} Updated billing record, or null when not retried
+   */
+  async scheduleRetry(billingHistory, cause) {
+    const policy = getRetryPolicy();
+
+    if (!shouldRetry(cause, billingHistory.retryCount, policy)) {
+      logger.info(`⏭️ Not retrying billing record ${billingHistory.id} (cause: ${cause || 'unknown'}, retries: ${billingHistory.retryCount}/${policy.maxAttempts})`);
+      return null;
+    }
+
+    const chargeDate = addBusinessDays(new Date(), policy.intervalBusinessDays);
+
+    try {
+      await this.goCardlessService.retryPayment(billingHistory.goCardlessPaymentId, {
+        chargeDate,
+        metadata: {
+          retry_attempt: String(billingHistory.retryCount + 1)
+        }
+      });
+    } catch (error) {
+      logger.error(`❌ Could not retry billing record ${billingHistory.id}:`, error.message);
+      return null;
+    }
+
+    const updated = await this.prisma.billingHistory.update({
+      where: { id: billingHistory.id },
+      data: {
+        retryCount: { increment: 1 },
+        nextRetryAt: chargeDate
+      }
+    });
+
+    logger.info(`🔁 Retry ${updated.retryCount}/${policy.maxAttempts} of billing record ${billingHistory.id} scheduled for ${chargeDate.toISOString().split('T')[0]}`);
+    return updated;
+  }
+
+  /**
+   * Apply a GoCardless refund event to the matching refund record
+   * Refunds created outside this API (or whose record was never written) are picked up
+   * from GoCardless and attached to the billing record of the refunded payment.
+   * @param {Object} event - Processed refund event
+   * @returns {Promise<void>}
+   */
+  async applyRefundEvent(event) {
+    if (event.status === 'unknown') {
+      logger.info(`⏭️ No refund status change for ${event.resource_id} ${event.action} event`);
+      return;
+    }
+
+    const goCardlessRefundId = event.links?.refund || event.resource_id;
+    const refund = await this.prisma.refund.findUnique({
+      where: { goCardlessRefundId }
+    });
+
+    if (refund) {
+      // A late "created" event must not undo a later status
+      if (event.status === 'created' && refund.status !== 'created') {
+        return;
+      }
+
+      await this.prisma.refund.update({
+        where: { id: refund.id },
+        data: {
+          status: event.status,
+          statusCause: event.details?.cause || null
+        }
+      });
+
+      logger.info(`✅ Updated refund ${refund.id} to status: ${event.status}`);
+      return;
+    }
+
+    const goCardlessRefund = await this.goCardlessService.getRefund(goCardlessRefundId);
+    const billingHistory = await this.prisma.billingHistory.findFirst({
+      where: { goCardlessPaymentId: goCardlessRefund.links?.payment }
+    });
+
+    if (!billingHistory) {
+      logger.warn(`⚠️ No billing record found for GoCardless refund ${goCardlessRefundId}, ignoring ${event.action} event`);
+      return;
+    }
+
+    const created = await this.prisma.refund.create({
+      data: {
+        billingHistoryId: billingHistory.id,
+        customerId: billingHistory.customerId,
+        goCardlessRefundId,
+        amount: goCardlessRefund.amount / 100, // Convert from pence
+        currency: goCardlessRefund.currency || billingHistory.currency,
+        status: event.status,
+        statusCause: event.details?.cause || null
+      }
+    });
+
+    logger.info(`✅ Recorded GoCardless refund ${goCardlessRefundId} as refund ${created.id}`);
+  }
+
+  /**
+   * Refund a collected payment through GoCardless and credit the Zoho invoice
+   * @param {string} billingHistoryId - Billing record to refund
+   * @param {Object} refundData - Refund information
+   * @param {number} refundData.amount - Amount in currency units; omit to refund everything not yet refunded
+   * @param {string} refundData.reason - Reason shown on the credit note
+   * @param {string} refundData.idempotencyKey - Optional GoCardless idempotency key
+   * @param {string} refundData.initiatedById - Admin customer ID issuing the refund
+   * @returns {Promise<Object>} { refund, refundedAmount, refundableAmount, zohoCreditNote }
+   * zohoCreditNote is null when the credit note failed; the refund's creditNoteStatus is then 'failed' and it is retried
+   */
+  async createRefund(billingHistoryId, refundData = {}) {
+    try {
+      const billingHistory = await this.prisma.billingHistory.findUnique({
+        where: { id: billingHistoryId },
+        include: { refunds: true }
+      });
+
+      if (!billingHistory) {
+        throw this.billingError('Billing record not found', 404, 'BILLING_RECORD_NOT_FOUND');
+      }
+
+      if (!billingHistory.goCardlessPaymentId || !PAID_STATUSES.includes(billingHistory.status)) {
+        throw this.billingError('Only payments collected through GoCardless can be refunded', 409, 'NOT_REFUNDABLE');
+      }
+
+      // Work in pence so partial refunds add up exactly
+      const paidPence = Math.round(Number(billingHistory.amount) * 100);
+      const refundedPence = billingHistory.refunds
+        .filter((refund) => !FAILED_REFUND_STATUSES.includes(refund.status))
+        .reduce((sum, refund) => sum + Math.round(Number(refund.amount) * 100), 0);
+      const refundablePence = paidPence - refundedPence;
+      const amountPence = refundData.amount !== undefined && refundData.amount !== null
+        ? Math.round(Number(refundData.amount) * 100)
+        : refundablePence;
+
+      if (amountPence <= 0 || amountPence > refundablePence) {
+        throw this.billingError(
+          `Refund amount must be between 0.01 and ${(refundablePence / 100).toFixed(2)}`,
+          400,
+          'INVALID_REFUND_AMOUNT'
+        );
+      }
+
+      logger.info(`💸 Refunding ${amountPence / 100} ${billingHistory.currency} of billing record ${billingHistory.id}`);
+      const goCardlessRefund = await this.goCardlessService.createRefund(billingHistory.goCardlessPaymentId, {
+        amount: amountPence,
+        totalAmountConfirmation: refundedPence + amountPence,
+        reference: 'REFUND',
+        idempotencyKey: refundData.idempotencyKey,
+        metadata: {
+          billing_history_id: billingHistory.id
+        }
+      });
+
+      // The webhook may already have recorded this refund
+      const refund = await this.prisma.refund.upsert({
+        where: { goCardlessRefundId: goCardlessRefund.id },
+        create: {
+          billingHistoryId: billingHistory.id,
+          customerId: billingHistory.customerId,
+          goCardlessRefundId: goCardlessRefund.id,
+          amount: amountPence / 100,
+          currency: goCardlessRefund.currency || billingHistory.currency,
+          reason: refundData.reason || null,
+          initiatedById: refundData.initiatedById || null,
+          creditNoteStatus: billingHistory.zohoInvoiceId ? 'pending' : null,
+          creditNoteClaimedAt: billingHistory.zohoInvoiceId ? new Date() : null
+        },
+        update: {
+          reason: refundData.reason || null,
+          initiatedById: refundData.initiatedById || null
+        }
+      });
+
+      // The money has moved at this point, so a Zoho failure is recorded on the refund rather than thrown
+      let zohoCreditNote = null;
+      let refundRecord = refund;
+      if (billingHistory.zohoInvoiceId && !refund.zohoCreditNoteId) {
+        ({ refund: refundRecord, zohoCreditNote } = await this.createRefundCreditNote(refund, billingHistory));
+      }
+
+      logger.info(`✅ Refund ${refund.id} created (GoCardless ${goCardlessRefund.id})`);
+
+      return {
+        refund: refundRecord,
+        refundedAmount: (refundedPence + amountPence) / 100,
+        refundableAmount: (refundablePence - amountPence) / 100,
+        zohoCreditNote
+      };
+
+    } catch (error) {
+      logger.error('❌ Error creating refund:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the Zoho credit note for a refund and record the outcome on the refund
+   * @param {Object} refund - Refund record
+   * @param {Object} billingHistory - Billing record the refund belongs to
+   * @returns {Promise<Object>} { refund, zohoCreditNote }; zohoCreditNote is null when Zoho failed
+   */
+  async createRefundCreditNote(refund, billingHistory) {
+    try {
+      const invoice = await this.zohoService.getInvoice(billingHistory.zohoInvoiceId);
+      const zohoCreditNote = await this.zohoService.createCreditNote({
+        customer_id: invoice.customer_id,
+        invoice_id: billingHistory.zohoInvoiceId,
+        date: new Date().toISOString().split('T')[0],
+        reference_number: refund.goCardlessRefundId,
+        line_items: [{
+          name: `Refund: ${billingHistory.description || 'Payment'}`,
+          quantity: 1,
+          rate: Number(refund.amount)
+        }],
+        notes: refund.reason || ''
+      });
+
+      const updated = await this.prisma.refund.update({
+        where: { id: refund.id },
+        data: {
+          zohoCreditNoteId: zohoCreditNote.creditnote_id,
+          creditNoteStatus: 'created',
+          creditNoteError: null,
+          creditNoteClaimedAt: null,
+          creditNoteAttempts: { increment: 1 }
+        }
+      });
+
+      return { refund: updated, zohoCreditNote };
+    } catch (error) {
+      logger.error(`❌ Failed to create Zoho credit note for refund ${refund.id}:`, error.message);
+
+      const updated = await this.prisma.refund.update({
+        where: { id: refund.id },
+        data: {
+          creditNoteStatus: 'failed',
+          creditNoteError: error.response?.data?.message || error.message,
+          creditNoteClaimedAt: null,
+          creditNoteAttempts: { increment: 1 }
+        }
+      });
+
+      return { refund: updated, zohoCreditNote: null };
+    }
+  }
+
+  /**
+   * Filter for refunds whose credit note can be retried: failed, or pending with an abandoned claim
+   * @param {Date} now - Current time
+   * @returns {Object} Prisma where clause
+   */
+  retryableCreditNoteWhere(now) {
+    return {
+      OR: [
+        { creditNoteStatus: 'failed' },
+        {
+          creditNoteStatus: 'pending',
+          OR: [
+            { creditNoteClaimedAt: null },
+            { creditNoteClaimedAt: { lt: new Date(now.getTime() - CREDIT_NOTE_CLAIM_TIMEOUT_MS) } }
+          ]
+        }
+      ]
+    };
+  }
+
+  /**
+   * Retry the Zoho credit note of one refund whose credit note failed or was left pending
+   * The refund is claimed first, so concurrent retries cannot create two credit notes.
+   * @param {string} refundId - Refund ID
+   * @returns {Promise<Object>} { refund, zohoCreditNote }
+   */
+  async retryRefundCreditNote(refundId) {
+    const now = new Date();
+    const claimed = await this.prisma.refund.updateMany({
+      where: { id: refundId, ...this.retryableCreditNoteWhere(now) },
+      data: { creditNoteStatus: 'pending', creditNoteClaimedAt: now }
+    });
+
+    if (claimed.count === 0) {
+      throw this.billingError('Refund has no failed or abandoned credit note to retry', 409, 'CREDIT_NOTE_NOT_FAILED');
+    }
+
+    const refund = await this.prisma.refund.findUnique({
+      where: { id: refundId },
+      include: { billingHistory: true }
+    });
+
+    const { billingHistory, ...refundRecord } = refund;
+    return await this.createRefundCreditNote(refundRecord, billingHistory);
+  }
+
+  /**
+   * Retry failed or abandoned Zoho credit notes, up to CREDIT_NOTE_RETRY_MAX_ATTEMPTS attempts per refund
+   * @returns {Promise<Object>} { created, failed }
+   */
+  async retryFailedCreditNotes() {
+    const refunds = await this.prisma.refund.findMany({
+      where: {
+        ...this.retryableCreditNoteWhere(new Date()),
+        creditNoteAttempts: { lt: CREDIT_NOTE_MAX_ATTEMPTS }
+      },
+      select: { id: true },
+      orderBy: { createdAt: 'asc' },
+      take: 50
+    });
+
+    const result = { created: 0, failed: 0 };
+    for (const { id } of refunds) {
+      try {
+        const { zohoCreditNote } = await this.retryRefundCreditNote(id);
+        result[zohoCreditNote ? 'created' : 'failed']++;
+      } catch (error) {
+        // Claimed by another run in the meantime
+        if (error.code !== 'CREDIT_NOTE_NOT_FAILED') {
+          throw error;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Build an error that routes can send as-is
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {string} code - API error code
+   * @returns {Error} Error with statusCode and code
+   */
+  billingError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Apply a GoCardless mandate event to the matching customer and record the transition
+   * Events older than the latest recorded transition for the mandate are stored for
+   * history but do not overwrite the customer's current mandate status.
+   * @param {Object} event - Processed mandate event
+   * @returns {Promise<void>}
+   */
+  async applyMandateEvent(event) {
+    const mandateId = event.links?.mandate || event.resource_id;
+    const goCardlessCustomerId = event.links?.customer;
+
+    const customer = await this.prisma.customer.findFirst({
+      where: {
+        OR: [
+          { goCardlessMandateId: mandateId },
+          ...(goCardlessCustomerId ? [{ goCardlessCustomerId }] : [])
+        ]
+      }
+    });
+
+    if (!customer) {
+      logger.warn(`⚠️ No customer found for GoCardless mandate ${mandateId}, ignoring ${event.action} event`);
+      return;
+    }
+
+    const occurredAt = event.created_at ? new Date(event.created_at) : new Date();
+    const latestTransition = await this.prisma.mandateTransition.findFirst({
+      where: { mandateId },
+      orderBy: { occurredAt: 'desc' }
+    });
+
+    // Only touch the customer when this is their current mandate (or they have none yet)
+    const isCurrentMandate = !customer.goCardlessMandateId || customer.goCardlessMandateId === mandateId;
+    const isOutOfOrder = !!latestTransition && latestTransition.occurredAt > occurredAt;
+    const applied = isCurrentMandate && !isOutOfOrder;
+
+    const recordTransition = this.prisma.mandateTransition.create({
+      data: {
+        customerId: customer.id,
+        mandateId,
+        eventId: event.id,
+        action: event.action,
+        fromStatus: latestTransition?.toStatus || (customer.goCardlessMandateId === mandateId ? customer.mandateStatus : null),
+        toStatus: event.status,
+        cause: event.details?.cause || null,
+        description: event.details?.description || null,
+        applied,
+        occurredAt
+      }
+    });
+
+    if (!applied) {
+      await recordTransition;
+      logger.info(`⏭️ Recorded mandate ${mandateId} ${event.action} event without updating customer ${customer.id}`);
+      return;
+    }
+
+    const data = {
+      goCardlessMandateId: mandateId,
+      mandateStatus: event.status
+    };
+
+    // A transferred mandate now collects from a different bank account
+    if (event.action === 'transferred' && event.links?.new_customer_bank_account) {
+      data.goCardlessBankAccountId = event.links.new_customer_bank_account;
+    }
+
+    // A replaced mandate hands over to the new mandate GoCardless created for the customer
+    if (event.action === 'replaced' && event.links?.new_mandate) {
+      data.goCardlessMandateId = event.links.new_mandate;
+      data.mandateStatus = 'pending_submission';
+
+      try {
+        const newMandate = await this.goCardlessService.getMandate(event.links.new_mandate);
+        data.mandateStatus = newMandate.status || data.mandateStatus;
+      } catch (error) {
+        logger.warn(`⚠️ Could not fetch replacement mandate ${event.links.new_mandate}:`, error.message);
+      }
+    }
+
+    // Written together: a transition recorded without its customer update would make the
+    // redelivered event fail on the unique eventId and never reach the customer
+    await this.prisma.$transaction([
+      recordTransition,
+      this.prisma.customer.update({
+        where: { id: customer.id },
+        data
+      })
+    ]);
+
+    logger.info(`✅ Updated customer ${customer.id} mandate ${data.goCardlessMandateId} to status: ${data.mandateStatus}`);
+  }
+
+  /**
+   * Process a Zoho Books webhook and update billing records and customers
+   * Events are persisted and deduplicated like GoCardless events. Zoho does not always
+   * send an event ID, so a hash of the event payload is used in that case.
+   * @param {Object} webhookData - Zoho webhook data ({ events: [...] })
+   * @returns {Promise<Object>} Processing result
+   */
+  async processZohoWebhook(webhookData) {
+    try {
+      logger.info('🔄 Processing Zoho webhook...');
+
+      const events = webhookData.events || [];
+      const result = {
+        success: true,
+        events: [],
+        duplicates: [],
+        failed: []
+      };
+
+      for (const rawEvent of events) {
+        const eventId = rawEvent.id || rawEvent.event_id ||
+          crypto.createHash('sha256').update(JSON.stringify(rawEvent)).digest('hex');
+        const event = { ...rawEvent, id: eventId };
+
+        const { webhookEvent, alreadyProcessed, claimed } = await this.webhookEventService.recordDelivery('zoho', event);
+
+        if (alreadyProcessed) {
+          logger.info(`⏭️ Skipping already processed Zoho event ${eventId}`);
+          result.duplicates.push(eventId);
+          continue;
+        }
+
+        if (!claimed) {
+          logger.info(`⏭️ Skipping Zoho event ${eventId}, another delivery is processing it`);
+          result.duplicates.push(eventId);
+          continue;
+        }
+
+        try {
+          await this.applyZohoEvent(event);
+          await this.webhookEventService.markProcessed(webhookEvent.id);
+          result.events.push(event);
+        } catch (error) {
+          logger.error(`❌ Error applying Zoho event ${eventId}:`, error);
+          await this.webhookEventService.markFailed(webhookEvent.id, error);
+          result.failed.push({ id: eventId, error: error.message });
+        }
+      }
+
+      // Fail the delivery so Zoho retries it; processed events will be skipped next time
+      if (result.failed.length > 0) {
+        const error = new Error(`Failed to process ${result.failed.length} Zoho event(s)`);
+        error.result = result;
+        throw error;
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('❌ Error processing Zoho webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a single Zoho event to local records
+   * @param {Object} event - Zoho event ({ resource_type, action, resource_id, data })
+   * @returns {Promise<void>}
+   */
+  async applyZohoEvent(event) {
+    switch (event.resource_type) {
+      case 'invoices':
+        await this.applyZohoInvoiceEvent(event);
+        break;
+      case 'contacts':
+        await this.applyZohoContactEvent(event);
+        break;
+      default:
+        logger.info('❓ Unknown Zoho event type:', event.resource_type);
+    }
+  }
+
+  /**
+   * Upsert the billing record for a Zoho invoice event (created, sent, paid, voided, overdue, updated)
+   * Status changes go through the payment state machine, so Zoho cannot move a
+   * GoCardless-collected payment back to pending.
+   * @param {Object} event - Zoho invoice event
+   * @returns {Promise<void>}
+   */
+  async applyZohoInvoiceEvent(event) {
+    // Use the invoice sent with the event, or fetch the current state from Zoho
+    const invoice = event.data?.invoice || event.data ||
+      await this.zohoService.getInvoice(event.resource_id);
+
+    if (!invoice?.invoice_id) {
+      logger.warn(`⚠️ Zoho invoice event ${event.id} has no invoice data, ignoring`);
+      return;
+    }
+
+    let status = fromZohoInvoiceStatus(invoice.status);
+    if (event.action === 'paid') status = 'paid';
+    if (event.action === 'voided') status = 'cancelled';
+
+    const existingBilling = await this.prisma.billingHistory.findFirst({
+      where: { zohoInvoiceId: invoice.invoice_id }
+    });
+
+    const invoiceData = {
+      ...(invoice.total !== undefined ? { amount: parseFloat(invoice.total) } : {}),
+      ...(invoice.currency_code ? { currency: invoice.currency_code } : {}),
+      ...(invoice.due_date ? { dueDate: new Date(invoice.due_date) } : {})
+    };
+
+    if (existingBilling) {
+      const data = { ...invoiceData, updatedAt: new Date() };
+
+      if (canTransition(existingBilling.status, status)) {
+        data.status = status;
+        data.paidAt = PAID_STATUSES.includes(status)
+          ? (existingBilling.paidAt || (invoice.paid_at ? new Date(invoice.paid_at) : new Date()))
+          : null;
+      } else {
+        logger.warn(`⚠️ Rejected billing record ${existingBilling.id} transition ${existingBilling.status} → ${status} (Zoho ${event.action})`);
+      }
+
+      await this.prisma.billingHistory.update({
+        where: { id: existingBilling.id },
+        data
+      });
+
+      logger.info(`✅ Updated billing record ${existingBilling.id} from Zoho invoice ${invoice.invoice_id}`);
+      return;
+    }
+
+    const customer = await this.prisma.customer.findFirst({
+      where: { zohoCustomerId: invoice.customer_id }
+    });
+
+    if (!customer) {
+      logger.warn(`⚠️ No customer found for Zoho contact ${invoice.customer_id}, ignoring invoice ${invoice.invoice_id}`);
+      return;
+    }
+
+    let billingHistory;
+    try {
+      billingHistory = await this.prisma.billingHistory.create({
+        data: {
+          customerId: customer.id,
+          zohoInvoiceId: invoice.invoice_id,
+          amount: parseFloat(invoice.total || 0),
+          currency: invoice.currency_code || 'GBP',
+          status,
+          description: invoice.reference_number || invoice.reference || 'Zoho Invoice',
+          dueDate: invoice.due_date ? new Date(invoice.due_date) : null,
+          paidAt: PAID_STATUSES.includes(status) ? (invoice.paid_at ? new Date(invoice.paid_at) : new Date()) : null
+        }
+      });
+    } catch (error) {
+      // The billing cycle that raised the invoice saved its record in the meantime; apply the event to that
+      if (error.code === 'P2002') {
+        return this.applyZohoInvoiceEvent(event);
+      }
+      throw error;
+    }
+
+    logger.info(`✅ Created billing record ${billingHistory.id} from Zoho invoice ${invoice.invoice_id}`);
+  }
+
+  /**
+   * Update the linked customer from a Zoho contact event
+   * Customers are matched by zohoCustomerId, falling back to an unlinked customer with
+   * the same email. Email is never changed from Zoho because it is the login identity.
+   * @param {Object} event - Zoho contact event
+   * @returns {Promise<void>}
+   */
+  async applyZohoContactEvent(event) {
+    const contact = event.data?.contact || event.data ||
+      await this.zohoService.getCustomer(event.resource_id);
+
+    if (!contact?.contact_id) {
+      logger.warn(`⚠️ Zoho contact event ${event.id} has no contact data, ignoring`);
+      return;
+    }
+
+    let customer = await this.prisma.customer.findFirst({
+      where: { zohoCustomerId: contact.contact_id }
+    });
+
+    if (!customer && contact.email) {
+      customer = await this.prisma.customer.findFirst({
+        where: { email: contact.email, zohoCustomerId: null }
+      });
+    }
+
+    if (!customer) {
+      logger.warn(`⚠️ No customer found for Zoho contact ${contact.contact_id}, ignoring ${event.action} event`);
+      return;
+    }
+
+    const address = contact.billing_address || {};
+    const data = {
+      zohoCustomerId: contact.contact_id,
+      ...(contact.first_name ? { firstName: contact.first_name } : {}),
+      ...(contact.last_name ? { lastName: contact.last_name } : {}),
+      ...(contact.company_name !== undefined ? { companyName: contact.company_name || null } : {}),
+      ...(address.address ? { addressLine1: address.address } : {}),
+      ...(address.street2 !== undefined ? { addressLine2: address.street2 || null } : {}),
+      ...(address.city ? { city: address.city } : {}),
+      ...(address.state !== undefined ? { state: address.state || null } : {}),
+      ...(address.zip ? { postcode: address.zip } : {})
+    };
+
+    // Phone numbers are unique per customer; keep ours if Zoho's belongs to someone else
+    const phone = contact.mobile || contact.phone;
+    if (phone && phone !== customer.phone) {
+      const phoneOwner = await this.prisma.customer.findFirst({
+        where: { phone, id: { not: customer.id } }
+      });
+
+      if (phoneOwner) {
+        logger.warn(`⚠️ Zoho contact ${contact.contact_id} phone is already used by another customer, not updating phone`);
+      } else {
+        data.phone = phone;
+      }
+    }
+
+    await this.prisma.customer.update({
+      where: { id: customer.id },
+      data
+    });
+
+    logger.info(`✅ Updated customer ${customer.id} from Zoho contact ${contact.contact_id}`);
+  }
+
   /**
    * Sync billing data from external services
    * @param {string} customerId - Customer ID
@@ -200,14 +1154,14 @@ class BillingIntegrationService {
    */
   async syncBillingData(customerId) {
     try {
-      console.log('🔄 Syncing billing data for customer:', customerId);
+      logger.info('🔄 Syncing billing data for customer:', customerId);
 
       // Check cache first
       const cacheKey = `sync-${customerId}`;
       const cachedResult = this.syncCache.get(cacheKey);
       
       if (cachedResult && (Date.now() - cachedResult.timestamp) < this.CACHE_DURATION) {
-        console.log('📋 Returning cached sync result for customer:', customerId);
+        logger.info('📋 Returning cached sync result for customer:', customerId);
         return cachedResult.data;
       }
 
@@ -246,18 +1200,27 @@ class BillingIntegrationService {
 
             if (!existingBilling) {
               // Create new billing record
-              const billingHistory = await this.prisma.billingHistory.create({
-                data: {
-                  customerId: customer.id,
-                  zohoInvoiceId: invoice.invoice_id,
-                  amount: parseFloat(invoice.total),
-                  currency: invoice.currency_code,
-                  status: invoice.status === 'paid' ? 'paid' : 'pending',
-                  description: invoice.reference || 'Zoho Invoice',
-                  dueDate: new Date(invoice.due_date),
-                  paidAt: invoice.status === 'paid' ? new Date(invoice.paid_at) : null
+              let billingHistory;
+              try {
+                billingHistory = await this.prisma.billingHistory.create({
+                  data: {
+                    customerId: customer.id,
+                    zohoInvoiceId: invoice.invoice_id,
+                    amount: parseFloat(invoice.total),
+                    currency: invoice.currency_code,
+                    status: invoice.status === 'paid' ? 'paid' : 'pending',
+                    description: invoice.reference || 'Zoho Invoice',
+                    dueDate: new Date(invoice.due_date),
+                    paidAt: invoice.status === 'paid' ? new Date(invoice.paid_at) : null
+                  }
+                });
+              } catch (error) {
+                // A webhook or billing cycle recorded the invoice since the lookup above
+                if (error.code === 'P2002') {
+                  continue;
                 }
-              });
+                throw error;
+              }
 
               // Create receipt record
               await this.prisma.receipt.create({
@@ -300,10 +1263,10 @@ class BillingIntegrationService {
                   goCardlessPaymentId: payment.id,
                   amount: payment.amount / 100, // Convert from pence
                   currency: payment.currency,
-                  status: payment.status,
+                  status: fromGoCardlessStatus(payment.status),
                   description: payment.description,
                   dueDate: new Date(payment.charge_date),
-                  paidAt: payment.status === 'confirmed' ? new Date(payment.charge_date) : null
+                  paidAt: PAID_STATUSES.includes(fromGoCardlessStatus(payment.status)) ? new Date(payment.charge_date) : null
                 }
               });
 
@@ -312,7 +1275,7 @@ class BillingIntegrationService {
             }
           }
         } catch (error) {
-          console.error('Error syncing GoCardless payments:', error);
+          logger.error('Error syncing GoCardless payments:', error);
           // Continue with other sync operations even if GoCardless fails
         }
       }
@@ -323,11 +1286,11 @@ class BillingIntegrationService {
         timestamp: Date.now()
       });
 
-      console.log('✅ Billing data sync completed');
+      logger.info('✅ Billing data sync completed');
       return syncResults;
 
     } catch (error) {
-      console.error('❌ Error syncing billing data:', error);
+      logger.error('❌ Error syncing billing data:', error);
       throw error;
     }
   }
@@ -339,7 +1302,7 @@ class BillingIntegrationService {
   clearSyncCache(customerId) {
     const cacheKey = `sync-${customerId}`;
     this.syncCache.delete(cacheKey);
-    console.log('🗑️ Cleared sync cache for customer:', customerId);
+    logger.info('🗑️ Cleared sync cache for customer:', customerId);
   }
 
   /**
@@ -347,7 +1310,7 @@ class BillingIntegrationService {
    */
   clearAllSyncCache() {
     this.syncCache.clear();
-    console.log('🗑️ Cleared all sync cache');
+    logger.info('🗑️ Cleared all sync cache');
   }
 
   /**
@@ -399,14 +1362,18 @@ class BillingIntegrationService {
         
         switch (bill.status) {
           case 'paid':
+          case 'paid_out':
             summary.paidAmount += amount;
             summary.statusBreakdown.paid++;
             break;
           case 'pending':
+          case 'submitted':
+          case 'resubmitted':
             summary.pendingAmount += amount;
             summary.statusBreakdown.pending++;
             break;
           case 'failed':
+          case 'charged_back':
             summary.failedAmount += amount;
             summary.statusBreakdown.failed++;
             break;
@@ -419,7 +1386,7 @@ class BillingIntegrationService {
       return summary;
 
     } catch (error) {
-      console.error('Error getting billing summary:', error);
+      logger.error('Error getting billing summary:', error);
       throw error;
     }
   }
@@ -0,0 +1,258 @@
+const { config } = require('../config');
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/html');
+const EmailService = require('./email');
+const OpenPhoneMessageService = require('./openphone-messages');
+
+const STEP_TYPES = ['email', 'sms', 'final_notice'];
+const STEP_MAX_ATTEMPTS = config.billing.dunningStepMaxAttempts;
+const RETRY_DELAY_MINUTES = config.billing.dunningRetryDelayMinutes;
+
+// Wait before retrying a failed step: DUNNING_RETRY_DELAY_MINUTES, doubling with each failure
+const getRetryDelayMs = (failures) => RETRY_DELAY_MINUTES * 2 ** (failures - 1) * 60 * 1000;
+
+// Parse DUNNING_STEPS ("type:daysOverdue,...") into an ordered list of steps
+const getDunningSteps = () => {
+  const steps = config.billing.dunningSteps
+    .split(',')
+    .map((entry) => {
+      const [type, days] = entry.trim().split(':');
+      return { type, daysOverdue: parseInt(days, 10) };
+    })
+    .filter((step) => STEP_TYPES.includes(step.type) && !Number.isNaN(step.daysOverdue));
+
+  return steps.sort((a, b) => a.daysOverdue - b.daysOverdue);
+};
+
+const formatAmount = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency }).format(Number(amount));
+  } catch (error) {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
+
+/**
+ * Dunning Service
+ * Chases overdue, unpaid billing records through a configurable schedule of
+ * reminder emails, SMS messages and a final notice
+ */
+class DunningService {
+  constructor() {
+    this.prisma = prisma;
+    this.emailService = new EmailService();
+    this.openPhoneMessageService = new OpenPhoneMessageService();
+    this.isProcessing = false;
+  }
+
+  /**
+   * Send the next due dunning step for every overdue, unpaid billing record
+   * Records stop being chased as soon as they are paid, cancelled, in an automatic
+   * payment retry, or their customer has dunning paused. At most one step is sent
+   * per record per run, and a failed step waits for its backoff before it is retried.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { sent, skipped, failed }
+   */
+  async processOverdueInvoices(now = new Date()) {
+    if (this.isProcessing) {
+      logger.info('⏭️ Dunning already running, skipping this run');
+      return { sent: 0, skipped: 0, failed: 0 };
+    }
+
+    this.isProcessing = true;
+    const result = { sent: 0, skipped: 0, failed: 0 };
+
+    try {
+      const steps = getDunningSteps();
+      if (steps.length === 0) {
+        return result;
+      }
+
+      const overdueBills = await this.prisma.billingHistory.findMany({
+        where: {
+          dueDate: { lt: now },
+          dunningStep: { lt: steps.length },
+          nextRetryAt: null,
+          AND: [
+            {
+              OR: [
+                { status: 'failed' },
+                // Pending bills with a Direct Debit payment are still being collected
+                { status: 'pending', goCardlessPaymentId: null }
+              ]
+            },
+            {
+              OR: [
+                { nextDunningAttemptAt: null },
+                { nextDunningAttemptAt: { lte: now } }
+              ]
+            }
+          ],
+          customer: {
+            dunningPaused: false,
+            isActive: true
+          }
+        },
+        include: { customer: true }
+      });
+
+      for (const bill of overdueBills) {
+        const step = steps[bill.dunningStep];
+        const daysOverdue = Math.floor((now - bill.dueDate) / (24 * 60 * 60 * 1000));
+
+        if (daysOverdue < step.daysOverdue) {
+          continue;
+        }
+
+        const outcome = await this.sendStep(bill, step, daysOverdue);
+        result[outcome]++;
+      }
+
+      return result;
+
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Claim and send one dunning step for a billing record, and log the contact
+   * @param {Object} bill - Billing record with customer
+   * @param {Object} step - Step to send ({ type, daysOverdue })
+   * @param {number} daysOverdue - Days since the due date
+   * @returns {Promise<string>} 'sent', 'skipped' or 'failed'
+   */
+  async sendStep(bill, step, daysOverdue) {
+    const stepNumber = bill.dunningStep + 1;
+
+    // Claim the step first so overlapping runs cannot contact the customer twice
+    const claimed = await this.prisma.billingHistory.updateMany({
+      where: { id: bill.id, dunningStep: bill.dunningStep },
+      data: {
+        dunningStep: stepNumber,
+        lastDunningAt: new Date(),
+        dunningFailures: 0,
+        nextDunningAttemptAt: null
+      }
+    });
+
+    if (claimed.count === 0) {
+      return 'skipped';
+    }
+
+    const channel = step.type === 'sms' ? 'sms' : 'email';
+    let status = 'sent';
+    let error = null;
+
+    try {
+      if (channel === 'sms') {
+        if (!bill.customer.phone || !this.openPhoneMessageService.isConfigured()) {
+          status = 'skipped';
+          error = bill.customer.phone ? 'OpenPhone is not configured' : 'Customer has no phone number';
+        } else {
+          const message = await this.openPhoneMessageService.sendCustomMessage(
+            bill.customer.phone,
+            this.buildSmsMessage(bill, daysOverdue)
+          );
+          if (!message) {
+            throw new Error('OpenPhone did not accept the message');
+          }
+        }
+      } else {
+        await this.emailService.sendEmail({
+          toEmail: bill.customer.email,
+          toName: `${bill.customer.firstName} ${bill.customer.lastName}`.trim(),
+          ...this.buildEmail(bill, step, daysOverdue)
+        });
+      }
+    } catch (sendError) {
+      status = 'failed';
+      error = sendError.message;
+
+      const failures = bill.dunningFailures + 1;
+      if (failures < STEP_MAX_ATTEMPTS) {
+        // Release the claim so the step is tried again once its backoff has passed
+        await this.prisma.billingHistory.updateMany({
+          where: { id: bill.id, dunningStep: stepNumber },
+          data: {
+            dunningStep: bill.dunningStep,
+            dunningFailures: failures,
+            nextDunningAttemptAt: new Date(Date.now() + getRetryDelayMs(failures))
+          }
+        });
+      } else {
+        // Give up on this step; the claim stands, so the schedule moves on to the next step
+        error = `${error} (gave up after ${failures} attempts)`;
+      }
+    }
+
+    await this.prisma.dunningLog.create({
+      data: {
+        billingHistoryId: bill.id,
+        customerId: bill.customerId,
+        step: stepNumber,
+        stepType: step.type,
+        channel,
+        status,
+        error
+      }
+    });
+
+    if (status === 'failed') {
+      logger.error(`❌ Dunning step ${stepNumber} (${step.type}) failed for billing record ${bill.id}:`, error);
+    } else {
+      logger.info(`📨 Dunning step ${stepNumber} (${step.type}) ${status} for billing record ${bill.id}`);
+    }
+
+    return status;
+  }
+
+  /**
+   * Build the reminder or final notice email for an overdue bill
+   * @param {Object} bill - Billing record with customer
+   * @param {Object} step - Dunning step
+   * @param {number} daysOverdue - Days since the due date
+   * @returns {Object} { subject, htmlContent }
+   */
+  buildEmail(bill, step, daysOverdue) {
+    const amount = formatAmount(bill.amount, bill.currency);
+    const dueDate = bill.dueDate.toISOString().split('T')[0];
+    const isFinal = step.type === 'final_notice';
+    const billingUrl = `${config.server.frontendUrl}/dashboard/billing`;
+
+    return {
+      subject: isFinal
+        ? `Final notice: ${amount} payment overdue`
+        : `Reminder: ${amount} payment overdue`,
+      htmlContent: `
+        <html>
+          <body>
+            <h2>${isFinal ? 'Final notice' : 'Payment reminder'}</h2>
+            <p>Hi ${escapeHtml(bill.customer.firstName)},</p>
+            <p>Our records show that ${escapeHtml(amount)} for "${escapeHtml(bill.description || 'your invoice')}" was due on ${dueDate} and is now ${daysOverdue} day(s) overdue.</p>
+            ${isFinal
+              ? '<p>This is our final reminder. Please pay now to avoid any interruption to your service.</p>'
+              : '<p>If you have already paid, please ignore this email.</p>'}
+            <p><a href="${billingUrl}">View your billing</a></p>
+            <p>SiteWorks Team</p>
+          </body>
+        </html>
+      `
+    };
+  }
+
+  /**
+   * Build the SMS reminder for an overdue bill
+   * @param {Object} bill - Billing record with customer
+   * @param {number} daysOverdue - Days since the due date
+   * @returns {string} Message text
+   */
+  buildSmsMessage(bill, daysOverdue) {
+    const amount = formatAmount(bill.amount, bill.currency);
+    return `Hi ${bill.customer.firstName}, your SiteWorks payment of ${amount} is ${daysOverdue} day(s) overdue. Please log in to your dashboard to pay. If you have already paid, please ignore this message.`;
+  }
+}
+
+module.exports = DunningService;
+module.exports.getDunningSteps = getDunningSteps;
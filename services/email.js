@@ -0,0 +1,67 @@
+const SibApiV3Sdk = require('sib-api-v3-sdk');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Email Service
+ * Sends transactional emails through Brevo
+ */
+class EmailService {
+  constructor() {
+    this.apiKey = config.brevo.apiKey;
+
+    // The Brevo client is shared; make sure it is authenticated even when index.js did not set it up
+    const defaultClient = SibApiV3Sdk.ApiClient.instance;
+    if (this.apiKey && !defaultClient.authentications['api-key'].apiKey) {
+      defaultClient.authentications['api-key'].apiKey = this.apiKey;
+    }
+
+    this.sender = {
+      email: config.brevo.fromEmail,
+      name: 'SiteWorks Team'
+    };
+  }
+
+  /**
+   * Send a transactional email
+   * @param {Object} emailData - Email information
+   * @param {string} emailData.toEmail - Recipient email
+   * @param {string} emailData.toName - Recipient name
+   * @param {string} emailData.subject - Subject line
+   * @param {string} emailData.htmlContent - HTML body
+   * @returns {Promise<Object>} Brevo response
+   */
+  async sendEmail({ toEmail, toName, subject, htmlContent }) {
+    try {
+      const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+
+      const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+      sendSmtpEmail.subject = subject;
+      sendSmtpEmail.htmlContent = htmlContent;
+      sendSmtpEmail.sender = this.sender;
+      sendSmtpEmail.to = [{ email: toEmail, ...(toName ? { name: toName } : {}) }];
+
+      const result = await apiInstance.sendTransacEmail(sendSmtpEmail);
+      logger.info('Email sent successfully to:', toEmail);
+      return result;
+    } catch (error) {
+      logger.error('Error sending email:', error.response?.body || error.message);
+      throw error;
+    }
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Check Brevo accepts the API key
+   * @returns {Promise<void>} Rejects when the key is refused or Brevo cannot be reached
+   */
+  async verifyCredentials() {
+    const accountApi = new SibApiV3Sdk.AccountApi();
+    await accountApi.getAccount();
+  }
+}
+
+module.exports = EmailService;
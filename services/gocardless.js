@@ -1,4 +1,6 @@
 const gocardless = require('gocardless-nodejs');
+const { config } = require('../config');
+const logger = require('../utils/logger');
 const constants = require('gocardless-nodejs/constants');
 const { v4: uuidv4 } = require('uuid');
 
@@ -10,8 +12,8 @@ class GoCardlessService {
   constructor() {
     // Initialize GoCardless client
     this.client = gocardless(
-      process.env.GOCARDLESS_ACCESS_TOKEN,
-      process.env.GOCARDLESS_ENVIRONMENT === 'live' 
+      config.goCardless.accessToken,
+      config.goCardless.environment === 'live' 
         ? constants.Environments.Live 
         : constants.Environments.Sandbox,
       { 
@@ -64,7 +66,7 @@ class GoCardlessService {
         customerPayload.phone_number = customerData.phone;
       }
 
-      console.log('Creating GoCardless customer with payload:', {
+      logger.info('Creating GoCardless customer with payload:', {
         ...customerPayload,
         metadata: customerPayload.metadata
       });
@@ -74,11 +76,11 @@ class GoCardlessService {
         idempotencyKey
       );
 
-      console.log('GoCardless customer created successfully:', customer.id);
+      logger.info('GoCardless customer created successfully:', customer.id);
       return customer;
 
     } catch (error) {
-      console.error('Error creating GoCardless customer:', error);
+      logger.error('Error creating GoCardless customer:', error);
       throw new Error(`Failed to create GoCardless customer: ${error.message}`);
     }
   }
@@ -188,7 +190,7 @@ class GoCardlessService {
         bankAccountPayload.bank_code = this.formatBankCode(bankDetails.bankCode, 'IS');
       }
 
-      console.log('Creating GoCardless bank account with payload:', {
+      logger.info('Creating GoCardless bank account with payload:', {
         ...bankAccountPayload,
         account_number: '[HIDDEN]'
       });
@@ -198,11 +200,11 @@ class GoCardlessService {
         idempotencyKey
       );
 
-      console.log('GoCardless bank account created successfully:', bankAccount.id);
+      logger.info('GoCardless bank account created successfully:', bankAccount.id);
       return bankAccount;
 
     } catch (error) {
-      console.error('Error creating GoCardless bank account:', error);
+      logger.error('Error creating GoCardless bank account:', error);
       throw new Error(`Failed to create GoCardless bank account: ${error.message}`);
     }
   }
@@ -245,7 +247,7 @@ class GoCardlessService {
         mandatePayload.payer_ip_address = mandateData.payerIpAddress || '8.8.8.8';
       }
 
-      console.log('Creating GoCardless mandate with payload:', {
+      logger.info('Creating GoCardless mandate with payload:', {
         ...mandatePayload,
         scheme: scheme,
         countryCode: mandateData.countryCode
@@ -256,11 +258,11 @@ class GoCardlessService {
         idempotencyKey
       );
 
-      console.log('GoCardless mandate created successfully:', mandate.id);
+      logger.info('GoCardless mandate created successfully:', mandate.id);
       return mandate;
 
     } catch (error) {
-      console.error('Error creating GoCardless mandate:', error);
+      logger.error('Error creating GoCardless mandate:', error);
       throw new Error(`Failed to create GoCardless mandate: ${error.message}`);
     }
   }
@@ -274,11 +276,13 @@ class GoCardlessService {
    * @param {string} paymentData.description - Payment description
    * @param {string} paymentData.reference - Payment reference
    * @param {Date} paymentData.chargeDate - Charge date
+   * @param {string} paymentData.idempotencyKey - Optional idempotency key (a random key is used when omitted)
    * @returns {Promise<Object>} GoCardless payment object
    */
   async createPayment(mandateId, paymentData) {
     try {
-      const idempotencyKey = uuidv4();
+      // Reuse the caller's key so retried requests cannot create a second payment
+      const idempotencyKey = paymentData.idempotencyKey || uuidv4();
       
       // Get mandate to check the currency and scheme
       const mandate = await this.getMandate(mandateId);
@@ -314,7 +318,7 @@ class GoCardlessService {
         }
       };
 
-      console.log('Creating GoCardless payment with payload:', {
+      logger.info('Creating GoCardless payment with payload:', {
         ...paymentPayload,
         amount: `${paymentPayload.amount} ${paymentPayload.currency}`
       });
@@ -324,15 +328,94 @@ class GoCardlessService {
         idempotencyKey
       );
 
-      console.log('GoCardless payment created successfully:', payment.id);
+      logger.info('GoCardless payment created successfully:', payment.id);
       return payment;
 
     } catch (error) {
-      console.error('Error creating GoCardless payment:', error);
+      logger.error('Error creating GoCardless payment:', error);
       throw new Error(`Failed to create GoCardless payment: ${error.message}`);
     }
   }
 
+  /**
+   * Retry a failed payment against the same mandate
+   * @param {string} paymentId - GoCardless payment ID
+   * @param {Object} retryData - Retry data
+   * @param {Date} retryData.chargeDate - Date to collect the payment again
+   * @param {Object} retryData.metadata - Metadata to store on the payment
+   * @returns {Promise<Object>} GoCardless payment object
+   */
+  async retryPayment(paymentId, retryData = {}) {
+    try {
+      const payment = await this.client.payments.retry(paymentId, {
+        ...(retryData.chargeDate ? { charge_date: retryData.chargeDate.toISOString().split('T')[0] } : {}),
+        ...(retryData.metadata ? { metadata: retryData.metadata } : {})
+      });
+
+      logger.info('GoCardless payment retry requested:', paymentId);
+      return payment;
+
+    } catch (error) {
+      logger.error('Error retrying GoCardless payment:', error);
+      throw new Error(`Failed to retry GoCardless payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Refund a payment (fully or partially)
+   * @param {string} paymentId - GoCardless payment ID
+   * @param {Object} refundData - Refund data
+   * @param {number} refundData.amount - Refund amount in pence/cents
+   * @param {number} refundData.totalAmountConfirmation - Total refunded on the payment after this refund, in pence/cents;
+   *   GoCardless rejects the refund if this does not match, which guards against refunding twice
+   * @param {string} refundData.reference - Refund reference shown on the customer's bank statement
+   * @param {Object} refundData.metadata - Metadata to store on the refund
+   * @param {string} refundData.idempotencyKey - Optional idempotency key (a random key is used when omitted)
+   * @returns {Promise<Object>} GoCardless refund object
+   */
+  async createRefund(paymentId, refundData) {
+    try {
+      const idempotencyKey = refundData.idempotencyKey || uuidv4();
+
+      const refundPayload = {
+        amount: refundData.amount,
+        total_amount_confirmation: refundData.totalAmountConfirmation,
+        links: {
+          payment: paymentId
+        },
+        metadata: refundData.metadata || {}
+      };
+
+      if (refundData.reference) {
+        refundPayload.reference = refundData.reference.substring(0, 10);
+      }
+
+      const refund = await this.client.refunds.create(refundPayload, idempotencyKey);
+
+      logger.info('GoCardless refund created successfully:', refund.id);
+      return refund;
+
+    } catch (error) {
+      logger.error('Error creating GoCardless refund:', error);
+      throw new Error(`Failed to create GoCardless refund: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get refund by ID
+   * @param {string} refundId - GoCardless refund ID
+   * @returns {Promise<Object>} GoCardless refund object
+   */
+  async getRefund(refundId) {
+    try {
+      const refund = await this.client.refunds.find(refundId);
+      return refund;
+    } catch (error) {
+      logger.error('Error getting GoCardless refund:', error);
+      throw new Error(`Failed to get GoCardless refund: ${error.message}`);
+    }
+  }
+
   /**
    * Get payment by ID
    * @param {string} paymentId - GoCardless payment ID
@@ -343,7 +426,7 @@ class GoCardlessService {
       const payment = await this.client.payments.get(paymentId);
       return payment;
     } catch (error) {
-      console.error('Error getting GoCardless payment:', error);
+      logger.error('Error getting GoCardless payment:', error);
       throw new Error(`Failed to get GoCardless payment: ${error.message}`);
     }
   }
@@ -362,7 +445,7 @@ class GoCardlessService {
       });
       return payments;
     } catch (error) {
-      console.error('Error listing GoCardless payments:', error);
+      logger.error('Error listing GoCardless payments:', error);
       throw new Error(`Failed to list GoCardless payments: ${error.message}`);
     }
   }
@@ -382,22 +465,47 @@ class GoCardlessService {
           id: event.id,
           resource_type: event.resource_type,
           action: event.action,
-          resource_id: event.links?.payment || event.links?.mandate || event.links?.customer,
+          resource_id: event.links?.refund || event.links?.payment || event.links?.mandate || event.links?.customer,
           created_at: event.created_at,
-          details: event.details
+          details: event.details,
+          links: event.links || {}
         };
 
         // Handle payment events
         if (event.resource_type === 'payments') {
           switch (event.action) {
+            case 'created':
+              processedEvent.status = 'pending';
+              processedEvent.message = 'Payment created';
+              break;
+            case 'customer_approval_granted':
+              processedEvent.status = 'pending';
+              processedEvent.message = 'Customer approved the payment';
+              break;
+            case 'customer_approval_denied':
+              processedEvent.status = 'failed';
+              processedEvent.message = 'Customer denied approval for the payment';
+              break;
+            case 'submitted':
+              processedEvent.status = 'submitted';
+              processedEvent.message = 'Payment submitted to the bank';
+              break;
             case 'confirmed':
               processedEvent.status = 'paid';
               processedEvent.message = 'Payment confirmed successfully';
               break;
+            case 'paid_out':
+              processedEvent.status = 'paid_out';
+              processedEvent.message = 'Payment paid out';
+              break;
             case 'failed':
               processedEvent.status = 'failed';
               processedEvent.message = 'Payment failed';
               break;
+            case 'late_failure_settled':
+              processedEvent.status = 'failed';
+              processedEvent.message = 'Late payment failure settled';
+              break;
             case 'cancelled':
               processedEvent.status = 'cancelled';
               processedEvent.message = 'Payment cancelled';
@@ -406,6 +514,18 @@ class GoCardlessService {
               processedEvent.status = 'charged_back';
               processedEvent.message = 'Payment charged back';
               break;
+            case 'chargeback_cancelled':
+              processedEvent.status = 'paid';
+              processedEvent.message = 'Chargeback cancelled';
+              break;
+            case 'chargeback_settled':
+              processedEvent.status = 'charged_back';
+              processedEvent.message = 'Chargeback settled';
+              break;
+            case 'resubmission_requested':
+              processedEvent.status = 'resubmitted';
+              processedEvent.message = 'Payment resubmission requested';
+              break;
             default:
               processedEvent.status = 'unknown';
               processedEvent.message = `Payment ${event.action}`;
@@ -415,24 +535,77 @@ class GoCardlessService {
         // Handle mandate events
         if (event.resource_type === 'mandates') {
           switch (event.action) {
+            case 'created':
+              processedEvent.status = 'pending_submission';
+              processedEvent.message = 'Mandate created';
+              break;
+            case 'submitted':
+              processedEvent.status = 'submitted';
+              processedEvent.message = 'Mandate submitted to the bank';
+              break;
             case 'active':
               processedEvent.status = 'active';
               processedEvent.message = 'Mandate activated successfully';
               break;
-            case 'failed':
-              processedEvent.status = 'failed';
-              processedEvent.message = 'Mandate failed';
+            case 'reinstated':
+              processedEvent.status = 'active';
+              processedEvent.message = 'Mandate reinstated';
+              break;
+            case 'transferred':
+              processedEvent.status = 'active';
+              processedEvent.message = 'Mandate transferred to a new bank account';
               break;
             case 'cancelled':
               processedEvent.status = 'cancelled';
               processedEvent.message = 'Mandate cancelled';
               break;
+            case 'failed':
+              processedEvent.status = 'failed';
+              processedEvent.message = 'Mandate failed';
+              break;
+            case 'expired':
+              processedEvent.status = 'expired';
+              processedEvent.message = 'Mandate expired';
+              break;
+            case 'replaced':
+              processedEvent.status = 'replaced';
+              processedEvent.message = 'Mandate replaced by a new mandate';
+              break;
             default:
               processedEvent.status = 'unknown';
               processedEvent.message = `Mandate ${event.action}`;
           }
         }
 
+        // Handle refund events
+        if (event.resource_type === 'refunds') {
+          switch (event.action) {
+            case 'created':
+              processedEvent.status = 'created';
+              processedEvent.message = 'Refund created';
+              break;
+            case 'paid':
+              processedEvent.status = 'paid';
+              processedEvent.message = 'Refund paid to the customer';
+              break;
+            case 'refund_settled':
+              processedEvent.status = 'settled';
+              processedEvent.message = 'Refund settled';
+              break;
+            case 'failed':
+              processedEvent.status = 'failed';
+              processedEvent.message = 'Refund failed';
+              break;
+            case 'funds_returned':
+              processedEvent.status = 'funds_returned';
+              processedEvent.message = 'Refund funds returned';
+              break;
+            default:
+              processedEvent.status = 'unknown';
+              processedEvent.message = `Refund ${event.action}`;
+          }
+        }
+
         processedEvents.push(processedEvent);
       }
 
@@ -442,7 +615,7 @@ class GoCardlessService {
       };
 
     } catch (error) {
-      console.error('Error processing GoCardless webhook:', error);
+      logger.error('Error processing GoCardless webhook:', error);
       throw new Error(`Failed to process GoCardless webhook: ${error.message}`);
     }
   }
@@ -556,7 +729,7 @@ class GoCardlessService {
       const customer = await this.client.customers.find(customerId);
       return customer;
     } catch (error) {
-      console.error('Error fetching GoCardless customer:', error);
+      logger.error('Error fetching GoCardless customer:', error);
       throw new Error(`Failed to fetch GoCardless customer: ${error.message}`);
     }
   }
@@ -571,7 +744,7 @@ class GoCardlessService {
       const mandate = await this.client.mandates.find(mandateId);
       return mandate;
     } catch (error) {
-      console.error('Error fetching GoCardless mandate:', error);
+      logger.error('Error fetching GoCardless mandate:', error);
       throw new Error(`Failed to fetch GoCardless mandate: ${error.message}`);
     }
   }
@@ -591,11 +764,19 @@ class GoCardlessService {
       });
       return customers;
     } catch (error) {
-      console.error('Error listing GoCardless customers:', error);
+      logger.error('Error listing GoCardless customers:', error);
       throw new Error(`Failed to list GoCardless customers: ${error.message}`);
     }
   }
 
+  /**
+   * Check the API is reachable and accepts the access token
+   * @returns {Promise<void>} Rejects when GoCardless cannot be reached or the token is refused
+   */
+  async checkConnection() {
+    await this.client.creditors.list({ limit: 1 });
+  }
+
   /**
    * List mandates for a customer
    * @param {string} customerId - GoCardless customer ID
@@ -611,7 +792,7 @@ class GoCardlessService {
       });
       return mandates;
     } catch (error) {
-      console.error('Error listing GoCardless mandates:', error);
+      logger.error('Error listing GoCardless mandates:', error);
       throw new Error(`Failed to list GoCardless mandates: ${error.message}`);
     }
   }
@@ -663,22 +844,22 @@ class GoCardlessService {
             updatePayload.postal_code = customerData.address.postcode;
             updatePayload.region = customerData.address.state || undefined;
           } else {
-            console.log('Skipping address update - missing required fields (line1 or postcode)');
+            logger.info('Skipping address update - missing required fields (line1 or postcode)');
           }
         } else {
-          console.log('Skipping address update - no address data provided');
+          logger.info('Skipping address update - no address data provided');
         }
       }
 
-      console.log('Updating GoCardless customer with payload:', updatePayload);
+      logger.info('Updating GoCardless customer with payload:', updatePayload);
 
       const customer = await this.client.customers.update(customerId, updatePayload);
 
-      console.log('GoCardless customer updated successfully:', customer.id);
+      logger.info('GoCardless customer updated successfully:', customer.id);
       return customer;
 
     } catch (error) {
-      console.error('Error updating GoCardless customer:', error);
+      logger.error('Error updating GoCardless customer:', error);
       throw new Error(`Failed to update GoCardless customer: ${error.message}`);
     }
   }
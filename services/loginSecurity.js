@@ -0,0 +1,297 @@
+const { config } = require('../config');
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/html');
+const EmailService = require('./email');
+
+const MAX_FAILED_ATTEMPTS = config.loginSecurity.maxFailedAttempts;
+const LOCKOUT_MINUTES = config.loginSecurity.lockoutMinutes;
+const MAX_DELAY_SECONDS = config.loginSecurity.maxDelaySeconds;
+const EVENT_RETENTION_DAYS = config.loginSecurity.eventRetentionDays;
+
+/**
+ * Login Security Service
+ * Tracks failed signins per account, slows repeated failures down progressively,
+ * locks accounts after too many failures, and emails customers about lockouts and
+ * signins from new IP addresses or devices
+ */
+class LoginSecurityService {
+  constructor() {
+    this.prisma = prisma;
+    this.emailService = new EmailService();
+  }
+
+  /**
+   * Check whether a signin attempt may go ahead for this customer, and claim it if so
+   * Each failure doubles the wait before the next attempt (1s, 2s, 4s, ...) up to
+   * LOGIN_MAX_DELAY_SECONDS; after LOGIN_MAX_FAILED_ATTEMPTS the account is locked.
+   * An allowed attempt is counted as a failure straight away, with a conditional update on the
+   * count the customer was read with, so parallel attempts cannot all pass the same check.
+   * Call resetFailures when the attempt succeeds and recordFailure when it fails.
+   * @param {Object} customer - Customer record
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { allowed } or { allowed: false, code, retryAfterSeconds }
+   */
+  async checkSigninAllowed(customer, now = new Date()) {
+    if (customer.lockedUntil && customer.lockedUntil > now) {
+      return {
+        allowed: false,
+        code: 'ACCOUNT_LOCKED',
+        retryAfterSeconds: Math.ceil((customer.lockedUntil - now) / 1000)
+      };
+    }
+
+    if (customer.failedLoginAttempts > 0 && customer.lastFailedLoginAt) {
+      const delaySeconds = Math.min(2 ** (customer.failedLoginAttempts - 1), MAX_DELAY_SECONDS);
+      const nextAllowedAt = customer.lastFailedLoginAt.getTime() + delaySeconds * 1000;
+      if (nextAllowedAt > now.getTime()) {
+        return {
+          allowed: false,
+          code: 'LOGIN_THROTTLED',
+          retryAfterSeconds: Math.ceil((nextAllowedAt - now.getTime()) / 1000)
+        };
+      }
+    }
+
+    const claimed = await this.prisma.customer.updateMany({
+      where: {
+        id: customer.id,
+        failedLoginAttempts: customer.failedLoginAttempts,
+        OR: [
+          { lockedUntil: null },
+          { lockedUntil: { lte: now } }
+        ]
+      },
+      data: {
+        failedLoginAttempts: { increment: 1 },
+        lastFailedLoginAt: now
+      }
+    });
+
+    // Another attempt changed the count (or locked the account) since this customer was read
+    if (claimed.count === 0) {
+      return {
+        allowed: false,
+        code: 'LOGIN_THROTTLED',
+        retryAfterSeconds: 1
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Record a failed signin and lock the account once it reaches the limit
+   * The attempt itself was already counted by checkSigninAllowed.
+   * @param {Object} customer - Customer record
+   * @param {Object} context - { ipAddress, userAgent }
+   * @param {string} reason - Why the attempt failed
+   * @returns {Promise<Object>} { locked, lockedUntil }
+   */
+  async recordFailure(customer, context, reason = 'invalid_password') {
+    const now = new Date();
+
+    await this.recordEvent({ customerId: customer.id, email: customer.email, success: false, reason, ...context });
+
+    const current = await this.prisma.customer.findUnique({
+      where: { id: customer.id },
+      select: { failedLoginAttempts: true }
+    });
+
+    if (current.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+      return { locked: false };
+    }
+
+    // Only the request that crosses the limit locks the account and sends the email
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+    const locked = await this.prisma.customer.updateMany({
+      where: {
+        id: customer.id,
+        failedLoginAttempts: { gte: MAX_FAILED_ATTEMPTS },
+        OR: [
+          { lockedUntil: null },
+          { lockedUntil: { lte: now } }
+        ]
+      },
+      data: {
+        lockedUntil,
+        failedLoginAttempts: 0
+      }
+    });
+
+    if (locked.count > 0) {
+      logger.warn(`🔒 Account ${customer.email} locked until ${lockedUntil.toISOString()} after ${MAX_FAILED_ATTEMPTS} failed signins`);
+      this.sendInBackground(this.buildLockoutEmail(customer, lockedUntil, context));
+    }
+
+    return { locked: true, lockedUntil };
+  }
+
+  /**
+   * Record a signin attempt refused before the password was checked, or for an unknown email
+   * @param {Object} event - { customerId, email, reason, ipAddress, userAgent }
+   * @returns {Promise<Object>} Login event
+   */
+  async recordRefused({ customerId = null, email, reason, ipAddress, userAgent }) {
+    return await this.recordEvent({ customerId, email, success: false, reason, ipAddress, userAgent });
+  }
+
+  /**
+   * Clear the failure count once the password has been accepted
+   * Always written, since checkSigninAllowed counted this attempt after the customer was read.
+   * @param {Object} customer - Customer record
+   * @returns {Promise<void>}
+   */
+  async resetFailures(customer) {
+    await this.prisma.customer.update({
+      where: { id: customer.id },
+      data: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null
+      }
+    });
+  }
+
+  /**
+   * Record a completed signin and email the customer if it came from a new IP address or device
+   * @param {Object} customer - Customer record
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<boolean>} Whether the signin was from a new IP address or device
+   */
+  async recordSuccess(customer, context) {
+    const [previousSignins, knownIp, knownDevice] = await Promise.all([
+      this.prisma.loginEvent.count({
+        where: { customerId: customer.id, success: true }
+      }),
+      context.ipAddress
+        ? this.prisma.loginEvent.count({
+          where: { customerId: customer.id, success: true, ipAddress: context.ipAddress }
+        })
+        : 1,
+      context.userAgent
+        ? this.prisma.loginEvent.count({
+          where: { customerId: customer.id, success: true, userAgent: context.userAgent }
+        })
+        : 1
+    ]);
+
+    await this.recordEvent({ customerId: customer.id, email: customer.email, success: true, ...context });
+
+    // The first recorded signin has nothing to compare against
+    const isNewLocation = previousSignins > 0 && (knownIp === 0 || knownDevice === 0);
+    if (isNewLocation) {
+      this.sendInBackground(this.buildNewSigninEmail(customer, context));
+    }
+
+    return isNewLocation;
+  }
+
+  /**
+   * Unlock an account and clear its failure count
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Updated customer lock state
+   */
+  async unlockAccount(customerId) {
+    return await this.prisma.customer.update({
+      where: { id: customerId },
+      data: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null
+      },
+      select: {
+        id: true,
+        email: true,
+        failedLoginAttempts: true,
+        lockedUntil: true
+      }
+    });
+  }
+
+  /**
+   * Delete login events older than LOGIN_EVENT_RETENTION_DAYS
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async cleanupOldEvents() {
+    const result = await this.prisma.loginEvent.deleteMany({
+      where: {
+        createdAt: { lt: new Date(Date.now() - EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000) }
+      }
+    });
+
+    logger.info(`Cleaned up ${result.count} old login events`);
+    return result.count;
+  }
+
+  async recordEvent({ customerId, email, success, reason = null, ipAddress = null, userAgent = null }) {
+    return await this.prisma.loginEvent.create({
+      data: { customerId, email, success, reason, ipAddress, userAgent }
+    });
+  }
+
+  // Send a security email without holding up the signin response
+  sendInBackground(email) {
+    if (!this.emailService.isConfigured()) {
+      return;
+    }
+
+    setImmediate(async () => {
+      try {
+        await this.emailService.sendEmail(email);
+      } catch (error) {
+        logger.error('Failed to send security email:', error.message);
+      }
+    });
+  }
+
+  buildLockoutEmail(customer, lockedUntil, context) {
+    const resetUrl = `${config.server.frontendUrl}/forgot-password`;
+
+    return {
+      toEmail: customer.email,
+      toName: `${customer.firstName} ${customer.lastName}`.trim(),
+      subject: 'Your SiteWorks account has been temporarily locked',
+      htmlContent: `
+        <html>
+          <body>
+            <h2>Account temporarily locked</h2>
+            <p>Hi ${escapeHtml(customer.firstName)},</p>
+            <p>We locked your account after ${MAX_FAILED_ATTEMPTS} failed sign-in attempts. You can try again after ${lockedUntil.toUTCString()}.</p>
+            <p>The last attempt came from IP address ${escapeHtml(context.ipAddress || 'unknown')}.</p>
+            <p>If this wasn't you, we recommend <a href="${resetUrl}">resetting your password</a>.</p>
+            <p>SiteWorks Team</p>
+          </body>
+        </html>
+      `
+    };
+  }
+
+  buildNewSigninEmail(customer, context) {
+    const resetUrl = `${config.server.frontendUrl}/forgot-password`;
+
+    return {
+      toEmail: customer.email,
+      toName: `${customer.firstName} ${customer.lastName}`.trim(),
+      subject: 'New sign-in to your SiteWorks account',
+      htmlContent: `
+        <html>
+          <body>
+            <h2>New sign-in detected</h2>
+            <p>Hi ${escapeHtml(customer.firstName)},</p>
+            <p>Your account was just signed in to from a new IP address or device.</p>
+            <ul>
+              <li>Time: ${new Date().toUTCString()}</li>
+              <li>IP address: ${escapeHtml(context.ipAddress || 'unknown')}</li>
+              <li>Device: ${escapeHtml(context.userAgent || 'unknown')}</li>
+            </ul>
+            <p>If this was you, you can ignore this email. If not, <a href="${resetUrl}">reset your password</a> straight away and sign out your other sessions.</p>
+            <p>SiteWorks Team</p>
+          </body>
+        </html>
+      `
+    };
+  }
+}
+
+module.exports = LoginSecurityService;
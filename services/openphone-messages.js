@@ -1,12 +1,14 @@
 const axios = require('axios');
+const { config } = require('../config');
+const logger = require('../utils/logger');
 
 class OpenPhoneMessageService {
   constructor() {
-    this.apiKey = process.env.OPENPHONE_API_KEY;
+    this.apiKey = config.openPhone.apiKey;
     this.baseUrl = 'https://api.openphone.com/v1';
     
     if (!this.apiKey) {
-      console.warn('OpenPhone API key not found. Message sending will be disabled.');
+      logger.warn('OpenPhone API key not found. Message sending will be disabled.');
     }
   }
 
@@ -29,30 +31,30 @@ class OpenPhoneMessageService {
       }
       return null;
     } catch (error) {
-      console.error('Failed to get phone number:', error.response?.data || error.message);
+      logger.error('Failed to get phone number:', error.response?.data || error.message);
       return null;
     }
   }
 
   async sendWelcomeMessage(customerData) {
     if (!this.apiKey) {
-      console.log('OpenPhone API key not configured, skipping welcome message');
+      logger.info('OpenPhone API key not configured, skipping welcome message');
       return null;
     }
 
     try {
       const fromNumber = await this.getPhoneNumber();
       if (!fromNumber) {
-        console.log('No phone number available for sending messages');
+        logger.info('No phone number available for sending messages');
         return null;
       }
 
       if (!customerData.phone) {
-        console.log('No customer phone number provided for welcome message');
+        logger.info('No customer phone number provided for welcome message');
         return null;
       }
 
-      console.log('Sending welcome message to:', customerData.phone);
+      logger.info('Sending welcome message to:', customerData.phone);
 
       const message = this.createWelcomeMessage(customerData);
       
@@ -70,11 +72,11 @@ class OpenPhoneMessageService {
         timeout: 10000
       });
 
-      console.log('Welcome message sent successfully:', response.data?.data?.id);
+      logger.info('Welcome message sent successfully:', response.data?.data?.id);
       return response.data?.data;
 
     } catch (error) {
-      console.error('Failed to send welcome message:', error.response?.data || error.message);
+      logger.error('Failed to send welcome message:', error.response?.data || error.message);
       
       // Don't throw error to avoid breaking the registration flow
       // Just log the error and return null
@@ -117,23 +119,23 @@ Best regards,
 
   async sendPhoneUpdateMessage(customerData, oldPhone, newPhone) {
     if (!this.apiKey) {
-      console.log('OpenPhone API key not configured, skipping phone update message');
+      logger.info('OpenPhone API key not configured, skipping phone update message');
       return null;
     }
 
     try {
       const fromNumber = await this.getPhoneNumber();
       if (!fromNumber) {
-        console.log('No phone number available for sending messages');
+        logger.info('No phone number available for sending messages');
         return null;
       }
 
       if (!newPhone) {
-        console.log('No new phone number provided for update message');
+        logger.info('No new phone number provided for update message');
         return null;
       }
 
-      console.log('Sending phone update message to:', newPhone);
+      logger.info('Sending phone update message to:', newPhone);
 
       const message = this.createPhoneUpdateMessage(customerData, oldPhone, newPhone);
       
@@ -151,11 +153,11 @@ Best regards,
         timeout: 10000
       });
 
-      console.log('Phone update message sent successfully:', response.data?.data?.id);
+      logger.info('Phone update message sent successfully:', response.data?.data?.id);
       return response.data?.data;
 
     } catch (error) {
-      console.error('Failed to send phone update message:', error.response?.data || error.message);
+      logger.error('Failed to send phone update message:', error.response?.data || error.message);
       
       // Don't throw error to avoid breaking the profile update flow
       // Just log the error and return null
@@ -165,18 +167,18 @@ Best regards,
 
   async sendCustomMessage(toPhone, message) {
     if (!this.apiKey) {
-      console.log('OpenPhone API key not configured, skipping custom message');
+      logger.info('OpenPhone API key not configured, skipping custom message');
       return null;
     }
 
     try {
       const fromNumber = await this.getPhoneNumber();
       if (!fromNumber) {
-        console.log('No phone number available for sending messages');
+        logger.info('No phone number available for sending messages');
         return null;
       }
 
-      console.log('Sending custom message to:', toPhone);
+      logger.info('Sending custom message to:', toPhone);
 
       const payload = {
         to: [toPhone],
@@ -192,11 +194,11 @@ Best regards,
         timeout: 10000
       });
 
-      console.log('Custom message sent successfully:', response.data?.data?.id);
+      logger.info('Custom message sent successfully:', response.data?.data?.id);
       return response.data?.data;
 
     } catch (error) {
-      console.error('Failed to send custom message:', error.response?.data || error.message);
+      logger.error('Failed to send custom message:', error.response?.data || error.message);
       return null;
     }
   }
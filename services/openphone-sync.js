@@ -1,39 +1,41 @@
 const axios = require('axios');
+const { config } = require('../config');
+const logger = require('../utils/logger');
 
 class OpenPhoneSyncService {
   constructor() {
-    this.apiKey = process.env.OPENPHONE_API_KEY;
+    this.apiKey = config.openPhone.apiKey;
     this.baseUrl = 'https://api.openphone.com/v1';
     
     if (!this.apiKey) {
-      console.warn('OpenPhone API key not found. Contact sync will be disabled.');
+      logger.warn('OpenPhone API key not found. Contact sync will be disabled.');
     }
   }
 
   async syncCustomerProfile(customerData) {
     if (!this.apiKey) {
-      console.log('OpenPhone API key not configured, skipping contact sync');
+      logger.info('OpenPhone API key not configured, skipping contact sync');
       return null;
     }
 
     try {
-      console.log('Syncing customer profile with OpenPhone:', customerData.email);
+      logger.info('Syncing customer profile with OpenPhone:', customerData.email);
       
       // First, try to find existing contact by email
       const existingContact = await this.findContactByEmail(customerData.email);
       
       if (existingContact) {
         // Update existing contact
-        console.log('Found existing contact, updating:', existingContact.id);
+        logger.info('Found existing contact, updating:', existingContact.id);
         return await this.updateContact(existingContact.id, customerData);
       } else {
         // Create new contact if not found
-        console.log('No existing contact found, creating new one');
+        logger.info('No existing contact found, creating new one');
         return await this.createContact(customerData);
       }
       
     } catch (error) {
-      console.error('Failed to sync customer profile with OpenPhone:', error.response?.data || error.message);
+      logger.error('Failed to sync customer profile with OpenPhone:', error.response?.data || error.message);
       return null;
     }
   }
@@ -60,7 +62,7 @@ class OpenPhoneSyncService {
       }
       return null;
     } catch (error) {
-      console.error('Failed to find contact by email:', error.response?.data || error.message);
+      logger.error('Failed to find contact by email:', error.response?.data || error.message);
       return null;
     }
   }
@@ -129,11 +131,11 @@ class OpenPhoneSyncService {
         timeout: 10000
       });
 
-      console.log('OpenPhone contact created successfully:', response.data?.data?.id);
+      logger.info('OpenPhone contact created successfully:', response.data?.data?.id);
       return response.data?.data;
 
     } catch (error) {
-      console.error('Failed to create OpenPhone contact:', error.response?.data || error.message);
+      logger.error('Failed to create OpenPhone contact:', error.response?.data || error.message);
       return null;
     }
   }
@@ -203,7 +205,7 @@ class OpenPhoneSyncService {
         }
       });
 
-      console.log('Sending update payload to OpenPhone:', JSON.stringify(payload, null, 2));
+      logger.info('Sending update payload to OpenPhone:', JSON.stringify(payload, null, 2));
 
       const response = await axios.patch(`${this.baseUrl}/contacts/${contactId}`, payload, {
         headers: {
@@ -213,41 +215,41 @@ class OpenPhoneSyncService {
         timeout: 10000
       });
 
-      console.log('OpenPhone contact updated successfully:', contactId);
-      console.log('OpenPhone response:', response.data);
+      logger.info('OpenPhone contact updated successfully:', contactId);
+      logger.info('OpenPhone response:', response.data);
       return response.data?.data;
 
     } catch (error) {
-      console.error('Failed to update OpenPhone contact:', error.response?.data || error.message);
+      logger.error('Failed to update OpenPhone contact:', error.response?.data || error.message);
       return null;
     }
   }
 
   async syncProfileUpdate(customerId, updatedFields) {
     if (!this.apiKey) {
-      console.log('OpenPhone API key not configured, skipping profile sync');
+      logger.info('OpenPhone API key not configured, skipping profile sync');
       return null;
     }
 
     try {
-      console.log('Syncing profile update with OpenPhone for customer:', customerId);
-      console.log('Updated fields:', updatedFields);
+      logger.info('Syncing profile update with OpenPhone for customer:', customerId);
+      logger.info('Updated fields:', updatedFields);
       
       // Find contact by customer ID or email
       let contact = null;
       
       if (updatedFields.email) {
-        console.log('Searching for contact by email:', updatedFields.email);
+        logger.info('Searching for contact by email:', updatedFields.email);
         contact = await this.findContactByEmail(updatedFields.email);
         if (contact) {
-          console.log('Found contact by email:', contact.id);
+          logger.info('Found contact by email:', contact.id);
         } else {
-          console.log('No contact found by email');
+          logger.info('No contact found by email');
         }
       }
       
       if (!contact && updatedFields.openPhoneContactId) {
-        console.log('Searching for contact by stored ID:', updatedFields.openPhoneContactId);
+        logger.info('Searching for contact by stored ID:', updatedFields.openPhoneContactId);
         // Try to get contact by stored ID
         try {
           const response = await axios.get(`${this.baseUrl}/contacts/${updatedFields.openPhoneContactId}`, {
@@ -259,28 +261,28 @@ class OpenPhoneSyncService {
           });
           contact = response.data?.data;
           if (contact) {
-            console.log('Found contact by stored ID:', contact.id);
+            logger.info('Found contact by stored ID:', contact.id);
           }
         } catch (error) {
-          console.log('Could not find contact by stored ID, will create new one');
+          logger.info('Could not find contact by stored ID, will create new one');
         }
       }
       
       if (contact) {
-        console.log('Updating existing contact:', contact.id);
-        console.log('Contact current data:', contact);
+        logger.info('Updating existing contact:', contact.id);
+        logger.info('Contact current data:', contact);
         const result = await this.updateContact(contact.id, updatedFields);
-        console.log('Update result:', result);
+        logger.info('Update result:', result);
         return result;
       } else {
-        console.log('Creating new contact');
+        logger.info('Creating new contact');
         const result = await this.createContact(updatedFields);
-        console.log('Create result:', result);
+        logger.info('Create result:', result);
         return result;
       }
       
     } catch (error) {
-      console.error('Failed to sync profile update with OpenPhone:', error.response?.data || error.message);
+      logger.error('Failed to sync profile update with OpenPhone:', error.response?.data || error.message);
       return null;
     }
   }
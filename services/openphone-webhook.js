@@ -1,12 +1,14 @@
 const axios = require('axios');
+const { config } = require('../config');
+const logger = require('../utils/logger');
 
 class OpenPhoneWebhookService {
   constructor() {
-    this.webhookUrl = process.env.OPENPHONE_WEBHOOK_URL;
-    this.apiKey = process.env.OPENPHONE_API_KEY;
+    this.webhookUrl = config.openPhone.webhookUrl;
+    this.apiKey = config.openPhone.apiKey;
     
     if (!this.webhookUrl && !this.apiKey) {
-      console.warn('OpenPhone webhook URL and API key not found. OpenPhone integration will be disabled.');
+      logger.warn('OpenPhone webhook URL and API key not found. OpenPhone integration will be disabled.');
     }
   }
 
@@ -16,12 +18,12 @@ class OpenPhoneWebhookService {
    */
   async sendContactViaWebhook(contactData) {
     if (!this.webhookUrl) {
-      console.log('OpenPhone webhook URL not configured, skipping contact creation');
+      logger.info('OpenPhone webhook URL not configured, skipping contact creation');
       return null;
     }
 
     try {
-      console.log('Sending contact data to OpenPhone webhook for:', contactData.email);
+      logger.info('Sending contact data to OpenPhone webhook for:', contactData.email);
       
       const payload = {
         event: 'contact.created',
@@ -44,11 +46,11 @@ class OpenPhoneWebhookService {
         timeout: 10000
       });
 
-      console.log('Contact data sent to OpenPhone webhook successfully');
+      logger.info('Contact data sent to OpenPhone webhook successfully');
       return { success: true, webhookId: response.data?.id };
 
     } catch (error) {
-      console.error('Failed to send contact to OpenPhone webhook:', error.response?.data || error.message);
+      logger.error('Failed to send contact to OpenPhone webhook:', error.response?.data || error.message);
       return null;
     }
   }
@@ -57,20 +59,20 @@ class OpenPhoneWebhookService {
    * Create contact using manual process instructions
    */
   async createContactManually(contactData) {
-    console.log('=== Manual OpenPhone Contact Creation ===');
-    console.log('Since API key permissions are not working, here are manual steps:');
-    console.log('');
-    console.log('1. Log into your OpenPhone account');
-    console.log('2. Go to Contacts');
-    console.log('3. Click "Add Contact"');
-    console.log('4. Enter the following details:');
-    console.log(`   - Name: ${contactData.firstName} ${contactData.lastName}`);
-    console.log(`   - Email: ${contactData.email}`);
-    console.log(`   - Phone: ${contactData.phone || 'Not provided'}`);
-    console.log(`   - Company: ${contactData.companyName || 'Not provided'}`);
-    console.log(`   - Notes: Customer from SiteWorks - ID: ${contactData.id}`);
-    console.log('');
-    console.log('Contact details saved for manual creation');
+    logger.info('=== Manual OpenPhone Contact Creation ===');
+    logger.info('Since API key permissions are not working, here are manual steps:');
+    logger.info('');
+    logger.info('1. Log into your OpenPhone account');
+    logger.info('2. Go to Contacts');
+    logger.info('3. Click "Add Contact"');
+    logger.info('4. Enter the following details:');
+    logger.info(`   - Name: ${contactData.firstName} ${contactData.lastName}`);
+    logger.info(`   - Email: ${contactData.email}`);
+    logger.info(`   - Phone: ${contactData.phone || 'Not provided'}`);
+    logger.info(`   - Company: ${contactData.companyName || 'Not provided'}`);
+    logger.info(`   - Notes: Customer from SiteWorks - ID: ${contactData.id}`);
+    logger.info('');
+    logger.info('Contact details saved for manual creation');
     
     return {
       success: true,
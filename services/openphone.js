@@ -1,12 +1,14 @@
 const axios = require('axios');
+const { config } = require('../config');
+const logger = require('../utils/logger');
 
 class OpenPhoneService {
   constructor() {
-    this.apiKey = process.env.OPENPHONE_API_KEY;
+    this.apiKey = config.openPhone.apiKey;
     this.baseUrl = 'https://api.openphone.com/v1';
     
     if (!this.apiKey) {
-      console.warn('OpenPhone API key not found. OpenPhone integration will be disabled.');
+      logger.warn('OpenPhone API key not found. OpenPhone integration will be disabled.');
     }
   }
 
@@ -23,12 +25,12 @@ class OpenPhoneService {
    */
   async createContact(contactData) {
     if (!this.apiKey) {
-      console.log('OpenPhone API key not configured, skipping contact creation');
+      logger.info('OpenPhone API key not configured, skipping contact creation');
       return null;
     }
 
     try {
-      console.log('Creating OpenPhone contact for:', contactData.email);
+      logger.info('Creating OpenPhone contact for:', contactData.email);
       
       const payload = {
         source: "public-api",
@@ -71,11 +73,11 @@ class OpenPhoneService {
         timeout: 10000 // 10 second timeout
       });
 
-      console.log('OpenPhone contact created successfully:', response.data?.data?.id);
+      logger.info('OpenPhone contact created successfully:', response.data?.data?.id);
       return response.data?.data;
 
     } catch (error) {
-      console.error('Failed to create OpenPhone contact:', error.response?.data || error.message);
+      logger.error('Failed to create OpenPhone contact:', error.response?.data || error.message);
       
       // Don't throw error to avoid breaking the registration flow
       // Just log the error and return null
@@ -91,12 +93,12 @@ class OpenPhoneService {
    */
   async updateContact(contactId, contactData) {
     if (!this.apiKey) {
-      console.log('OpenPhone API key not configured, skipping contact update');
+      logger.info('OpenPhone API key not configured, skipping contact update');
       return null;
     }
 
     try {
-      console.log('Updating OpenPhone contact:', contactId);
+      logger.info('Updating OpenPhone contact:', contactId);
       
       const payload = {
         source: "public-api",
@@ -138,11 +140,11 @@ class OpenPhoneService {
         timeout: 10000
       });
 
-      console.log('OpenPhone contact updated successfully');
+      logger.info('OpenPhone contact updated successfully');
       return response.data?.data;
 
     } catch (error) {
-      console.error('Failed to update OpenPhone contact:', error.response?.data || error.message);
+      logger.error('Failed to update OpenPhone contact:', error.response?.data || error.message);
       return null;
     }
   }
@@ -176,7 +178,7 @@ class OpenPhoneService {
       return null;
 
     } catch (error) {
-      console.error('Failed to get OpenPhone contact by email:', error.response?.data || error.message);
+      logger.error('Failed to get OpenPhone contact by email:', error.response?.data || error.message);
       return null;
     }
   }
@@ -200,11 +202,11 @@ class OpenPhoneService {
         timeout: 10000
       });
 
-      console.log('OpenPhone contact deleted successfully');
+      logger.info('OpenPhone contact deleted successfully');
       return true;
 
     } catch (error) {
-      console.error('Failed to delete OpenPhone contact:', error.response?.data || error.message);
+      logger.error('Failed to delete OpenPhone contact:', error.response?.data || error.message);
       return false;
     }
   }
@@ -216,6 +218,20 @@ class OpenPhoneService {
   isConfigured() {
     return !!this.apiKey;
   }
+
+  /**
+   * Check OpenPhone accepts the API key
+   * @returns {Promise<void>} Rejects when the key is refused or OpenPhone cannot be reached
+   */
+  async verifyCredentials() {
+    await axios.get(`${this.baseUrl}/phone-numbers`, {
+      headers: {
+        'Authorization': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+  }
 }
 
 module.exports = OpenPhoneService; 
\ No newline at end of file
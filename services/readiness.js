@@ -0,0 +1,195 @@
+const { config, getIntegrationStatus } = require('../config');
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
+const ZohoService = require('./zoho');
+const GoCardlessService = require('./gocardless');
+const EmailService = require('./email');
+const OpenPhoneService = require('./openphone');
+const WebhookEventService = require('./webhookEvents');
+
+class CheckTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Timed out after ${timeoutMs}ms`);
+    this.name = 'CheckTimeoutError';
+  }
+}
+
+// Reject if a check takes longer than timeoutMs; the check itself is left to finish in the background
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new CheckTimeoutError(timeoutMs)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Readiness Service
+ * Checks every external dependency for the /ready endpoint. Each check is time-boxed and its
+ * result cached for a short time, so frequent load balancer probes don't hammer the dependencies.
+ */
+class ReadinessService {
+  constructor() {
+    this.zohoService = new ZohoService();
+    this.goCardlessService = new GoCardlessService();
+    this.emailService = new EmailService();
+    this.openPhoneService = new OpenPhoneService();
+    this.webhookEventService = new WebhookEventService();
+    this.cache = new Map();
+    this.shuttingDown = false;
+
+    // critical: the instance cannot serve traffic without it, so a failure makes /ready return 503.
+    // integration: checks are skipped when that integration has no settings.
+    this.checks = [
+      {
+        name: 'database',
+        critical: true,
+        run: () => prisma.$queryRaw`SELECT 1`
+      },
+      {
+        name: 'zoho',
+        integration: 'zoho',
+        run: () => this.zohoService.checkConnection()
+      },
+      {
+        name: 'goCardless',
+        integration: 'goCardless',
+        run: () => this.goCardlessService.checkConnection()
+      },
+      {
+        name: 'brevo',
+        integration: 'brevo',
+        run: () => this.emailService.verifyCredentials()
+      },
+      {
+        name: 'openPhone',
+        integration: 'openPhone',
+        run: () => this.openPhoneService.verifyCredentials()
+      },
+      {
+        name: 'webhookBacklog',
+        run: () => this.checkWebhookBacklog()
+      }
+    ];
+  }
+
+  /**
+   * Fail when the oldest unprocessed webhook event is older than WEBHOOK_BACKLOG_MAX_AGE_SECONDS
+   * Events that failed to process are reported in failed but do not fail the check
+   * @returns {Promise<Object>} { details: { pending, oldestAgeSeconds, failed } }
+   */
+  async checkWebhookBacklog() {
+    const { pending, oldestReceivedAt, failed } = await this.webhookEventService.getBacklog();
+    const oldestAgeSeconds = oldestReceivedAt
+      ? Math.floor((Date.now() - oldestReceivedAt.getTime()) / 1000)
+      : 0;
+    const details = { pending, oldestAgeSeconds, failed };
+
+    if (oldestAgeSeconds > config.readiness.webhookBacklogMaxAgeSeconds) {
+      const error = new Error(`Oldest unprocessed webhook event is ${oldestAgeSeconds}s old`);
+      error.reason = 'backlog_too_old';
+      error.details = details;
+      throw error;
+    }
+
+    return { details };
+  }
+
+  /**
+   * Run one check, time-boxed
+   * @param {Object} check - Entry from this.checks
+   * @returns {Promise<Object>} { status, latencyMs, checkedAt, details?, error? }
+   */
+  async runCheck(check) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await withTimeout(check.run(), config.readiness.checkTimeoutMs);
+      return {
+        status: 'ok',
+        latencyMs: Date.now() - startedAt,
+        checkedAt: new Date().toISOString(),
+        ...(result && result.details ? { details: result.details } : {})
+      };
+    } catch (error) {
+      const timedOut = error instanceof CheckTimeoutError;
+      logger.warn(`Readiness check ${check.name} failed:`, error.message);
+
+      // The reason is kept generic; dependency errors can name hosts and accounts
+      return {
+        status: 'fail',
+        latencyMs: Date.now() - startedAt,
+        checkedAt: new Date().toISOString(),
+        error: error.reason || (timedOut ? 'timeout' : 'unavailable'),
+        ...(error.details ? { details: error.details } : {})
+      };
+    }
+  }
+
+  /**
+   * Get a check's result from the cache, running it when the cached result has expired.
+   * Concurrent callers share the same in-flight run.
+   * @param {Object} check - Entry from this.checks
+   * @returns {Promise<Object>} Check result, with cached: true when it was not run for this call
+   */
+  async getCheckResult(check) {
+    const cached = this.cache.get(check.name);
+    if (cached && (cached.pending || cached.expiresAt > Date.now())) {
+      return { ...(await cached.result), cached: true };
+    }
+
+    const entry = { pending: true, expiresAt: 0, result: this.runCheck(check) };
+    this.cache.set(check.name, entry);
+
+    const result = await entry.result;
+    entry.pending = false;
+    entry.expiresAt = Date.now() + config.readiness.cacheTtlMs;
+
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Check every dependency
+   * status is 'fail' when a critical dependency is down (or the server is shutting down),
+   * 'degraded' when only non-critical ones are, and 'ok' otherwise
+   * @returns {Promise<Object>} { status, timestamp, checks: { name: { status, critical, latencyMs, ... } } }
+   */
+  async check() {
+    const integrations = getIntegrationStatus();
+
+    const results = await Promise.all(this.checks.map(async (check) => {
+      if (check.integration && !integrations[check.integration].configured) {
+        return [check.name, { status: 'skipped', critical: false, reason: 'not_configured' }];
+      }
+
+      const result = await this.getCheckResult(check);
+      return [check.name, { ...result, critical: !!check.critical }];
+    }));
+
+    const checks = Object.fromEntries(results);
+    const failed = Object.values(checks).filter((result) => result.status === 'fail');
+
+    let status = 'ok';
+    if (this.shuttingDown || failed.some((result) => result.critical)) {
+      status = 'fail';
+    } else if (failed.length > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      ...(this.shuttingDown ? { reason: 'shutting_down' } : {}),
+      timestamp: new Date().toISOString(),
+      checks
+    };
+  }
+
+  /**
+   * Report not ready from now on so load balancers stop sending traffic during shutdown
+   */
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+}
+
+module.exports = ReadinessService;
@@ -0,0 +1,432 @@
+const { prisma } = require('../utils/db');
+const logger = require('../utils/logger');
+const BillingIntegrationService = require('./billingIntegration');
+
+const PLAN_INTERVALS = ['monthly', 'yearly'];
+const SUBSCRIPTION_STATUSES = ['trialing', 'active', 'paused', 'cancelled'];
+
+/**
+ * Error raised for subscription requests that cannot be fulfilled (unknown plan, wrong state, ...)
+ */
+class SubscriptionError extends Error {
+  constructor(message, statusCode = 400, code = 'SUBSCRIPTION_ERROR') {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Anchor days stop at 28 so every month has the billing day
+const clampAnchorDay = (day) => Math.min(Math.max(parseInt(day, 10) || 1, 1), 28);
+
+// Start of the first period on the anchor day that is on or after the given date (UTC)
+const nextAnchorOnOrAfter = (date, anchorDay) => {
+  const startOfDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  const candidate = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), anchorDay));
+  if (candidate.getTime() >= startOfDay) {
+    return candidate;
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, anchorDay));
+};
+
+// Start of the period following the one that starts on periodStart
+const addInterval = (periodStart, interval, anchorDay) => {
+  const year = periodStart.getUTCFullYear();
+  const month = periodStart.getUTCMonth();
+  if (interval === 'yearly') {
+    return new Date(Date.UTC(year + 1, month, anchorDay));
+  }
+  return new Date(Date.UTC(year, month + 1, anchorDay));
+};
+
+/**
+ * Subscription Service
+ * Manages plans and subscriptions and bills each due subscription period through
+ * BillingIntegrationService.createBillingCycle
+ */
+class SubscriptionService {
+  constructor() {
+    this.prisma = prisma;
+    this.billingIntegration = new BillingIntegrationService();
+    this.isProcessing = false;
+  }
+
+  /**
+   * List plans
+   * @param {Object} options - List options
+   * @param {boolean} options.activeOnly - Only return plans open to new subscriptions
+   * @returns {Promise<Array>} Plans
+   */
+  async listPlans({ activeOnly = false } = {}) {
+    return await this.prisma.plan.findMany({
+      where: activeOnly ? { isActive: true } : {},
+      orderBy: { amount: 'asc' }
+    });
+  }
+
+  /**
+   * Create a plan
+   * @param {Object} planData - Plan information
+   * @param {string} planData.name - Plan name
+   * @param {string} planData.description - Plan description
+   * @param {number} planData.amount - Amount per period in currency units (e.g. 29.99)
+   * @param {string} planData.currency - Currency code
+   * @param {string} planData.interval - Billing interval (monthly, yearly)
+   * @param {number} planData.trialDays - Free trial length in days
+   * @returns {Promise<Object>} Created plan
+   */
+  async createPlan(planData) {
+    return await this.prisma.plan.create({
+      data: {
+        name: planData.name,
+        description: planData.description || null,
+        amount: planData.amount,
+        currency: planData.currency || 'GBP',
+        interval: planData.interval || 'monthly',
+        trialDays: planData.trialDays || 0
+      }
+    });
+  }
+
+  /**
+   * Update a plan; amount changes apply from the next billed period
+   * @param {string} planId - Plan ID
+   * @param {Object} updates - Fields to update (name, description, amount, trialDays, isActive)
+   * @returns {Promise<Object>} Updated plan
+   */
+  async updatePlan(planId, updates) {
+    const plan = await this.prisma.plan.findUnique({ where: { id: planId } });
+    if (!plan) {
+      throw new SubscriptionError('Plan not found', 404, 'PLAN_NOT_FOUND');
+    }
+
+    const allowedFields = ['name', 'description', 'amount', 'trialDays', 'isActive'];
+    const data = {};
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        data[field] = updates[field];
+      }
+    }
+
+    return await this.prisma.plan.update({
+      where: { id: planId },
+      data
+    });
+  }
+
+  /**
+   * List subscriptions
+   * @param {Object} filters - Filters
+   * @param {string} filters.customerId - Only subscriptions of this customer
+   * @param {string} filters.status - Only subscriptions with this status
+   * @returns {Promise<Array>} Subscriptions with their plan
+   */
+  async listSubscriptions({ customerId, status } = {}) {
+    return await this.prisma.subscription.findMany({
+      where: {
+        ...(customerId ? { customerId } : {}),
+        ...(status ? { status } : {})
+      },
+      include: { plan: true },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Get a subscription, optionally scoped to a customer
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} scope - Scope
+   * @param {string} scope.customerId - Owning customer ID (omit for admin access)
+   * @returns {Promise<Object>} Subscription with plan and billing periods
+   */
+  async getSubscription(subscriptionId, { customerId } = {}) {
+    const subscription = await this.prisma.subscription.findFirst({
+      where: {
+        id: subscriptionId,
+        ...(customerId ? { customerId } : {})
+      },
+      include: {
+        plan: true,
+        billingPeriods: {
+          orderBy: { periodStart: 'desc' }
+        }
+      }
+    });
+
+    if (!subscription) {
+      throw new SubscriptionError('Subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Subscribe a customer to a plan
+   * The first period starts on the anchor day on or after the end of the trial (or today).
+   * @param {string} customerId - Customer ID
+   * @param {string} planId - Plan ID
+   * @param {Object} options - Subscription options
+   * @param {number} options.anchorDay - Day of the month (1-28) periods start on; defaults to the start day
+   * @param {number} options.trialDays - Trial length override; defaults to the plan's trial
+   * @returns {Promise<Object>} Created subscription
+   */
+  async createSubscription(customerId, planId, options = {}) {
+    const plan = await this.prisma.plan.findUnique({ where: { id: planId } });
+    if (!plan || !plan.isActive) {
+      throw new SubscriptionError('Plan not found', 404, 'PLAN_NOT_FOUND');
+    }
+
+    const existing = await this.prisma.subscription.findFirst({
+      where: {
+        customerId,
+        planId,
+        status: { not: 'cancelled' }
+      }
+    });
+    if (existing) {
+      throw new SubscriptionError('Customer already has a subscription to this plan', 409, 'SUBSCRIPTION_EXISTS');
+    }
+
+    const now = new Date();
+    const trialDays = options.trialDays !== undefined ? options.trialDays : plan.trialDays;
+    const trialEndsAt = trialDays > 0 ? new Date(now.getTime() + trialDays * 24 * 60 * 60 * 1000) : null;
+    const startDate = trialEndsAt || now;
+    const anchorDay = clampAnchorDay(options.anchorDay || startDate.getUTCDate());
+
+    const subscription = await this.prisma.subscription.create({
+      data: {
+        customerId,
+        planId,
+        status: trialEndsAt ? 'trialing' : 'active',
+        anchorDay,
+        trialEndsAt,
+        nextBillingDate: nextAnchorOnOrAfter(startDate, anchorDay)
+      },
+      include: { plan: true }
+    });
+
+    logger.info(`✅ Created subscription ${subscription.id} for customer ${customerId} on plan ${plan.name}`);
+    return subscription;
+  }
+
+  /**
+   * Pause a subscription; no periods are billed while paused
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} scope - Scope ({ customerId } for customer access)
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async pauseSubscription(subscriptionId, scope = {}) {
+    const subscription = await this.getSubscription(subscriptionId, scope);
+
+    if (!['active', 'trialing'].includes(subscription.status)) {
+      throw new SubscriptionError(`Cannot pause a ${subscription.status} subscription`, 409, 'INVALID_SUBSCRIPTION_STATE');
+    }
+
+    return await this.prisma.subscription.update({
+      where: { id: subscription.id },
+      data: {
+        status: 'paused',
+        pausedAt: new Date()
+      },
+      include: { plan: true }
+    });
+  }
+
+  /**
+   * Resume a paused subscription from the next anchor day; periods skipped while paused are not billed
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} scope - Scope ({ customerId } for customer access)
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async resumeSubscription(subscriptionId, scope = {}) {
+    const subscription = await this.getSubscription(subscriptionId, scope);
+
+    if (subscription.status !== 'paused') {
+      throw new SubscriptionError(`Cannot resume a ${subscription.status} subscription`, 409, 'INVALID_SUBSCRIPTION_STATE');
+    }
+
+    const now = new Date();
+    const inTrial = subscription.trialEndsAt && subscription.trialEndsAt > now;
+    const resumeFrom = inTrial ? subscription.trialEndsAt : now;
+
+    return await this.prisma.subscription.update({
+      where: { id: subscription.id },
+      data: {
+        status: inTrial ? 'trialing' : 'active',
+        pausedAt: null,
+        nextBillingDate: nextAnchorOnOrAfter(resumeFrom, subscription.anchorDay)
+      },
+      include: { plan: true }
+    });
+  }
+
+  /**
+   * Cancel a subscription; already billed periods are not refunded
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} scope - Scope ({ customerId } for customer access)
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async cancelSubscription(subscriptionId, scope = {}) {
+    const subscription = await this.getSubscription(subscriptionId, scope);
+
+    if (subscription.status === 'cancelled') {
+      throw new SubscriptionError('Subscription is already cancelled', 409, 'INVALID_SUBSCRIPTION_STATE');
+    }
+
+    return await this.prisma.subscription.update({
+      where: { id: subscription.id },
+      data: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        nextBillingDate: null
+      },
+      include: { plan: true }
+    });
+  }
+
+  /**
+   * Bill every subscription whose next period has started
+   * Each subscription is billed at most one period per run. Overlapping runs in this
+   * process are skipped; runs in other processes are kept apart by the period guard.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { billed, skipped, failed }
+   */
+  async processDueSubscriptions(now = new Date()) {
+    if (this.isProcessing) {
+      logger.info('⏭️ Subscription billing already running, skipping this run');
+      return { billed: 0, skipped: 0, failed: 0 };
+    }
+
+    this.isProcessing = true;
+    const result = { billed: 0, skipped: 0, failed: 0 };
+
+    try {
+      // Trials that have ended become regular subscriptions
+      await this.prisma.subscription.updateMany({
+        where: {
+          status: 'trialing',
+          trialEndsAt: { lte: now }
+        },
+        data: { status: 'active' }
+      });
+
+      const dueSubscriptions = await this.prisma.subscription.findMany({
+        where: {
+          status: 'active',
+          nextBillingDate: { lte: now }
+        },
+        include: { plan: true }
+      });
+
+      if (dueSubscriptions.length > 0) {
+        logger.info(`🔄 Billing ${dueSubscriptions.length} due subscription(s)...`);
+      }
+
+      for (const subscription of dueSubscriptions) {
+        try {
+          const outcome = await this.billSubscriptionPeriod(subscription, now);
+          result[outcome]++;
+        } catch (error) {
+          // A database error on one subscription should not stop the rest of the run
+          logger.error(`❌ Error billing subscription ${subscription.id}:`, error);
+          result.failed++;
+        }
+      }
+
+      return result;
+
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Bill the subscription's current period once and move it on to the next period
+   * The period is claimed before anything is charged; if the claim already exists the
+   * period was billed (or attempted) before and is skipped.
+   * @param {Object} subscription - Subscription with plan
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} 'billed', 'skipped' or 'failed'
+   */
+  async billSubscriptionPeriod(subscription, now = new Date()) {
+    const { plan } = subscription;
+    const periodStart = subscription.nextBillingDate;
+    const periodEnd = addInterval(periodStart, plan.interval, subscription.anchorDay);
+
+    let billingPeriod;
+    try {
+      billingPeriod = await this.prisma.subscriptionBillingPeriod.create({
+        data: {
+          subscriptionId: subscription.id,
+          periodStart,
+          periodEnd
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+
+      logger.info(`⏭️ Subscription ${subscription.id} period ${periodStart.toISOString()} already claimed`);
+      await this.advanceSubscription(subscription.id, periodEnd);
+      return 'skipped';
+    }
+
+    let outcome = 'billed';
+    try {
+      const period = `${periodStart.toISOString().split('T')[0]} to ${periodEnd.toISOString().split('T')[0]}`;
+      const cycle = await this.billingIntegration.createBillingCycle({
+        customerId: subscription.customerId,
+        amount: Math.round(Number(plan.amount) * 100), // Convert to pence
+        currency: plan.currency,
+        description: `${plan.name} subscription (${period})`,
+        dueDate: periodStart > now ? periodStart : now,
+        notes: `Subscription ${subscription.id}, period ${period}`,
+        idempotencyKey: `subscription-${subscription.id}-${periodStart.toISOString().split('T')[0]}`
+      });
+
+      await this.prisma.subscriptionBillingPeriod.update({
+        where: { id: billingPeriod.id },
+        data: {
+          status: 'billed',
+          billingHistoryId: cycle.billingHistory.id
+        }
+      });
+
+      logger.info(`✅ Billed subscription ${subscription.id} for ${period}`);
+    } catch (error) {
+      // The period stays claimed so it is never charged twice; it needs manual follow-up
+      logger.error(`❌ Error billing subscription ${subscription.id}:`, error);
+      outcome = 'failed';
+      await this.prisma.subscriptionBillingPeriod.update({
+        where: { id: billingPeriod.id },
+        data: {
+          status: 'failed',
+          error: error.message
+        }
+      });
+    }
+
+    await this.advanceSubscription(subscription.id, periodEnd);
+    return outcome;
+  }
+
+  /**
+   * Move a subscription on to its next billing period
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Date} nextBillingDate - Start of the next period
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async advanceSubscription(subscriptionId, nextBillingDate) {
+    return await this.prisma.subscription.update({
+      where: { id: subscriptionId },
+      data: { nextBillingDate }
+    });
+  }
+}
+
+module.exports = SubscriptionService;
+module.exports.SubscriptionError = SubscriptionError;
+module.exports.PLAN_INTERVALS = PLAN_INTERVALS;
+module.exports.SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATUSES;
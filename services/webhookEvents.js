@@ -0,0 +1,148 @@
+const db = require('../utils/db');
+
+// A claim older than this is treated as abandoned (e.g. the process died mid-event) and can be taken over
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Webhook Event Service
+ * Persists every webhook delivery and makes sure only one delivery applies each event
+ */
+class WebhookEventService {
+  constructor(prisma) {
+    this.prisma = prisma || db.prisma;
+  }
+
+  /**
+   * Record a webhook delivery, deduplicating on the provider's event ID
+   * @param {string} provider - Webhook provider (e.g. 'gocardless', 'zoho')
+   * @param {Object} event - Raw event as received from the provider
+   * @param {string} event.id - Provider event ID
+   * @param {string} event.resource_type - Resource type (e.g. 'payments')
+   * @param {string} event.action - Event action (e.g. 'confirmed')
+   * @returns {Promise<Object>} { webhookEvent, alreadyProcessed, claimed }
+   * claimed is true only for the one delivery that should apply the event; call markProcessed or markFailed afterwards
+   */
+  async recordDelivery(provider, event) {
+    if (!event?.id) {
+      throw new Error(`Cannot record ${provider} webhook event without an id`);
+    }
+
+    const now = new Date();
+    const webhookEvent = await this.prisma.webhookEvent.upsert({
+      where: {
+        provider_eventId: {
+          provider,
+          eventId: event.id
+        }
+      },
+      create: {
+        provider,
+        eventId: event.id,
+        resourceType: event.resource_type || null,
+        action: event.action || null,
+        payload: event,
+        receivedAt: now,
+        lastReceivedAt: now
+      },
+      update: {
+        deliveryCount: { increment: 1 },
+        lastReceivedAt: now
+      }
+    });
+
+    if (webhookEvent.processedAt) {
+      return { webhookEvent, alreadyProcessed: true, claimed: false };
+    }
+
+    return {
+      webhookEvent,
+      alreadyProcessed: false,
+      claimed: await this.claim(webhookEvent.id)
+    };
+  }
+
+  /**
+   * Claim an unprocessed event for this delivery. The conditional update means that of several
+   * concurrent deliveries of the same event only one succeeds.
+   * @param {string} id - WebhookEvent ID
+   * @returns {Promise<boolean>} True when this caller now owns the event
+   */
+  async claim(id) {
+    const now = new Date();
+    const { count } = await this.prisma.webhookEvent.updateMany({
+      where: {
+        id,
+        processedAt: null,
+        OR: [
+          { processingStartedAt: null },
+          { processingStartedAt: { lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      data: { processingStartedAt: now }
+    });
+
+    return count === 1;
+  }
+
+  /**
+   * Mark a webhook event as successfully processed
+   * @param {string} id - WebhookEvent ID
+   * @returns {Promise<Object>} Updated webhook event
+   */
+  async markProcessed(id) {
+    return await this.prisma.webhookEvent.update({
+      where: { id },
+      data: {
+        processedAt: new Date(),
+        processingStartedAt: null,
+        processingError: null
+      }
+    });
+  }
+
+  /**
+   * Record a processing failure and release the claim so the next delivery retries the event
+   * @param {string} id - WebhookEvent ID
+   * @param {Error|string} error - Processing error
+   * @returns {Promise<Object>} Updated webhook event
+   */
+  async markFailed(id, error) {
+    return await this.prisma.webhookEvent.update({
+      where: { id },
+      data: {
+        processingStartedAt: null,
+        processingError: error?.message || String(error)
+      }
+    });
+  }
+
+  /**
+   * Summarise events received but not yet processed
+   * Events whose last attempt failed are counted separately: they wait for the provider to
+   * redeliver them, which may never happen, so they would otherwise hold the backlog age up for good.
+   * @returns {Promise<Object>} { pending, oldestReceivedAt, failed }
+   */
+  async getBacklog() {
+    const where = { processedAt: null, processingError: null };
+
+    const [pending, oldest, failed] = await Promise.all([
+      this.prisma.webhookEvent.count({ where }),
+      this.prisma.webhookEvent.findFirst({
+        where,
+        orderBy: { receivedAt: 'asc' },
+        select: { receivedAt: true }
+      }),
+      this.prisma.webhookEvent.count({
+        where: { processedAt: null, processingError: { not: null } }
+      })
+    ]);
+
+    return {
+      pending,
+      oldestReceivedAt: oldest ? oldest.receivedAt : null,
+      failed
+    };
+  }
+}
+
+module.exports = WebhookEventService;
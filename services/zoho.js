@@ -1,12 +1,14 @@
 const axios = require('axios');
+const { config } = require('../config');
+const logger = require('../utils/logger');
 
 class ZohoService {
   constructor() {
     this.baseURL = 'https://www.zohoapis.com/books/v3';
-    this.clientId = process.env.ZOHO_CLIENT_ID;
-    this.clientSecret = process.env.ZOHO_CLIENT_SECRET;
-    this.refreshToken = process.env.ZOHO_REFRESH_TOKEN;
-    this.organizationId = process.env.ZOHO_ORGANIZATION_ID;
+    this.clientId = config.zoho.clientId;
+    this.clientSecret = config.zoho.clientSecret;
+    this.refreshToken = config.zoho.refreshToken;
+    this.organizationId = config.zoho.organizationId;
     this.accessToken = null;
     this.tokenExpiry = null;
   }
@@ -37,7 +39,7 @@ class ZohoService {
 
       return this.accessToken;
     } catch (error) {
-      console.error('Error getting Zoho access token:', error.response?.data || error.message);
+      logger.error('Error getting Zoho access token:', error.response?.data || error.message);
       throw new Error('Failed to get Zoho access token');
     }
   }
@@ -66,11 +68,21 @@ class ZohoService {
 
       return response.data;
     } catch (error) {
-      console.error('Zoho API Error:', error.response?.data || error.message);
+      logger.error('Zoho API Error:', error.response?.data || error.message);
       throw error;
     }
   }
 
+  /**
+   * Check Zoho Books accepts our credentials by reading the organization
+   * Goes through makeRequest, so an expired token is refreshed and a cached token that Zoho
+   * has revoked is caught too
+   * @returns {Promise<void>} Rejects when the token cannot be refreshed or is refused
+   */
+  async checkConnection() {
+    await this.makeRequest(`organizations/${this.organizationId}`);
+  }
+
   /**
    * Create a new invoice in Zoho
    */
@@ -86,7 +98,30 @@ class ZohoService {
 
       return response.invoice;
     } catch (error) {
-      console.error('Error creating Zoho invoice:', error);
+      logger.error('Error creating Zoho invoice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a credit note in Zoho, linked to the invoice it credits
+   */
+  async createCreditNote(creditNoteData) {
+    try {
+      const { invoice_id, ...data } = creditNoteData;
+      const endpoint = invoice_id ? `creditnotes?invoice_id=${encodeURIComponent(invoice_id)}` : 'creditnotes';
+
+      const response = await this.makeRequest(endpoint, {
+        method: 'POST',
+        data: {
+          organization_id: this.organizationId,
+          ...data
+        }
+      });
+
+      return response.creditnote;
+    } catch (error) {
+      logger.error('Error creating Zoho credit note:', error);
       throw error;
     }
   }
@@ -99,7 +134,7 @@ class ZohoService {
       const response = await this.makeRequest(`invoices/${invoiceId}`);
       return response.invoice;
     } catch (error) {
-      console.error('Error getting Zoho invoice:', error);
+      logger.error('Error getting Zoho invoice:', error);
       throw error;
     }
   }
@@ -117,7 +152,7 @@ class ZohoService {
       const response = await this.makeRequest(`invoices?${params.toString()}`);
       return response.invoices;
     } catch (error) {
-      console.error('Error getting Zoho invoices by customer:', error);
+      logger.error('Error getting Zoho invoices by customer:', error);
       throw error;
     }
   }
@@ -141,7 +176,7 @@ class ZohoService {
       const response = await this.makeRequest(`invoices?${params.toString()}`);
       return response;
     } catch (error) {
-      console.error('Error getting all Zoho invoices:', error.response?.data || error.message);
+      logger.error('Error getting all Zoho invoices:', error.response?.data || error.message);
       throw error;
     }
   }
@@ -160,7 +195,7 @@ class ZohoService {
 
       return response.invoice;
     } catch (error) {
-      console.error('Error updating Zoho invoice status:', error);
+      logger.error('Error updating Zoho invoice status:', error);
       throw error;
     }
   }
@@ -191,7 +226,7 @@ class ZohoService {
 
       return response.contact;
     } catch (error) {
-      console.error('Error creating Zoho customer:', error);
+      logger.error('Error creating Zoho customer:', error);
       throw error;
     }
   }
@@ -204,7 +239,7 @@ class ZohoService {
       const response = await this.makeRequest(`contacts/${customerId}`);
       return response.contact;
     } catch (error) {
-      console.error('Error getting Zoho customer:', error);
+      logger.error('Error getting Zoho customer:', error);
       throw error;
     }
   }
@@ -221,7 +256,7 @@ class ZohoService {
       const response = await this.makeRequest(`contacts?${params.toString()}`);
       return response.contacts?.[0] || null;
     } catch (error) {
-      console.error('Error finding Zoho customer by email:', error);
+      logger.error('Error finding Zoho customer by email:', error);
       throw error;
     }
   }
@@ -238,7 +273,7 @@ class ZohoService {
       const response = await this.makeRequest(`contacts?${params.toString()}`);
       return response;
     } catch (error) {
-      console.error('Error getting all Zoho customers:', error.response?.data || error.message);
+      logger.error('Error getting all Zoho customers:', error.response?.data || error.message);
       throw error;
     }
   }
@@ -248,81 +283,81 @@ class ZohoService {
    */
   async getInvoicePDF(invoiceId) {
     try {
-      console.log(`📄 Generating PDF for invoice: ${invoiceId}`);
+      logger.info(`📄 Generating PDF for invoice: ${invoiceId}`);
       
       // Method 1: Try the standard PDF endpoint
       try {
-        console.log('   Attempting standard PDF endpoint...');
+        logger.info('   Attempting standard PDF endpoint...');
         const response = await this.makeRequest(`invoices/${invoiceId}/pdf`);
         if (response.download_url) {
-          console.log('✅ PDF generated successfully via standard endpoint');
+          logger.info('✅ PDF generated successfully via standard endpoint');
           return response.download_url;
         }
       } catch (error) {
-        console.log('   Standard endpoint failed:', error.response?.data?.message || error.message);
+        logger.info('   Standard endpoint failed:', error.response?.data?.message || error.message);
       }
       
       // Method 2: Try with accept header
       try {
-        console.log('   Attempting with accept header...');
+        logger.info('   Attempting with accept header...');
         const response = await this.makeRequest(`invoices/${invoiceId}`, {
           headers: {
             'Accept': 'application/pdf'
           }
         });
         if (response.download_url || response.pdf_url) {
-          console.log('✅ PDF generated successfully via accept header');
+          logger.info('✅ PDF generated successfully via accept header');
           return response.download_url || response.pdf_url;
         }
       } catch (error) {
-        console.log('   Accept header method failed:', error.response?.data?.message || error.message);
+        logger.info('   Accept header method failed:', error.response?.data?.message || error.message);
       }
       
       // Method 3: Try export endpoint
       try {
-        console.log('   Attempting export endpoint...');
+        logger.info('   Attempting export endpoint...');
         const response = await this.makeRequest(`invoices/${invoiceId}/export`, {
           data: {
             accept: 'pdf'
           }
         });
         if (response.download_url || response.pdf_url) {
-          console.log('✅ PDF generated successfully via export endpoint');
+          logger.info('✅ PDF generated successfully via export endpoint');
           return response.download_url || response.pdf_url;
         }
       } catch (error) {
-        console.log('   Export endpoint failed:', error.response?.data?.message || error.message);
+        logger.info('   Export endpoint failed:', error.response?.data?.message || error.message);
       }
       
       // Method 4: Try with different URL format
       try {
-        console.log('   Attempting alternative URL format...');
+        logger.info('   Attempting alternative URL format...');
         const response = await this.makeRequest(`invoices/${invoiceId}?accept=pdf&organization_id=${this.organizationId}`);
         if (response.download_url || response.pdf_url) {
-          console.log('✅ PDF generated successfully via alternative URL');
+          logger.info('✅ PDF generated successfully via alternative URL');
           return response.download_url || response.pdf_url;
         }
       } catch (error) {
-        console.log('   Alternative URL failed:', error.response?.data?.message || error.message);
+        logger.info('   Alternative URL failed:', error.response?.data?.message || error.message);
       }
       
       // Method 5: Try to get invoice details and construct PDF URL
       try {
-        console.log('   Attempting to construct PDF URL from invoice details...');
+        logger.info('   Attempting to construct PDF URL from invoice details...');
         const invoice = await this.getInvoice(invoiceId);
         if (invoice) {
           // Construct PDF URL based on Zoho Books format
           const pdfUrl = `https://books.zoho.com/api/v3/invoices/${invoiceId}/pdf?organization_id=${this.organizationId}`;
-          console.log('✅ Constructed PDF URL:', pdfUrl);
+          logger.info('✅ Constructed PDF URL:', pdfUrl);
           return pdfUrl;
         }
       } catch (error) {
-        console.log('   Invoice details method failed:', error.response?.data?.message || error.message);
+        logger.info('   Invoice details method failed:', error.response?.data?.message || error.message);
       }
       
       // Method 6: Try with different base URL
       try {
-        console.log('   Attempting with different base URL...');
+        logger.info('   Attempting with different base URL...');
         const accessToken = await this.getAccessToken();
         const response = await axios.get(`https://books.zoho.com/api/v3/invoices/${invoiceId}/pdf`, {
           headers: {
@@ -334,22 +369,22 @@ class ZohoService {
           }
         });
         if (response.data.download_url) {
-          console.log('✅ PDF generated successfully via different base URL');
+          logger.info('✅ PDF generated successfully via different base URL');
           return response.data.download_url;
         }
       } catch (error) {
-        console.log('   Different base URL failed:', error.response?.data?.message || error.message);
+        logger.info('   Different base URL failed:', error.response?.data?.message || error.message);
       }
       
       // Fallback: Return a placeholder URL that can be used later
-      console.log('⚠️ All PDF generation methods failed, using fallback URL');
+      logger.info('⚠️ All PDF generation methods failed, using fallback URL');
       const fallbackUrl = `https://books.zoho.com/invoice/${invoiceId}/pdf?organization_id=${this.organizationId}`;
-      console.log('   Fallback URL:', fallbackUrl);
+      logger.info('   Fallback URL:', fallbackUrl);
       
       return fallbackUrl;
       
     } catch (error) {
-      console.error('❌ PDF generation completely failed:', error.message);
+      logger.error('❌ PDF generation completely failed:', error.message);
       
       // Return a basic URL that might work
       return `https://books.zoho.com/invoice/${invoiceId}/pdf`;
@@ -409,7 +444,7 @@ class ZohoService {
 
       throw new Error(`Unable to fetch PDF for invoice ${invoiceId}`);
     } catch (error) {
-      console.error('Error fetching Zoho invoice PDF binary:', error.response?.data || error.message);
+      logger.error('Error fetching Zoho invoice PDF binary:', error.response?.data || error.message);
       throw error;
     }
   }
@@ -429,7 +464,7 @@ class ZohoService {
 
       return response;
     } catch (error) {
-      console.error('Error sending Zoho invoice:', error);
+      logger.error('Error sending Zoho invoice:', error);
       throw error;
     }
   }
@@ -1,16 +1,27 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { PrismaClient } = require('@prisma/client');
+const { config } = require('../config');
+const { prisma } = require('./db');
+const logger = require('./logger');
 const crypto = require('crypto');
 
-const prisma = new PrismaClient();
+// Generate access token; sid links it to the refresh token family (device session) it came from,
+// tv to the customer's token version so bumping the version revokes it
+const generateAccessToken = (customerId, sessionId, tokenVersion = 0) => {
+  return jwt.sign(
+    { customerId, sid: sessionId, tv: tokenVersion },
+    config.auth.jwtSecret,
+    { expiresIn: config.auth.accessTokenExpiresIn }
+  );
+};
 
-// Generate access token
-const generateAccessToken = (customerId) => {
+// Generate a read-only access token that lets an admin see what a customer sees;
+// itv ties it to the admin's token version so revoking the admin's tokens revokes it too
+const generateImpersonationToken = (customerId, admin, tokenVersion = 0) => {
   return jwt.sign(
-    { customerId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m' }
+    { customerId, tv: tokenVersion, impersonatorId: admin.id, itv: admin.tokenVersion || 0 },
+    config.auth.jwtSecret,
+    { expiresIn: config.auth.impersonationTokenExpiresIn }
   );
 };
 
@@ -36,12 +47,15 @@ const comparePassword = async (password, hashedPassword) => {
 };
 
 // Create refresh token in database
-const createRefreshToken = async (customerId, token, expiresAt) => {
+const createRefreshToken = async (customerId, token, expiresAt, session = {}) => {
   return await prisma.refreshToken.create({
     data: {
       token,
       customerId,
-      expiresAt
+      expiresAt,
+      familyId: session.familyId || crypto.randomUUID(),
+      userAgent: session.userAgent || null,
+      ipAddress: session.ipAddress || null
     }
   });
 };
@@ -69,7 +83,9 @@ const verifyRefreshToken = async (token) => {
           firstName: true,
           lastName: true,
           isVerified: true,
-          isActive: true
+          isActive: true,
+          role: true,
+          twoFactorEnabled: true
         }
       }
     }
@@ -79,7 +95,7 @@ const verifyRefreshToken = async (token) => {
     return null;
   }
 
-  if (refreshToken.isRevoked || refreshToken.expiresAt < new Date()) {
+  if (refreshToken.isRevoked || refreshToken.replacedAt || refreshToken.expiresAt < new Date()) {
     return null;
   }
 
@@ -115,12 +131,149 @@ const verifyPasswordResetToken = async (token) => {
   return resetToken;
 };
 
-// Revoke refresh token
-const revokeRefreshToken = async (token) => {
-  return await prisma.refreshToken.update({
+// Revoke the session (token family) a refresh token belongs to
+const revokeRefreshToken = async (token, customerId) => {
+  const refreshToken = await prisma.refreshToken.findUnique({
+    where: { token }
+  });
+
+  if (!refreshToken || (customerId && refreshToken.customerId !== customerId)) {
+    return { count: 0 };
+  }
+
+  return await revokeTokenFamily(refreshToken.familyId);
+};
+
+// Revoke every token in a family
+const revokeTokenFamily = async (familyId) => {
+  return await prisma.refreshToken.updateMany({
+    where: { familyId, isRevoked: false },
+    data: { isRevoked: true }
+  });
+};
+
+// A rotated token presented again within this window is a concurrent refresh (e.g. two tabs), not a copied token
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+// Whether a token rotated at replacedAt is still inside the concurrent refresh window
+const isConcurrentRefresh = (replacedAt) => Date.now() - replacedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+
+// Exchange a refresh token for a new pair in the same family. Presenting a token that was
+// already rotated means it was copied, so the whole family is revoked, unless it was rotated
+// moments ago by a concurrent refresh, which leaves the session alone ('superseded').
+// Returns { status: 'rotated', customer, tokens }, { status: 'reused' | 'superseded', customer } or { status: 'invalid' }
+const rotateRefreshToken = async (token, session = {}) => {
+  const refreshToken = await prisma.refreshToken.findUnique({
     where: { token },
+    include: {
+      customer: {
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          isVerified: true,
+          isActive: true,
+          role: true,
+          twoFactorEnabled: true
+        }
+      }
+    }
+  });
+
+  if (!refreshToken || refreshToken.isRevoked || refreshToken.expiresAt < new Date()) {
+    return { status: 'invalid' };
+  }
+
+  if (refreshToken.replacedAt) {
+    if (isConcurrentRefresh(refreshToken.replacedAt)) {
+      return { status: 'superseded', customer: refreshToken.customer };
+    }
+    await revokeTokenFamily(refreshToken.familyId);
+    return { status: 'reused', customer: refreshToken.customer };
+  }
+
+  // Claim the token so two concurrent refreshes cannot both rotate it
+  const claimed = await prisma.refreshToken.updateMany({
+    where: { id: refreshToken.id, replacedAt: null, isRevoked: false },
+    data: { replacedAt: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    // Another request rotated (or revoked) the token since it was read
+    const current = await prisma.refreshToken.findUnique({
+      where: { id: refreshToken.id },
+      select: { replacedAt: true, isRevoked: true }
+    });
+    if (!current || current.isRevoked) {
+      return { status: 'invalid' };
+    }
+    if (current.replacedAt && isConcurrentRefresh(current.replacedAt)) {
+      return { status: 'superseded', customer: refreshToken.customer };
+    }
+    await revokeTokenFamily(refreshToken.familyId);
+    return { status: 'reused', customer: refreshToken.customer };
+  }
+
+  const tokens = await generateTokenPair(refreshToken.customerId, {
+    familyId: refreshToken.familyId,
+    userAgent: session.userAgent || refreshToken.userAgent,
+    ipAddress: session.ipAddress || refreshToken.ipAddress
+  });
+
+  return { status: 'rotated', customer: refreshToken.customer, tokens };
+};
+
+// List a customer's active sessions: the current token of each unrevoked family
+const listSessions = async (customerId) => {
+  const activeTokens = await prisma.refreshToken.findMany({
+    where: {
+      customerId,
+      isRevoked: false,
+      replacedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: { lastUsedAt: 'desc' }
+  });
+
+  if (activeTokens.length === 0) {
+    return [];
+  }
+
+  // A session started when the first token of its family was issued
+  const firstIssued = await prisma.refreshToken.groupBy({
+    by: ['familyId'],
+    where: { familyId: { in: activeTokens.map((t) => t.familyId) } },
+    _min: { createdAt: true }
+  });
+  const startedAt = new Map(firstIssued.map((row) => [row.familyId, row._min.createdAt]));
+
+  return activeTokens.map((t) => ({
+    id: t.familyId,
+    userAgent: t.userAgent,
+    ipAddress: t.ipAddress,
+    createdAt: startedAt.get(t.familyId) || t.createdAt,
+    lastUsedAt: t.lastUsedAt,
+    expiresAt: t.expiresAt
+  }));
+};
+
+// Revoke one of a customer's sessions; returns false if it does not exist or is already revoked
+const revokeSession = async (customerId, sessionId) => {
+  const result = await prisma.refreshToken.updateMany({
+    where: { customerId, familyId: sessionId, isRevoked: false },
     data: { isRevoked: true }
   });
+  return result.count > 0;
+};
+
+// Whether a session (token family) has not been signed out or revoked; its access tokens only work while it is active
+const isSessionActive = async (sessionId) => {
+  const token = await prisma.refreshToken.findFirst({
+    where: { familyId: sessionId, isRevoked: false },
+    select: { id: true }
+  });
+  return !!token;
 };
 
 // Mark password reset token as used
@@ -131,14 +284,30 @@ const markPasswordResetTokenAsUsed = async (token) => {
   });
 };
 
-// Revoke all refresh tokens for a customer
-const revokeAllUserTokens = async (customerId) => {
-  return await prisma.refreshToken.updateMany({
-    where: { customerId },
-    data: { isRevoked: true }
+// Invalidate every access token issued to a customer so far
+const invalidateAccessTokens = async (customerId, client = prisma) => {
+  return await client.customer.update({
+    where: { id: customerId },
+    data: { tokenVersion: { increment: 1 } },
+    select: { id: true, tokenVersion: true }
   });
 };
 
+// Revoke all refresh tokens for a customer and invalidate their access tokens
+const revokeAllUserTokens = async (customerId) => {
+  const [result] = await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { customerId, isRevoked: false },
+      data: { isRevoked: true }
+    }),
+    prisma.customer.update({
+      where: { id: customerId },
+      data: { tokenVersion: { increment: 1 } }
+    })
+  ]);
+  return result;
+};
+
 // Clean up expired refresh tokens
 const cleanupExpiredTokens = async () => {
   const result = await prisma.refreshToken.deleteMany({
@@ -149,7 +318,7 @@ const cleanupExpiredTokens = async () => {
     }
   });
   
-  console.log(`Cleaned up ${result.count} expired refresh tokens`);
+  logger.info(`Cleaned up ${result.count} expired refresh tokens`);
   return result.count;
 };
 
@@ -164,18 +333,24 @@ const cleanupExpiredPasswordResetTokens = async () => {
     }
   });
   
-  console.log(`Cleaned up ${result.count} expired/used password reset tokens`);
+  logger.info(`Cleaned up ${result.count} expired/used password reset tokens`);
   return result.count;
 };
 
-// Generate token pair (access + refresh)
-const generateTokenPair = async (customerId) => {
-  const accessToken = generateAccessToken(customerId);
+// Generate token pair (access + refresh). Pass familyId to continue an existing session;
+// otherwise a new session starts, recording the device's user agent and IP
+const generateTokenPair = async (customerId, session = {}) => {
+  const familyId = session.familyId || crypto.randomUUID();
+  const customer = await prisma.customer.findUnique({
+    where: { id: customerId },
+    select: { tokenVersion: true }
+  });
+  const accessToken = generateAccessToken(customerId, familyId, customer ? customer.tokenVersion : 0);
   const refreshToken = generateRefreshToken();
   
   // Set refresh token expiration from environment variable
   const expiresAt = new Date();
-  const refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+  const refreshExpiresIn = config.auth.refreshTokenExpiresIn;
   
   // Parse the expiration time (e.g., '7d' = 7 days)
   const match = refreshExpiresIn.match(/^(\d+)([dhms])$/);
@@ -204,12 +379,13 @@ const generateTokenPair = async (customerId) => {
   }
   
   // Store refresh token in database
-  await createRefreshToken(customerId, refreshToken, expiresAt);
+  await createRefreshToken(customerId, refreshToken, expiresAt, { ...session, familyId });
   
   return {
     accessToken,
     refreshToken,
-    expiresAt
+    expiresAt,
+    sessionId: familyId
   };
 };
 
@@ -230,6 +406,12 @@ const generatePasswordResetTokenForCustomer = async (customerId) => {
   };
 };
 
+// Device details recorded on a session
+const getSessionContext = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 512) || null,
+  ipAddress: req.ip || null
+});
+
 // Update customer's last login time
 const updateLastLogin = async (customerId) => {
   return await prisma.customer.update({
@@ -278,6 +460,7 @@ const validatePassword = (password) => {
 
 module.exports = {
   generateAccessToken,
+  generateImpersonationToken,
   generateRefreshToken,
   generatePasswordResetToken,
   hashPassword,
@@ -287,12 +470,19 @@ module.exports = {
   verifyRefreshToken,
   verifyPasswordResetToken,
   revokeRefreshToken,
+  revokeTokenFamily,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  isSessionActive,
   markPasswordResetTokenAsUsed,
+  invalidateAccessTokens,
   revokeAllUserTokens,
   cleanupExpiredTokens,
   cleanupExpiredPasswordResetTokens,
   generateTokenPair,
   generatePasswordResetTokenForCustomer,
+  getSessionContext,
   updateLastLogin,
   isValidEmail,
   validatePassword
@@ -0,0 +1,154 @@
+const { PrismaClient } = require('@prisma/client');
+const { config } = require('../config');
+const logger = require('./logger');
+
+// Retry policy for transient database errors; attempts after the first one, with exponential backoff
+const RETRY_POLICY = {
+  retries: config.database.retryAttempts,
+  baseDelayMs: config.database.retryBaseDelayMs,
+  maxDelayMs: config.database.retryMaxDelayMs
+};
+
+// Prisma error codes that mean the connection, not the query, failed
+const RETRYABLE_CODES = [
+  'P1001', // Can't reach database server
+  'P1002', // Database server timed out
+  'P1017', // Server has closed the connection
+  'P2024' // Timed out fetching a connection from the pool
+];
+
+// PgBouncer in transaction mode can hand a query a connection without (or with a clashing) prepared statement
+const RETRYABLE_MESSAGES = [
+  /prepared statement "?\w+"? (already exists|does not exist)/i,
+  /server has closed the connection/i,
+  /connection (terminated|reset)/i,
+  /ECONNRESET/
+];
+
+// One client, and so one connection pool, for the whole process
+const prisma = new PrismaClient({
+  datasources: {
+    db: {
+      url: config.database.url
+    }
+  },
+  log: logger.getPrismaLogOptions()
+});
+logger.attachPrismaLogging(prisma);
+
+let connected = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Whether an error is a transient connection problem worth retrying
+const isRetryableError = (error) => {
+  if (!error) {
+    return false;
+  }
+  if (RETRYABLE_CODES.includes(error.code) || RETRYABLE_CODES.includes(error.errorCode)) {
+    return true;
+  }
+  return RETRYABLE_MESSAGES.some((pattern) => pattern.test(error.message || ''));
+};
+
+/**
+ * Run a database operation, retrying transient connection errors with exponential backoff
+ * Don't wrap single queries inside an interactive transaction; retry the whole transaction instead.
+ * @param {Function} operation - Async function running the queries
+ * @param {Object} options - Overrides for RETRY_POLICY, plus shouldRetry(error) to widen or narrow what is retried
+ * @returns {Promise<*>} Result of the operation
+ */
+const withRetry = async (operation, options = {}) => {
+  const {
+    retries = RETRY_POLICY.retries,
+    baseDelayMs = RETRY_POLICY.baseDelayMs,
+    maxDelayMs = RETRY_POLICY.maxDelayMs,
+    shouldRetry = isRetryableError
+  } = options;
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delayMs = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+      logger.warn(`⏳ Database operation failed (${error.code || error.message}); retry ${attempt + 1}/${retries} in ${delayMs}ms`);
+      await sleep(delayMs);
+    }
+  }
+};
+
+// Open the connection pool; failures are logged so the server can still start without a database
+const connect = async () => {
+  try {
+    await prisma.$connect();
+    connected = true;
+    logger.info('✅ Database connected successfully');
+  } catch (error) {
+    connected = false;
+    logger.warn('⚠️ Database connection failed:', error.message);
+    logger.info('📝 You can set up the database later using: npx prisma db push');
+  }
+  return connected;
+};
+
+// Run a cheap query until it succeeds (useful with PgBouncer) so the first request doesn't fail
+const warmup = async ({ attempts = 5, delayMs = 500 } = {}) => {
+  try {
+    await withRetry(() => prisma.$queryRaw`SELECT 1`, {
+      retries: attempts - 1,
+      baseDelayMs: delayMs,
+      shouldRetry: () => true
+    });
+    connected = true;
+    logger.info('🔥 Database warm-up successful');
+    return true;
+  } catch (error) {
+    logger.error('❌ Database warm-up failed after retries:', error.message);
+    return false;
+  }
+};
+
+// Drop and reopen the connection pool after the connection has been lost
+const reconnect = async () => {
+  try {
+    await prisma.$disconnect();
+    await sleep(1000);
+    await prisma.$connect();
+    connected = true;
+    logger.info('✅ Database reconnected successfully');
+    return true;
+  } catch (error) {
+    connected = false;
+    logger.error('❌ Database reconnection failed:', error.message);
+    return false;
+  }
+};
+
+// Close the connection pool; call once on shutdown
+const disconnect = async () => {
+  try {
+    await prisma.$disconnect();
+    connected = false;
+    logger.info('🔌 Database disconnected');
+  } catch (error) {
+    logger.error('Error disconnecting from database:', error.message);
+  }
+};
+
+const isConnected = () => connected;
+
+module.exports = {
+  prisma,
+  RETRY_POLICY,
+  isRetryableError,
+  withRetry,
+  connect,
+  warmup,
+  reconnect,
+  disconnect,
+  isConnected
+};
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config');
+const { prisma } = require('./db');
+const logger = require('./logger');
+
+const CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_ATTEMPTS = config.otp.maxAttempts;
+const LOCKOUT_MS = config.otp.lockoutMinutes * 60 * 1000;
+const RESEND_INTERVAL_MS = config.otp.resendIntervalSeconds * 1000;
+const THROTTLE_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const MAX_SENDS_PER_EMAIL = config.otp.maxSendsPerEmail;
+const MAX_SENDS_PER_IP = config.otp.maxSendsPerIp;
+const TICKET_EXPIRES_IN = config.auth.emailVerificationTicketExpiresIn;
+const TICKET_TYPE = 'email_verification';
+
+// Normalise emails so throttling and lookups cannot be sidestepped with different casing
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Generate a 6-digit verification code with a cryptographically secure RNG
+const generateVerificationCode = () => {
+  return crypto.randomInt(100000, 1000000).toString();
+};
+
+// Hash a code with a server secret so leaked rows cannot be brute-forced offline
+const hashVerificationCode = (email, code) => {
+  return crypto
+    .createHmac('sha256', config.otp.secret || config.auth.jwtSecret)
+    .update(`${normalizeEmail(email)}:${code}`)
+    .digest('hex');
+};
+
+// Most recent verification for an email and purpose
+const findLatestEmailVerification = async (email, purpose = 'signup') => {
+  return await prisma.emailVerification.findFirst({
+    where: {
+      email: normalizeEmail(email),
+      purpose
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+// Check whether another code may be sent to this email from this IP
+const checkResendThrottle = async (email, ipAddress, purpose = 'signup') => {
+  const now = Date.now();
+  const windowStart = new Date(now - THROTTLE_WINDOW_MS);
+
+  const latest = await findLatestEmailVerification(email, purpose);
+
+  if (latest?.lockedUntil && latest.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      code: 'OTP_LOCKED',
+      retryAfterSeconds: Math.ceil((latest.lockedUntil.getTime() - now) / 1000)
+    };
+  }
+
+  if (latest && now - latest.createdAt.getTime() < RESEND_INTERVAL_MS) {
+    return {
+      allowed: false,
+      code: 'OTP_RESEND_TOO_SOON',
+      retryAfterSeconds: Math.ceil((RESEND_INTERVAL_MS - (now - latest.createdAt.getTime())) / 1000)
+    };
+  }
+
+  const [emailSends, ipSends] = await Promise.all([
+    prisma.emailVerification.findMany({
+      where: { email: normalizeEmail(email), createdAt: { gte: windowStart } },
+      select: { createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    }),
+    ipAddress
+      ? prisma.emailVerification.findMany({
+        where: { requestIp: ipAddress, createdAt: { gte: windowStart } },
+        select: { createdAt: true },
+        orderBy: { createdAt: 'asc' }
+      })
+      : []
+  ]);
+
+  // Retry once the oldest send in the window drops out of it
+  const retryAfter = (sends) => Math.ceil((sends[0].createdAt.getTime() + THROTTLE_WINDOW_MS - now) / 1000);
+
+  if (emailSends.length >= MAX_SENDS_PER_EMAIL) {
+    return { allowed: false, code: 'OTP_RESEND_LIMIT', retryAfterSeconds: retryAfter(emailSends) };
+  }
+
+  if (ipSends.length >= MAX_SENDS_PER_IP) {
+    return { allowed: false, code: 'OTP_RESEND_LIMIT', retryAfterSeconds: retryAfter(ipSends) };
+  }
+
+  return { allowed: true };
+};
+
+// Create a new verification code for an email; earlier unused codes stop working
+const createEmailVerification = async (email, ipAddress, purpose = 'signup') => {
+  const normalizedEmail = normalizeEmail(email);
+  const code = generateVerificationCode();
+
+  await prisma.emailVerification.updateMany({
+    where: {
+      email: normalizedEmail,
+      purpose,
+      consumedAt: null
+    },
+    data: { consumedAt: new Date() }
+  });
+
+  const verification = await prisma.emailVerification.create({
+    data: {
+      email: normalizedEmail,
+      purpose,
+      codeHash: hashVerificationCode(normalizedEmail, code),
+      requestIp: ipAddress || null,
+      expiresAt: new Date(Date.now() + CODE_TTL_MS)
+    }
+  });
+
+  return { verification, code };
+};
+
+// Delete a verification whose code could not be delivered, so it does not count towards throttling
+const deleteEmailVerification = async (id) => {
+  return await prisma.emailVerification.delete({
+    where: { id }
+  });
+};
+
+// Check a code; every check uses up an attempt and running out of attempts locks the email
+const verifyEmailVerificationCode = async (email, code, purpose = 'signup') => {
+  const now = new Date();
+  const verification = await findLatestEmailVerification(email, purpose);
+
+  if (!verification) {
+    return { valid: false, code: 'OTP_NOT_FOUND' };
+  }
+
+  if (verification.lockedUntil && verification.lockedUntil > now) {
+    return { valid: false, code: 'OTP_LOCKED', lockedUntil: verification.lockedUntil };
+  }
+
+  if (verification.consumedAt) {
+    return { valid: false, code: 'OTP_NOT_FOUND' };
+  }
+
+  if (verification.expiresAt < now) {
+    return { valid: false, code: 'OTP_EXPIRED' };
+  }
+
+  // Claim an attempt before comparing, so parallel guesses cannot check more than MAX_ATTEMPTS codes
+  const claimed = await prisma.emailVerification.updateMany({
+    where: { id: verification.id, attempts: { lt: MAX_ATTEMPTS }, consumedAt: null },
+    data: { attempts: { increment: 1 } }
+  });
+
+  if (claimed.count !== 1) {
+    const current = await prisma.emailVerification.findUnique({ where: { id: verification.id } });
+    if (current && current.lockedUntil && current.lockedUntil > now) {
+      return { valid: false, code: 'OTP_LOCKED', lockedUntil: current.lockedUntil };
+    }
+    return { valid: false, code: 'OTP_NOT_FOUND' };
+  }
+
+  const expected = Buffer.from(verification.codeHash, 'hex');
+  const received = Buffer.from(hashVerificationCode(email, String(code).trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    // Read the count back: other requests may have claimed attempts since the verification was loaded
+    const { attempts } = await prisma.emailVerification.findUnique({
+      where: { id: verification.id },
+      select: { attempts: true }
+    });
+
+    if (attempts >= MAX_ATTEMPTS) {
+      const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+      await prisma.emailVerification.update({
+        where: { id: verification.id },
+        data: { lockedUntil, consumedAt: now }
+      });
+      return { valid: false, code: 'OTP_LOCKED', lockedUntil };
+    }
+
+    return { valid: false, code: 'INVALID_OTP', attemptsRemaining: MAX_ATTEMPTS - attempts };
+  }
+
+  // Consume the code so it can only be used once
+  const consumed = await prisma.emailVerification.updateMany({
+    where: { id: verification.id, consumedAt: null },
+    data: { consumedAt: now }
+  });
+
+  if (consumed.count === 0) {
+    return { valid: false, code: 'OTP_NOT_FOUND' };
+  }
+
+  return { valid: true, verification };
+};
+
+// Send the 429 response for a blocked resend
+const sendThrottleError = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    error: throttle.code === 'OTP_LOCKED'
+      ? 'Too many incorrect codes. Please try again later'
+      : 'Too many verification codes requested. Please try again later',
+    code: throttle.code,
+    retryAfter: throttle.retryAfterSeconds
+  });
+};
+
+// Send the error response for a failed code check
+const sendVerificationCodeError = (res, result) => {
+  switch (result.code) {
+    case 'OTP_LOCKED':
+      res.set('Retry-After', String(Math.ceil((result.lockedUntil.getTime() - Date.now()) / 1000)));
+      return res.status(429).json({
+        error: 'Too many incorrect codes. Please request a new code later',
+        code: 'OTP_LOCKED'
+      });
+    case 'OTP_EXPIRED':
+      return res.status(400).json({ 
+        error: 'OTP has expired',
+        code: 'OTP_EXPIRED'
+      });
+    case 'INVALID_OTP':
+      return res.status(400).json({ 
+        error: 'Invalid OTP',
+        code: 'INVALID_OTP',
+        attemptsRemaining: result.attemptsRemaining
+      });
+    default:
+      return res.status(400).json({ 
+        error: 'No OTP found for this email',
+        code: 'OTP_NOT_FOUND'
+      });
+  }
+};
+
+// Issue a short-lived signed ticket proving the email passed OTP verification
+const issueVerificationTicket = (verification) => {
+  return jwt.sign(
+    { type: TICKET_TYPE, email: verification.email, purpose: verification.purpose },
+    config.auth.jwtSecret,
+    { expiresIn: TICKET_EXPIRES_IN, jwtid: verification.id }
+  );
+};
+
+// Check a verification ticket for an email and mark it used, so each ticket creates at most one account.
+// Pass a transaction client to roll the consumption back if the caller's work fails.
+const consumeVerificationTicket = async (ticket, email, purpose = 'signup', client = prisma) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(ticket, config.auth.jwtSecret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { valid: false, code: 'VERIFICATION_TOKEN_EXPIRED', message: 'Email verification has expired. Please verify your email again' };
+    }
+    return { valid: false, code: 'INVALID_VERIFICATION_TOKEN', message: 'Invalid email verification token' };
+  }
+
+  if (decoded.type !== TICKET_TYPE || decoded.purpose !== purpose || !decoded.jti) {
+    return { valid: false, code: 'INVALID_VERIFICATION_TOKEN', message: 'Invalid email verification token' };
+  }
+
+  if (decoded.email !== normalizeEmail(email)) {
+    return { valid: false, code: 'VERIFICATION_TOKEN_EMAIL_MISMATCH', message: 'Email verification token does not match this email' };
+  }
+
+  const consumed = await client.emailVerification.updateMany({
+    where: { id: decoded.jti, ticketUsedAt: null },
+    data: { ticketUsedAt: new Date() }
+  });
+
+  if (consumed.count === 0) {
+    return { valid: false, code: 'VERIFICATION_TOKEN_USED', message: 'Email verification token has already been used' };
+  }
+
+  return { valid: true, email: decoded.email };
+};
+
+// Clean up verifications older than a day; by then they no longer count towards throttling or lockouts
+const cleanupExpiredEmailVerifications = async () => {
+  const result = await prisma.emailVerification.deleteMany({
+    where: {
+      createdAt: { lt: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    }
+  });
+
+  logger.info(`Cleaned up ${result.count} expired email verifications`);
+  return result.count;
+};
+
+module.exports = {
+  normalizeEmail,
+  generateVerificationCode,
+  hashVerificationCode,
+  checkResendThrottle,
+  createEmailVerification,
+  deleteEmailVerification,
+  verifyEmailVerificationCode,
+  sendThrottleError,
+  sendVerificationCodeError,
+  issueVerificationTicket,
+  consumeVerificationTicket,
+  cleanupExpiredEmailVerifications
+};
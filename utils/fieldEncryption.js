@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_PREFIX = 'enc:v1';
+
+// Customer columns holding bank details; they are only ever stored encrypted
+const BANK_DETAIL_FIELDS = ['bankCode', 'accountNumber'];
+
+let keyringCache = { source: null, keyring: null };
+
+// Parse FIELD_ENCRYPTION_KEYS ("keyId:base64Key,keyId:base64Key"). Keys are 32 bytes; the first
+// one encrypts new values and the rest are kept so values written under them can still be read.
+const getKeyring = () => {
+  const source = (config.fieldEncryption.keys || []).join(',');
+  if (keyringCache.source === source) {
+    return keyringCache.keyring;
+  }
+
+  const keys = new Map();
+  let activeKeyId = null;
+
+  for (const entry of source.split(',').map((item) => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error(`FIELD_ENCRYPTION_KEYS entry "${keyId || entry.slice(0, 8)}" must be keyId:<32-byte base64 key>`);
+    }
+
+    keys.set(keyId, key);
+    activeKeyId = activeKeyId || keyId;
+  }
+
+  keyringCache = { source, keyring: activeKeyId ? { activeKeyId, keys } : null };
+  return keyringCache.keyring;
+};
+
+// Whether encryption keys are configured
+const isEncryptionConfigured = () => getKeyring() !== null;
+
+const requireKeyring = () => {
+  const keyring = getKeyring();
+  if (!keyring) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not configured');
+  }
+  return keyring;
+};
+
+// AES-256-GCM; output is iv, auth tag and ciphertext joined in one buffer
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]);
+};
+
+const open = (key, sealed, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+};
+
+// Whether a stored value is in the encrypted format
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${FORMAT_PREFIX}:`);
+
+// Split a stored value into its key ID, wrapped data key and encrypted payload
+const parseEncryptedValue = (value) => {
+  const [, , keyId, wrappedKey, payload] = value.split(':');
+  if (!keyId || !wrappedKey || !payload) {
+    throw new Error('Malformed encrypted value');
+  }
+  return {
+    keyId,
+    wrappedKey: Buffer.from(wrappedKey, 'base64'),
+    payload: Buffer.from(payload, 'base64')
+  };
+};
+
+const unwrapDataKey = (keyring, keyId, wrappedKey, context) => {
+  const masterKey = keyring.keys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Encryption key "${keyId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+  return open(masterKey, wrappedKey, `key:${context}`);
+};
+
+const formatEncryptedValue = (keyId, wrappedKey, payload) => {
+  return `${FORMAT_PREFIX}:${keyId}:${wrappedKey.toString('base64')}:${payload.toString('base64')}`;
+};
+
+// Envelope-encrypt a value: a fresh data key encrypts the value and the active master key
+// encrypts (wraps) the data key. context names the field so values cannot be swapped between columns.
+const encryptValue = (plaintext, context) => {
+  if (plaintext === null || plaintext === undefined || plaintext === '') {
+    return plaintext;
+  }
+
+  const keyring = requireKeyring();
+  const dataKey = crypto.randomBytes(32);
+  const payload = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), `value:${context}`);
+  const wrappedKey = seal(keyring.keys.get(keyring.activeKeyId), dataKey, `key:${context}`);
+
+  return formatEncryptedValue(keyring.activeKeyId, wrappedKey, payload);
+};
+
+// Decrypt a value written by encryptValue; values that were never encrypted are returned unchanged
+const decryptValue = (value, context) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const keyring = requireKeyring();
+  const { keyId, wrappedKey, payload } = parseEncryptedValue(value);
+  const dataKey = unwrapDataKey(keyring, keyId, wrappedKey, context);
+
+  return open(dataKey, payload, `value:${context}`).toString('utf8');
+};
+
+// Whether a stored value is plaintext or wrapped under a key other than the active one
+const needsReencryption = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+  if (!isEncrypted(value)) {
+    return true;
+  }
+  return parseEncryptedValue(value).keyId !== requireKeyring().activeKeyId;
+};
+
+// Bring a stored value up to the active key. Encrypted values only have their data key
+// re-wrapped, so the payload itself is never decrypted; plaintext values are encrypted.
+const reencryptValue = (value, context) => {
+  if (!needsReencryption(value)) {
+    return value;
+  }
+  if (!isEncrypted(value)) {
+    return encryptValue(value, context);
+  }
+
+  const keyring = requireKeyring();
+  const { keyId, wrappedKey, payload } = parseEncryptedValue(value);
+  const dataKey = unwrapDataKey(keyring, keyId, wrappedKey, context);
+  const rewrapped = seal(keyring.keys.get(keyring.activeKeyId), dataKey, `key:${context}`);
+
+  return formatEncryptedValue(keyring.activeKeyId, rewrapped, payload);
+};
+
+// Encrypt whichever bank detail fields are present
+const encryptBankDetails = (details) => {
+  const encrypted = {};
+  for (const field of BANK_DETAIL_FIELDS) {
+    if (details[field] !== undefined) {
+      encrypted[field] = encryptValue(details[field], `customer.${field}`);
+    }
+  }
+  return encrypted;
+};
+
+// Customer data for bank details kept until a GoCardless bank account can be created from them;
+// null when encryption is not configured, so nothing is ever stored in plaintext
+const buildPendingBankDetails = ({ accountHolderName, bankCode, accountNumber, accountType, preferredCurrency }) => {
+  if (!bankCode || !accountNumber || !isEncryptionConfigured()) {
+    return null;
+  }
+
+  return {
+    accountHolderName,
+    accountType,
+    preferredCurrency,
+    ...encryptBankDetails({ bankCode, accountNumber })
+  };
+};
+
+// Customer data that removes stored bank details once GoCardless holds the bank account
+const PURGED_BANK_DETAILS = {
+  bankCode: null,
+  accountNumber: null
+};
+
+// Decrypt the bank detail fields of a customer record
+const decryptBankDetails = (customer) => {
+  const decrypted = {};
+  for (const field of BANK_DETAIL_FIELDS) {
+    decrypted[field] = customer[field] ? decryptValue(customer[field], `customer.${field}`) : null;
+  }
+  return decrypted;
+};
+
+module.exports = {
+  BANK_DETAIL_FIELDS,
+  isEncryptionConfigured,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  needsReencryption,
+  reencryptValue,
+  encryptBankDetails,
+  decryptBankDetails,
+  buildPendingBankDetails,
+  PURGED_BANK_DETAILS
+};
@@ -0,0 +1,145 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('../config');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Field names whose values are never logged
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|authori[sz]ation|api[-_]?key|cookie|otp|recovery[-_]?code|code[-_]?hash|account[-_]?number|bank[-_]?code|branch[-_]?code|iban|sort[-_]?code/i;
+const EMAIL_KEY_PATTERN = /e-?mail/i;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const MAX_DEPTH = 6;
+
+// Holds the current request's context (requestId) across async calls
+const requestContext = new AsyncLocalStorage();
+
+// Keep the first character and domain of email addresses: j***@example.com
+const redactString = (value) => value.replace(EMAIL_PATTERN, '$1***@$2');
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactString(String(error.message)),
+  code: error.code,
+  statusCode: error.statusCode,
+  stack: error.stack ? redactString(error.stack) : undefined
+});
+
+// Copy a value for logging with secrets removed and emails masked
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && item !== '') {
+      copy[key] = '[REDACTED]';
+    } else if (EMAIL_KEY_PATTERN.test(key) && typeof item === 'string') {
+      copy[key] = redactString(item);
+    } else {
+      copy[key] = redact(item, depth + 1, seen);
+    }
+  }
+  return copy;
+};
+
+// Turn console-style arguments into a log entry: strings and numbers form the message,
+// an Error goes in `error` and objects go in `data`
+const buildEntry = (level, args) => {
+  const message = [];
+  const data = [];
+  let error;
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      error = serializeError(arg);
+    } else if (arg !== null && typeof arg === 'object') {
+      data.push(redact(arg));
+    } else {
+      message.push(redactString(String(arg)));
+    }
+  }
+
+  const context = requestContext.getStore();
+
+  return {
+    time: new Date().toISOString(),
+    level,
+    msg: message.join(' '),
+    ...(context && context.requestId ? { requestId: context.requestId } : {}),
+    ...(data.length > 0 ? { data: data.length === 1 ? data[0] : data } : {}),
+    ...(error ? { error } : {})
+  };
+};
+
+const write = (level, args) => {
+  if (LEVELS[level] > LEVELS[config.logging.level]) {
+    return;
+  }
+
+  const line = JSON.stringify(buildEntry(level, args)) + '\n';
+  if (LEVELS[level] <= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+// Prisma log options; queries are only logged when PRISMA_LOG_QUERIES=true
+const getPrismaLogOptions = () => {
+  const levels = ['warn', 'error'];
+  if (config.logging.prismaQueries) {
+    levels.unshift('query');
+  }
+  return levels.map((level) => ({ emit: 'event', level }));
+};
+
+// Send a Prisma client's log events through the logger
+const attachPrismaLogging = (prisma) => {
+  prisma.$on('warn', (event) => write('warn', ['Prisma warning:', event.message]));
+  prisma.$on('error', (event) => write('error', ['Prisma error:', event.message]));
+  if (config.logging.prismaQueries) {
+    // Parameters may hold personal data, so only the statement and timing are logged
+    prisma.$on('query', (event) => write('info', ['Prisma query', { query: event.query, durationMs: event.duration }]));
+  }
+  return prisma;
+};
+
+const logger = {
+  error: (...args) => write('error', args),
+  warn: (...args) => write('warn', args),
+  info: (...args) => write('info', args),
+  debug: (...args) => write('debug', args),
+  redact,
+  requestContext,
+  getRequestId: () => {
+    const context = requestContext.getStore();
+    return context ? context.requestId : null;
+  },
+  getPrismaLogOptions,
+  attachPrismaLogging
+};
+
+module.exports = logger;
@@ -0,0 +1,52 @@
+const { config } = require('../config');
+
+// GoCardless failure causes where retrying the same mandate cannot succeed
+const DEFAULT_NON_RETRYABLE_CAUSES = [
+  'mandate_cancelled',
+  'mandate_expired',
+  'bank_account_closed',
+  'bank_account_transferred',
+  'invalid_bank_details',
+  'authorisation_disputed',
+  'direct_debit_not_enabled'
+];
+
+// Read the retry policy from the configuration
+const getRetryPolicy = () => {
+  const causes = config.billing.paymentRetryNonRetryableCauses;
+
+  return {
+    maxAttempts: config.billing.paymentRetryMaxAttempts,
+    intervalBusinessDays: config.billing.paymentRetryIntervalBusinessDays,
+    nonRetryableCauses: causes && causes.length > 0 ? causes : DEFAULT_NON_RETRYABLE_CAUSES
+  };
+};
+
+// Check whether a failed payment may be retried under the policy
+const shouldRetry = (cause, retryCount, policy = getRetryPolicy()) => {
+  if (retryCount >= policy.maxAttempts) {
+    return false;
+  }
+  return !policy.nonRetryableCauses.includes(cause);
+};
+
+// Add business days (Monday to Friday) to a date
+const addBusinessDays = (date, days) => {
+  const result = new Date(date);
+  let remaining = days;
+  while (remaining > 0) {
+    result.setUTCDate(result.getUTCDate() + 1);
+    const day = result.getUTCDay();
+    if (day !== 0 && day !== 6) {
+      remaining--;
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  DEFAULT_NON_RETRYABLE_CAUSES,
+  getRetryPolicy,
+  shouldRetry,
+  addBusinessDays
+};
@@ -0,0 +1,84 @@
+// Billing history statuses driven by GoCardless payment events
+const PAYMENT_STATUSES = [
+  'pending',
+  'submitted',
+  'paid',
+  'paid_out',
+  'failed',
+  'cancelled',
+  'charged_back',
+  'resubmitted'
+];
+
+// Statuses that count as money collected
+const PAID_STATUSES = ['paid', 'paid_out'];
+
+// Statuses still waiting on the bank
+const PENDING_STATUSES = ['pending', 'submitted', 'resubmitted'];
+
+// Statuses where collection did not succeed
+const FAILED_STATUSES = ['failed', 'charged_back'];
+
+// Allowed moves between statuses; anything not listed is rejected
+const ALLOWED_TRANSITIONS = {
+  pending: ['submitted', 'paid', 'failed', 'cancelled'],
+  submitted: ['paid', 'failed', 'cancelled'],
+  paid: ['paid_out', 'failed', 'charged_back'],
+  paid_out: ['failed', 'charged_back'],
+  failed: ['resubmitted'],
+  resubmitted: ['submitted', 'paid', 'failed', 'cancelled'],
+  charged_back: ['paid'],
+  cancelled: []
+};
+
+// Map a GoCardless payment status (from the payments API) to a billing history status
+const GOCARDLESS_STATUS_MAP = {
+  pending_customer_approval: 'pending',
+  pending_submission: 'pending',
+  submitted: 'submitted',
+  confirmed: 'paid',
+  paid_out: 'paid_out',
+  cancelled: 'cancelled',
+  customer_approval_denied: 'failed',
+  failed: 'failed',
+  charged_back: 'charged_back'
+};
+
+// Map a Zoho Books invoice status to a billing history status; every other status is still awaiting payment
+const ZOHO_STATUS_MAP = {
+  paid: 'paid',
+  void: 'cancelled'
+};
+
+// Check whether a billing record may move from one status to another.
+// Repeating the current status is allowed so settlement events can refresh the cause/description.
+const canTransition = (from, to) => {
+  if (!PAYMENT_STATUSES.includes(to)) {
+    return false;
+  }
+  if (!from || from === to) {
+    return true;
+  }
+  return (ALLOWED_TRANSITIONS[from] || []).includes(to);
+};
+
+// Convert a GoCardless payment status to a billing history status
+const fromGoCardlessStatus = (goCardlessStatus) => {
+  return GOCARDLESS_STATUS_MAP[goCardlessStatus] || 'pending';
+};
+
+// Convert a Zoho Books invoice status to a billing history status
+const fromZohoInvoiceStatus = (zohoStatus) => {
+  return ZOHO_STATUS_MAP[zohoStatus] || 'pending';
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  PAID_STATUSES,
+  PENDING_STATUSES,
+  FAILED_STATUSES,
+  ALLOWED_TRANSITIONS,
+  canTransition,
+  fromGoCardlessStatus,
+  fromZohoInvoiceStatus
+};
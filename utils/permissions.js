@@ -0,0 +1,46 @@
+// Admin permissions; every admin route requires one of these
+const PERMISSIONS = {
+  'users.read': 'View customers and their details',
+  'users.write': 'Change customer status, verification and profiles, and unlock accounts',
+  'users.impersonate': 'Sign in as a customer with a read-only token',
+  'billing.read': 'View invoices, billing history, refunds, retries, plans and subscriptions',
+  'billing.charge': 'Take payments, issue refunds and run subscription billing',
+  'billing.manage': 'Manage plans, subscriptions and dunning',
+  'analytics.read': 'View the dashboard and analytics',
+  'settings.manage': 'Change security settings and test integrations',
+  'admins.manage': 'Create admins and edit other admins\' permissions',
+  'audit.read': 'View and export the admin audit log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Permissions given to a new admin when none are specified
+const DEFAULT_ADMIN_PERMISSIONS = ['users.read', 'billing.read', 'analytics.read'];
+
+// Whether every given name is in the catalogue
+const isValidPermissionList = (permissions) => {
+  return Array.isArray(permissions) && permissions.every((permission) => ALL_PERMISSIONS.includes(permission));
+};
+
+// Permissions held by a customer loaded with adminData
+const getAdminPermissions = (customer) => {
+  if (!customer || customer.role !== 'admin' || !customer.adminData) {
+    return [];
+  }
+  return customer.adminData.permissions.filter((permission) => ALL_PERMISSIONS.includes(permission));
+};
+
+// Required permissions the customer does not hold
+const getMissingPermissions = (customer, required) => {
+  const held = getAdminPermissions(customer);
+  return required.filter((permission) => !held.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ADMIN_PERMISSIONS,
+  isValidPermissionList,
+  getAdminPermissions,
+  getMissingPermissions
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config');
+const { prisma } = require('./db');
+const { verifyCode } = require('./totp');
+const { encryptValue, decryptValue } = require('./fieldEncryption');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = config.auth.twoFactorChallengeExpiresIn;
+const ADMIN_TWO_FACTOR_SETTING = 'security.adminTwoFactorRequired';
+const TWO_FACTOR_SECRET_CONTEXT = 'customer.twoFactorSecret';
+
+// Challenge token types: 'verify' completes signin with a code, 'setup' lets an admin
+// who must use 2FA enrol before receiving tokens
+const CHALLENGE_TYPES = {
+  verify: '2fa_challenge',
+  setup: '2fa_setup'
+};
+
+// Generate recovery codes in the form xxxxx-xxxxx
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+// Hash a recovery code; codes are high-entropy so a plain SHA-256 is enough
+const hashRecoveryCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase().replace(/\s/g, ''))
+    .digest('hex');
+};
+
+// Replace a customer's recovery codes and return the new plain codes (shown to the user once)
+const replaceRecoveryCodes = async (customerId, client = prisma) => {
+  const codes = generateRecoveryCodes();
+
+  await client.recoveryCode.deleteMany({
+    where: { customerId }
+  });
+
+  await client.recoveryCode.createMany({
+    data: codes.map((code) => ({
+      customerId,
+      codeHash: hashRecoveryCode(code)
+    }))
+  });
+
+  return codes;
+};
+
+// Use a recovery code; each code works once
+const consumeRecoveryCode = async (customerId, code) => {
+  const result = await prisma.recoveryCode.updateMany({
+    where: {
+      customerId,
+      codeHash: hashRecoveryCode(code),
+      usedAt: null
+    },
+    data: { usedAt: new Date() }
+  });
+
+  return result.count > 0;
+};
+
+// Count unused recovery codes
+const countRecoveryCodes = async (customerId) => {
+  return await prisma.recoveryCode.count({
+    where: { customerId, usedAt: null }
+  });
+};
+
+// Encrypt a TOTP secret for storage in customer.twoFactorSecret
+const encryptTwoFactorSecret = (secret) => {
+  return encryptValue(secret, TWO_FACTOR_SECRET_CONTEXT);
+};
+
+// Read a customer's TOTP secret; secrets stored before encryption are returned as they are
+const getTwoFactorSecret = (customer) => {
+  return customer.twoFactorSecret ? decryptValue(customer.twoFactorSecret, TWO_FACTOR_SECRET_CONTEXT) : null;
+};
+
+// Check a TOTP code for a customer and record its time step so the same code cannot be replayed
+const verifyTotpForCustomer = async (customer, code) => {
+  const secret = getTwoFactorSecret(customer);
+  if (!secret) {
+    return false;
+  }
+
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const accepted = await prisma.customer.updateMany({
+    where: {
+      id: customer.id,
+      OR: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { lt: step } }
+      ]
+    },
+    data: { twoFactorLastUsedStep: step }
+  });
+
+  return accepted.count > 0;
+};
+
+// Check a second factor: a TOTP code or, failing that, an unused recovery code
+const verifySecondFactor = async (customer, { code, recoveryCode }) => {
+  if (code && await verifyTotpForCustomer(customer, code)) {
+    return { valid: true, method: 'totp' };
+  }
+
+  if (recoveryCode && await consumeRecoveryCode(customer.id, recoveryCode)) {
+    return { valid: true, method: 'recovery_code' };
+  }
+
+  return { valid: false };
+};
+
+// Issue a short-lived challenge token; it carries no customerId so it can never be used as an access token
+const generateChallengeToken = (customerId, type = CHALLENGE_TYPES.verify) => {
+  return jwt.sign(
+    { sub: customerId, type },
+    config.auth.jwtSecret,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+};
+
+// Verify a challenge token of the given type; returns the customer ID or null
+const verifyChallengeToken = (token, type = CHALLENGE_TYPES.verify) => {
+  try {
+    const decoded = jwt.verify(token, config.auth.jwtSecret);
+    if (decoded.type !== type || !decoded.sub) {
+      return null;
+    }
+    return decoded.sub;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read an application setting, falling back to a default
+const getSetting = async (key, defaultValue = null) => {
+  const setting = await prisma.appSetting.findUnique({
+    where: { key }
+  });
+  return setting ? setting.value : defaultValue;
+};
+
+// Create or update an application setting
+const setSetting = async (key, value, updatedBy = null) => {
+  return await prisma.appSetting.upsert({
+    where: { key },
+    update: { value, updatedBy },
+    create: { key, value, updatedBy }
+  });
+};
+
+// Whether admins must use two-factor authentication
+const isAdminTwoFactorRequired = async () => {
+  return (await getSetting(ADMIN_TWO_FACTOR_SETTING, false)) === true;
+};
+
+// Whether this customer must use two-factor authentication
+const isTwoFactorRequired = async (customer) => {
+  return customer.role === 'admin' && await isAdminTwoFactorRequired();
+};
+
+module.exports = {
+  CHALLENGE_TYPES,
+  ADMIN_TWO_FACTOR_SETTING,
+  TWO_FACTOR_SECRET_CONTEXT,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  replaceRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  encryptTwoFactorSecret,
+  getTwoFactorSecret,
+  verifyTotpForCustomer,
+  verifySecondFactor,
+  generateChallengeToken,
+  verifyChallengeToken,
+  getSetting,
+  setSetting,
+  isAdminTwoFactorRequired,
+  isTwoFactorRequired
+};
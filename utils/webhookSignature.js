@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Keep the exact bytes of webhook requests so signatures can be checked against what the provider signed
+const captureRawBody = (req, res, buf) => {
+  if (req.originalUrl && req.originalUrl.startsWith('/api/webhooks')) {
+    req.rawBody = Buffer.from(buf);
+  }
+};
+
+// Compute the hex HMAC-SHA256 signature of a raw request body
+const computeSignature = (rawBody, secret) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+};
+
+// Verify a hex HMAC-SHA256 signature over the raw request body in constant time
+const verifySignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(rawBody, secret), 'utf8');
+  const received = Buffer.from(String(signature).trim(), 'utf8');
+
+  // timingSafeEqual throws on length mismatch; a signature of the wrong length is simply invalid
+  if (expected.length !== received.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  captureRawBody,
+  computeSignature,
+  verifySignature
+};